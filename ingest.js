@@ -1,569 +1,366 @@
-import { readFileSync, writeFileSync } from 'fs';
-import { join } from 'path';
-import { Pinecone } from '@pinecone-database/pinecone';
-import OpenAI from 'openai';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
 import 'dotenv/config';
+import { createVectorStore, countNamespaceVectors, ensureIndex } from './lib/vector-store.js';
+import { createEmbedder } from './lib/embeddings.js';
+import { vectorMagnitude, isVectorNormalized } from './lib/vector-utils.js';
+import { formatCitation } from './lib/citations.js';
+import { createEmbeddingCache } from './lib/embedding-cache.js';
+import { withRetry } from './lib/retry.js';
+import { createLimiter } from './lib/concurrency.js';
+import { createProgress } from './lib/progress.js';
+import { DEFAULT_COLLECTION, getCollection, loadCollections } from './lib/collections.js';
+import { buildVectorMetadata, chunkSource, countWords } from './lib/chunking.js';
+import {
+  buildManifest,
+  chunkFingerprint,
+  createCheckpoint,
+  diffChunks,
+  loadCheckpoint,
+  loadManifest,
+  manifestMatches,
+  manifestPath,
+  removeCheckpoint,
+  saveCheckpoint,
+  saveManifest
+} from './lib/ingest-manifest.js';
 
-// Initialize Pinecone
-const pc = new Pinecone({
-  apiKey: process.env.PINECONE_API_KEY
-});
+// Initialize the vector store (VECTOR_STORE=pinecone|local)
+const vectorStore = createVectorStore();
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// Initialize the embedding provider (EMBEDDING_PROVIDER=openai|pinecone|local)
+const embedder = createEmbedder();
 
-const INDEX_NAME = process.env.PINECONE_INDEX_NAME || 'shakespeare-rag';
+// Collection to ingest, named by the first argument that is not a flag
+const collection = getCollection(
+  loadCollections(),
+  process.argv.slice(2).find(arg => !arg.startsWith('--')) || DEFAULT_COLLECTION
+);
 
-// Vector normalization utilities
-function normalizeVector(vector) {
-  const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
-  if (magnitude === 0) {
-    throw new Error('Cannot normalize zero vector');
-  }
-  return vector.map(val => val / magnitude);
-}
+// Every collection is written to its own namespace of the index
+const collectionStore = vectorStore.namespace(collection.namespace);
 
-function vectorMagnitude(vector) {
-  return Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
-}
+// Record of what the last run ingested, used to only embed new and changed chunks
+const MANIFEST_PATH = manifestPath(collection.name);
 
-function isVectorNormalized(vector, tolerance = 1e-6) {
-  const magnitude = vectorMagnitude(vector);
-  return Math.abs(magnitude - 1.0) < tolerance;
-}
+// Progress of the current run, so an interrupted run can be resumed with --resume
+const CHECKPOINT_PATH = `./ingest-checkpoint-${collection.name}.json`;
 
-function generateNormalizedRandomVector(dimension) {
-  // Generate random vector with normal distribution
-  const vector = Array.from({ length: dimension }, () => 
-    Math.random() * 2 - 1 // Random between -1 and 1
-  );
-  
-  // Normalize it
-  return normalizeVector(vector);
+// How many upsert batches to write between checkpoint saves
+const CHECKPOINT_EVERY_BATCHES = 10;
+
+// How many upsert requests may be in flight while embeddings are still being generated
+const UPSERT_CONCURRENCY = parseInt(process.env.UPSERT_CONCURRENCY || '2');
+
+// Embeddings already paid for, keyed by model and text hash
+const embeddingCache = createEmbeddingCache({
+  directory: process.env.EMBEDDING_CACHE_DIR || './.embedding-cache',
+  model: embedder.model,
+  dimension: embedder.dimension
+});
+
+// Function to save the checkpoint. The store is flushed first so the checkpoint never
+// lists vectors that only exist in memory.
+async function saveProgress(checkpoint) {
+  await collectionStore.flush();
+  saveCheckpoint(CHECKPOINT_PATH, checkpoint);
 }
 
-// Function to generate embeddings using OpenAI
-async function generateEmbedding(text) {
-  try {
-    const response = await openai.embeddings.create({
-      model: 'text-embedding-ada-002',
-      input: text.trim(),
-      encoding_format: 'float'
+// Function to embed chunks and upsert them to the vector store. Upserts start as soon as a
+// full batch of embeddings is ready and run alongside the remaining embedding requests.
+async function embedAndUpsert(chunks, checkpoint) {
+  console.log(`Generating ${embedder.model} embeddings for ${chunks.length} text chunks...`);
+  
+  const batchSize = 100;
+  const upsertLimiter = createLimiter(UPSERT_CONCURRENCY);
+  const progress = createProgress('Ingest', chunks.length);
+  let ready = [];
+  let embeddedCount = 0;
+  let upsertedBatchCount = 0;
+  let normalizedVectorCount = 0;
+  
+  const upsertBatch = batch => upsertLimiter.run(async () => {
+    await withRetry(() => collectionStore.upsert(batch.map(entry => entry.vector)), { label: 'Upsert' });
+    
+    batch.forEach(({ chunk }) => {
+      checkpoint.upserted[chunk.id] = chunkFingerprint(chunk);
     });
+    upsertedBatchCount++;
+    progress.advance(batch.length, `upserted, ${embeddedCount} embedded`);
     
-    const embedding = response.data[0].embedding;
-    
-    // Verify the embedding is the expected dimension
-    if (embedding.length !== 1536) {
-      throw new Error(`Expected 1536 dimensions, got ${embedding.length}`);
-    }
-    
-    // Check if it's already normalized (OpenAI embeddings are usually normalized)
-    const isNormalized = isVectorNormalized(embedding);
-    if (!isNormalized) {
-      console.log('Normalizing embedding...');
-      return normalizeVector(embedding);
+    if (upsertedBatchCount % CHECKPOINT_EVERY_BATCHES === 0) {
+      await saveProgress(checkpoint);
     }
-    
-    return embedding;
-  } catch (error) {
-    console.error('Error generating embedding:', error);
-    throw error;
-  }
-}
-
-// Function to generate embeddings in batches to avoid rate limits
-async function generateEmbeddingsBatch(texts, batchSize = 100) {
-  const embeddings = [];
+  });
   
-  for (let i = 0; i < texts.length; i += batchSize) {
-    const batch = texts.slice(i, i + batchSize);
-    console.log(`Generating embeddings for batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(texts.length / batchSize)}`);
-    
-    try {
-      const response = await openai.embeddings.create({
-        model: 'text-embedding-ada-002',
-        input: batch.map(text => text.trim()),
-        encoding_format: 'float'
-      });
-      
-      const batchEmbeddings = response.data.map(item => item.embedding);
-      embeddings.push(...batchEmbeddings);
+  // Turn each batch of embeddings into vectors and queue full upsert batches
+  const onBatch = (positions, embeddings) => {
+    positions.forEach((position, batchIndex) => {
+      const chunk = chunks[position];
+      const embedding = embeddings[batchIndex];
       
-      // Small delay to avoid rate limits
-      if (i + batchSize < texts.length) {
-        await new Promise(resolve => setTimeout(resolve, 100));
+      // Verify it's normalized
+      if (!isVectorNormalized(embedding)) {
+        console.warn(`Vector for chunk ${chunk.id} is not normalized! Magnitude: ${vectorMagnitude(embedding)}`);
+      } else {
+        normalizedVectorCount++;
       }
-    } catch (error) {
-      console.error(`Error in batch ${Math.floor(i / batchSize) + 1}:`, error);
-      throw error;
+      
+      ready.push({
+        chunk,
+        vector: {
+          id: chunk.id.toString(),
+          values: embedding,
+          metadata: buildVectorMetadata(chunk, embedding)
+        }
+      });
+    });
+    embeddedCount += positions.length;
+    
+    while (ready.length >= batchSize) {
+      upsertBatch(ready.splice(0, batchSize));
     }
-  }
-  
-  return embeddings;
-}
-
-// Read the Shakespeare text file
-const shakespeareText = readFileSync('./data/shakespeare-complete-works.txt', 'utf-8');
-
-// List of Shakespeare works to identify
-const shakespeareWorks = [
-  'THE SONNETS',
-  'ALL\'S WELL THAT ENDS WELL',
-  'THE TRAGEDY OF ANTONY AND CLEOPATRA',
-  'AS YOU LIKE IT',
-  'THE COMEDY OF ERRORS',
-  'THE TRAGEDY OF CORIOLANUS',
-  'CYMBELINE',
-  'THE TRAGEDY OF HAMLET, PRINCE OF DENMARK',
-  'THE FIRST PART OF KING HENRY THE FOURTH',
-  'THE SECOND PART OF KING HENRY THE FOURTH',
-  'THE LIFE OF KING HENRY THE FIFTH',
-  'THE FIRST PART OF HENRY THE SIXTH',
-  'THE SECOND PART OF KING HENRY THE SIXTH',
-  'THE THIRD PART OF KING HENRY THE SIXTH',
-  'KING HENRY THE EIGHTH',
-  'THE LIFE AND DEATH OF KING JOHN',
-  'THE TRAGEDY OF JULIUS CAESAR',
-  'THE TRAGEDY OF KING LEAR',
-  'LOVE\'S LABOUR\'S LOST',
-  'THE TRAGEDY OF MACBETH',
-  'MEASURE FOR MEASURE',
-  'THE MERCHANT OF VENICE',
-  'THE MERRY WIVES OF WINDSOR',
-  'A MIDSUMMER NIGHT\'S DREAM',
-  'MUCH ADO ABOUT NOTHING',
-  'THE TRAGEDY OF OTHELLO, THE MOOR OF VENICE',
-  'PERICLES, PRINCE OF TYRE',
-  'KING RICHARD THE SECOND',
-  'KING RICHARD THE THIRD',
-  'THE TRAGEDY OF ROMEO AND JULIET',
-  'THE TAMING OF THE SHREW',
-  'THE TEMPEST',
-  'THE LIFE OF TIMON OF ATHENS',
-  'THE TRAGEDY OF TITUS ANDRONICUS',
-  'TROILUS AND CRESSIDA',
-  'TWELFTH NIGHT; OR, WHAT YOU WILL',
-  'THE TWO GENTLEMEN OF VERONA',
-  'THE TWO NOBLE KINSMEN',
-  'THE WINTER\'S TALE',
-  'A LOVER\'S COMPLAINT',
-  'THE PASSIONATE PILGRIM',
-  'THE PHOENIX AND THE TURTLE',
-  'THE RAPE OF LUCRECE',
-  'VENUS AND ADONIS'
-];
-
-// Function to identify the current work based on text position
-function identifyWork(text, position) {
-  // Find the most recent work title before this position
-  let currentWork = 'UNKNOWN';
-  let bestMatch = -1;
+  };
   
-  for (const work of shakespeareWorks) {
-    const workIndex = text.lastIndexOf(work, position);
-    if (workIndex !== -1 && workIndex > bestMatch) {
-      bestMatch = workIndex;
-      currentWork = work;
+  // Generate embeddings for all chunks, reusing any cached from earlier runs
+  const texts = chunks.map(chunk => chunk.text);
+  try {
+    await embedder.generateEmbeddingsBatch(texts, batchSize, 'passage', { cache: embeddingCache, onBatch });
+    if (ready.length > 0) {
+      upsertBatch(ready.splice(0));
     }
+  } finally {
+    // Let upserts already started finish so the checkpoint covers them
+    await upsertLimiter.idle().catch(() => {});
+    await saveProgress(checkpoint);
   }
+  await upsertLimiter.idle();
+  progress.finish();
   
-  return currentWork;
+  console.log(`Upserted ${chunks.length} vectors to ${vectorStore.type} store, namespace ${collection.namespace}`);
+  console.log(`Normalized vectors: ${normalizedVectorCount}/${chunks.length}`);
 }
 
-// Function to check if a line is a speaker line
-function isSpeakerLine(line) {
-  const trimmedLine = line.trim();
-  
-  // Speaker lines are all caps, often followed by a period
-  // Examples: "HAMLET.", "ROMEO.", "FIRST CITIZEN.", "BENEDICK"
-  const speakerPattern = /^([A-Z][A-Z\s,'.-]+?)\.?\s*$/;
-  const match = trimmedLine.match(speakerPattern);
-  
-  if (match) {
-    const speaker = match[1].trim();
-    
-    // Filter out common non-speaker patterns
-    const nonSpeakers = [
-      'ACT', 'SCENE', 'EPILOGUE', 'PROLOGUE', 'CHORUS', 'CONTENTS',
-      'THE END', 'FINIS', 'DRAMATIS PERSONAE', 'PERSONS REPRESENTED',
-      'INDUCTION', 'ARGUMENT', 'ENTER', 'EXIT', 'EXEUNT', 'ALARUM',
-      'FLOURISH', 'SENNET', 'HAUTBOYS', 'TRUMPETS', 'DRUMS',
-      'SCENE I', 'SCENE II', 'SCENE III', 'SCENE IV', 'SCENE V',
-      'ACT I', 'ACT II', 'ACT III', 'ACT IV', 'ACT V'
-    ];
-    
-    // Additional checks for valid speakers
-    const isValidSpeaker = (
-      speaker.length > 1 &&
-      speaker.length < 50 && // Reasonable length limit
-      !nonSpeakers.some(ns => speaker.startsWith(ns)) &&
-      !speaker.match(/^(ACT|SCENE|EPILOGUE|PROLOGUE|ENTER|EXIT|EXEUNT)/) &&
-      !speaker.match(/^\d+$/) && // Not just numbers
-      !speaker.includes('SCENE') &&
-      !speaker.includes('Contents') &&
-      !speaker.match(/^[IVX]+$/) // Not just roman numerals
-    );
+// Function to rewrite the metadata of chunks whose text is unchanged but whose line numbers
+// or reading-order links moved, reusing their stored vectors.
+// Returns the chunks that were missing from the store.
+async function refreshMetadata(chunks, checkpoint) {
+  const batchSize = 100;
+  const missing = [];
+  
+  for (let i = 0; i < chunks.length; i += batchSize) {
+    const batch = chunks.slice(i, i + batchSize);
+    const { records } = await withRetry(() => collectionStore.fetch(batch.map(chunk => chunk.id)), { label: 'Fetch' });
+    
+    const vectors = [];
+    batch.forEach(chunk => {
+      const record = records[chunk.id];
+      if (!record) {
+        missing.push(chunk);
+        return;
+      }
+      vectors.push({
+        id: chunk.id,
+        values: record.values,
+        metadata: buildVectorMetadata(chunk, record.values)
+      });
+    });
     
-    if (isValidSpeaker) {
-      return speaker.replace(/\.$/, ''); // Remove trailing period
+    if (vectors.length > 0) {
+      await withRetry(() => collectionStore.upsert(vectors), { label: 'Upsert' });
+      vectors.forEach(vector => {
+        checkpoint.upserted[vector.id] = chunkFingerprint(batch.find(chunk => chunk.id === vector.id));
+      });
     }
   }
   
-  return null;
+  await saveProgress(checkpoint);
+  return missing;
 }
 
-// Function to check if a line is a sonnet number
-function isSonnetNumber(line) {
-  // Sonnet numbers are typically just numbers, sometimes with spacing
-  const sonnetPattern = /^\\s*([0-9]+)\\s*$/;
-  return line.trim().match(sonnetPattern);
-}
-
-// Function to count words in a text
-function countWords(text) {
-  if (!text || typeof text !== 'string') return 0;
-  
-  return text
-    .trim()
-    .replace(/\s+/g, ' ') // Replace multiple spaces with single space
-    .split(/\s+/)
-    .filter(word => word.length > 0 && word.match(/[a-zA-Z0-9]/)) // Only count words with letters/numbers
-    .length;
-}
-
-// Function to split large chunks into reasonable sizes
-function splitLargeChunk(chunk, maxSize = 800) {
-  if (chunk.text.length <= maxSize) {
-    return [chunk];
-  }
-  
-  const chunks = [];
-  const sentences = chunk.text.split(/(?<=[.!?])\s+/);
-  let currentText = '';
-  let partIndex = 1;
-  
-  for (const sentence of sentences) {
-    // If adding this sentence would exceed the limit, save current chunk
-    if (currentText.length + sentence.length > maxSize && currentText.length > 0) {
-      chunks.push({
-        ...chunk,
-        text: currentText.trim(),
-        speaker: chunk.speaker ? `${chunk.speaker} (Part ${partIndex})` : chunk.speaker
-      });
-      currentText = sentence + ' ';
-      partIndex++;
-    } else {
-      currentText += sentence + ' ';
-    }
-  }
-  
-  // Add the final chunk
-  if (currentText.trim()) {
-    chunks.push({
-      ...chunk,
-      text: currentText.trim(),
-      speaker: chunk.speaker && partIndex > 1 ? `${chunk.speaker} (Part ${partIndex})` : chunk.speaker
+// Function to print the added/changed/removed counts per work
+function printDiffSummary(diff) {
+  console.log('\n=== INGEST DIFF ===');
+  Object.entries(diff.byWork)
+    .filter(([, counts]) => counts.added + counts.changed + counts.removed > 0)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([work, counts]) => {
+      console.log(`  ${work}: +${counts.added} added, ~${counts.changed} changed, -${counts.removed} removed`);
     });
-  }
-  
-  return chunks;
+  console.log(`Total: ${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed, ${diff.unchanged} unchanged (${diff.restamped.length} with updated metadata)`);
 }
 
-// Function to process the text and extract chunks
-function processShakespeareText(text) {
-  const chunks = [];
-  const lines = text.split('\n');
-  
-  let currentWork = 'UNKNOWN';
-  let currentSpeaker = null;
-  let currentChunk = '';
-  let chunkId = 0;
-  
-  // Track if we're in sonnets section
-  let inSonnets = false;
-  let sonnetNumber = null;
-  let sonnetText = '';
-  
-  // Helper function to save current chunk
-  function saveCurrentChunk() {
-    if (currentChunk.trim()) {
-      const chunk = {
-        id: chunkId++,
-        work: currentWork,
-        speaker: currentSpeaker,
-        text: currentChunk.trim()
-      };
-      
-      // Split large chunks into smaller ones
-      const splitChunks = splitLargeChunk(chunk);
-      chunks.push(...splitChunks);
-    }
-  }
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const trimmedLine = line.trim();
-    
-    // Skip empty lines at the beginning of chunks
-    if (!trimmedLine && !currentChunk) continue;
+// Function to bring the vector store in line with the parsed chunks. Only new and changed
+// chunks are embedded, removed chunks are deleted, and the manifest of what was ingested
+// is saved for the next run. Without a manifest matching this store, index, namespace and
+// embedding model (or with `fresh`) the collection's namespace is rebuilt from scratch. With
+// `resume` the run picks up from the checkpoint left by an interrupted run and skips chunks
+// it already upserted.
+async function upsertVectors(chunks, { resume = false, fresh = false } = {}) {
+  try {
+    console.log(`Initializing ${vectorStore.type} index...`);
+    await ensureIndex(vectorStore, embedder.dimension);
+    
+    const target = {
+      vectorStore: vectorStore.type,
+      indexName: vectorStore.name,
+      namespace: collection.namespace,
+      embedding: {
+        provider: embedder.type,
+        model: embedder.model,
+        dimension: embedder.dimension
+      }
+    };
     
-    // Check if this line is a work title
-    const workMatch = shakespeareWorks.find(work => 
-      trimmedLine === work || trimmedLine.includes(work)
-    );
+    const manifest = fresh ? null : loadManifest(MANIFEST_PATH);
+    let checkpoint = resume ? loadCheckpoint(CHECKPOINT_PATH) : null;
+    let previous = null;
     
-    if (workMatch) {
-      // Save previous chunk if exists
-      saveCurrentChunk();
-      
-      // Save final sonnet if in sonnets section
-      if (inSonnets && sonnetText.trim()) {
-        const sonnetChunk = {
-          id: chunkId++,
-          work: currentWork,
-          speaker: `SONNET ${sonnetNumber}`,
-          text: sonnetText.trim()
-        };
-        chunks.push(sonnetChunk);
+    if (checkpoint) {
+      if (!manifestMatches(checkpoint, target)) {
+        throw new Error('The checkpoint was written for a different index or embedding model. Rerun with --fresh');
       }
+      console.log(`Resuming ingest started at ${checkpoint.startedAt} (${Object.keys(checkpoint.upserted).length} chunks already upserted)`);
+      previous = checkpoint.baseline === 'manifest' ? manifest : null;
+    } else {
+      const existingVectors = countNamespaceVectors(await vectorStore.stats(), collection.namespace);
       
-      currentWork = workMatch;
-      inSonnets = workMatch === 'THE SONNETS';
-      currentSpeaker = null;
-      currentChunk = '';
-      sonnetNumber = null;
-      sonnetText = '';
-      continue;
-    }
-    
-    // Handle sonnets differently
-    if (inSonnets) {
-      // Check if this is a sonnet number
-      const sonnetMatch = isSonnetNumber(trimmedLine);
-      if (sonnetMatch) {
-        // Save previous sonnet if exists
-        if (sonnetText.trim()) {
-          const sonnetChunk = {
-            id: chunkId++,
-            work: currentWork,
-            speaker: `SONNET ${sonnetNumber}`,
-            text: sonnetText.trim()
-          };
-          chunks.push(sonnetChunk);
+      if (manifestMatches(manifest, target) && existingVectors > 0) {
+        console.log(`Comparing with manifest from ${manifest.ingestedAt} (${Object.keys(manifest.chunks).length} chunks)`);
+        previous = manifest;
+      } else {
+        if (fresh) {
+          console.log('Starting fresh, rebuilding from scratch');
+        } else {
+          console.log(manifest
+            ? 'Manifest was written for a different index or embedding model, rebuilding from scratch'
+            : 'No ingest manifest found, rebuilding from scratch');
         }
         
-        sonnetNumber = sonnetMatch[1];
-        sonnetText = '';
-        continue;
-      }
-      
-      // Add line to current sonnet
-      if (sonnetNumber && trimmedLine) {
-        sonnetText += line + '\n';
+        console.log(`Clearing existing vectors in namespace ${collection.namespace}...`);
+        try {
+          await collectionStore.deleteAll();
+          console.log('Vector database cleared');
+        } catch (error) {
+          if (error.message.includes('404')) {
+            console.log('Index appears to be empty, skipping clear operation');
+          } else {
+            throw error;
+          }
+        }
       }
-      continue;
-    }
-    
-    // Handle plays - check for speaker lines
-    const speaker = isSpeakerLine(trimmedLine);
-    if (speaker) {
-      // Save previous chunk if exists
-      saveCurrentChunk();
       
-      currentSpeaker = speaker;
-      currentChunk = '';
-      continue;
+      checkpoint = createCheckpoint(target, previous ? 'manifest' : 'empty');
+      await saveProgress(checkpoint);
     }
     
-    // Skip stage directions and scene markers
-    if (trimmedLine.match(/^(ACT|SCENE|EPILOGUE|PROLOGUE|ENTER|EXIT|EXEUNT|ALARUM|FLOURISH)/)) {
-      continue;
-    }
+    const diff = diffChunks(chunks, previous);
+    printDiffSummary(diff);
     
-    // Skip bracketed stage directions
-    if (trimmedLine.match(/^\[.*\]$/)) {
-      continue;
-    }
+    // Chunks upserted by the interrupted run do not need to be written again
+    const pending = chunk => checkpoint.upserted[chunk.id] !== chunkFingerprint(chunk);
     
-    // Add line to current chunk if we have a speaker and it's meaningful content
-    if (currentSpeaker && trimmedLine) {
-      currentChunk += line + '\n';
+    const missing = await refreshMetadata(diff.restamped.filter(pending), checkpoint);
+    if (missing.length > 0) {
+      console.warn(`${missing.length} unchanged chunks were missing from the store and will be re-embedded`);
     }
-  }
-  
-  // Save final chunk
-  saveCurrentChunk();
-  
-  // Save final sonnet if in sonnets section
-  if (inSonnets && sonnetText.trim()) {
-    const sonnetChunk = {
-      id: chunkId++,
-      work: currentWork,
-      speaker: `SONNET ${sonnetNumber}`,
-      text: sonnetText.trim()
-    };
-    chunks.push(sonnetChunk);
-  }
-  
-  return chunks;
-}
-
-// Function to clean and validate chunks
-function cleanChunks(chunks) {
-  return chunks.filter(chunk => {
-    // Remove chunks that are too short
-    if (chunk.text.length < 10) return false;
     
-    // Remove chunks that are mostly stage directions
-    const stageDirectionPattern = /^\\s*\\[.*\\]\\s*$/;
-    if (stageDirectionPattern.test(chunk.text)) return false;
-    
-    // Remove chunks that are just scene headers
-    if (chunk.text.match(/^(ACT|SCENE|EPILOGUE|PROLOGUE)/)) return false;
-    
-    // Remove chunks that are just whitespace or punctuation
-    if (chunk.text.match(/^\\s*[\\.,;:!?-]*\\s*$/)) return false;
-    
-    // Remove chunks that are just numbers or roman numerals
-    if (chunk.text.match(/^\\s*[0-9IVXivx]+\\s*$/)) return false;
-    
-    return true;
-  }).map((chunk, index) => ({
-    ...chunk,
-    id: index,
-    textLength: chunk.text.length,
-    wordCount: countWords(chunk.text)
-  }));
-}
-
-// Function to upsert vectors to Pinecone
-async function upsertVectorsToPinecone(chunks) {
-  try {
-    console.log('Initializing Pinecone index...');
-    
-    // Check if index exists
-    const indexList = await pc.listIndexes();
-    const indexExists = indexList.indexes?.some(idx => idx.name === INDEX_NAME);
-    
-    if (!indexExists) {
-      console.log(`Creating Pinecone index: ${INDEX_NAME}`);
-      await pc.createIndex({
-        name: INDEX_NAME,
-        dimension: 1536,
-        metric: 'cosine',
-        spec: {
-          serverless: {
-            cloud: 'aws',
-            region: 'us-east-1'
-          }
-        }
-      });
-      
-      // Wait for index to be ready
-      console.log('Waiting for index to be ready...');
-      let indexReady = false;
-      while (!indexReady) {
-        const indexDescription = await pc.describeIndex(INDEX_NAME);
-        if (indexDescription.status?.ready) {
-          indexReady = true;
-          console.log('Index is ready');
-        } else {
-          console.log('Index not ready yet, waiting...');
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-      }
+    const toEmbed = [...diff.added, ...diff.changed].filter(pending).concat(missing);
+    if (toEmbed.length > 0) {
+      await embedAndUpsert(toEmbed, checkpoint);
     } else {
-      console.log('Index already exists');
+      console.log('No chunks need embedding');
     }
     
-    console.log('Getting Pinecone index...');
-    const index = pc.index(INDEX_NAME);
-    
-    console.log('Clearing existing vectors...');
-    try {
-      await index.deleteAll();
-      console.log('Vector database cleared');
-    } catch (error) {
-      if (error.message.includes('404')) {
-        console.log('Index appears to be empty, skipping clear operation');
-      } else {
-        throw error;
-      }
+    const deleteBatchSize = 1000;
+    for (let i = 0; i < diff.removed.length; i += deleteBatchSize) {
+      await withRetry(() => collectionStore.deleteMany(diff.removed.slice(i, i + deleteBatchSize)), { label: 'Delete' });
     }
-    
-    console.log(`Generating embeddings for ${chunks.length} text chunks...`);
-    
-    // Generate embeddings for all chunks
-    const texts = chunks.map(chunk => chunk.text);
-    const embeddings = await generateEmbeddingsBatch(texts, 100);
-    
-    console.log(`Generated ${embeddings.length} embeddings`);
-    console.log(`Upserting ${chunks.length} vectors to Pinecone...`);
-    
-    // Process chunks in batches to avoid overwhelming the API
-    const batchSize = 100;
-    let normalizedVectorCount = 0;
-    
-    for (let i = 0; i < chunks.length; i += batchSize) {
-      const batch = chunks.slice(i, i + batchSize);
-      
-      const vectors = batch.map((chunk, batchIndex) => {
-        const globalIndex = i + batchIndex;
-        const embedding = embeddings[globalIndex];
-        
-        // Verify it's normalized
-        if (!isVectorNormalized(embedding)) {
-          console.warn(`Vector for chunk ${chunk.id} is not normalized! Magnitude: ${vectorMagnitude(embedding)}`);
-        } else {
-          normalizedVectorCount++;
-        }
-        
-        return {
-          id: chunk.id.toString(),
-          values: embedding,
-          metadata: {
-            work: chunk.work,
-            speaker: chunk.speaker,
-            text: chunk.text,
-            textLength: chunk.textLength,
-            wordCount: chunk.wordCount,
-            vectorMagnitude: vectorMagnitude(embedding).toFixed(6)
-          }
-        };
-      });
-      
-      await index.upsert(vectors);
-      console.log(`Upserted batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(chunks.length / batchSize)}`);
+    if (diff.removed.length > 0) {
+      console.log(`Deleted ${diff.removed.length} removed chunks`);
     }
     
-    console.log(`Successfully upserted ${chunks.length} vectors to Pinecone`);
-    console.log(`Normalized vectors: ${normalizedVectorCount}/${chunks.length}`);
+    await collectionStore.flush();
+    saveManifest(MANIFEST_PATH, buildManifest(chunks, target));
+    removeCheckpoint(CHECKPOINT_PATH);
     
-    return { success: true, vectorsUpserted: chunks.length };
+    console.log(`Vector store now matches ${chunks.length} chunks`);
+    
+    return { success: true, vectorsUpserted: Object.keys(checkpoint.upserted).length, diff };
   } catch (error) {
-    console.error('Error upserting vectors to Pinecone:', error);
+    console.error(`Error upserting vectors to ${vectorStore.type} store:`, error);
     throw error;
   }
 }
 
+// Function to read the --resume / --fresh choice from the command line
+function parseArgs(args) {
+  const options = {
+    resume: args.includes('--resume'),
+    fresh: args.includes('--fresh')
+  };
+  
+  if (options.resume && options.fresh) {
+    throw new Error('Choose either --resume or --fresh, not both');
+  }
+  
+  if (!options.resume && !options.fresh && existsSync(CHECKPOINT_PATH)) {
+    throw new Error(
+      `A previous ingest did not finish (${CHECKPOINT_PATH}). ` +
+      'Rerun with --resume to continue it, or --fresh to discard it and rebuild the index'
+    );
+  }
+  
+  if (options.resume && !existsSync(CHECKPOINT_PATH)) {
+    console.log('No interrupted ingest to resume, running normally');
+  }
+  
+  return options;
+}
+
 // Main processing function
 async function main() {
-  console.log('Starting Shakespeare text processing...');
-  console.log('Reading file...');
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  
+  if (options.fresh) {
+    removeCheckpoint(CHECKPOINT_PATH);
+  }
   
-  // Process the text
+  console.log(`Starting ${collection.title} text processing (collection ${collection.name})...`);
+  console.log(`Reading ${collection.source}...`);
+  const text = readFileSync(collection.source, 'utf-8');
+  
+  // Process the text into cleaned, linked chunks
   console.log('Processing text into chunks...');
-  const rawChunks = processShakespeareText(shakespeareText);
-  console.log(`Found ${rawChunks.length} raw chunks`);
+  const source = chunkSource(text, collection);
+  if (source.header) {
+    console.log(`Project Gutenberg ebook: ${source.header.title || 'untitled'}${source.header.ebook ? ` (#${source.header.ebook})` : ''}, licence text removed`);
+  }
+  if (source.worksSource === 'contents') {
+    console.log(`Found ${source.works.length} works in the Contents`);
+  } else if (source.works.length > 0) {
+    console.log(`No Contents list found, using the ${source.works.length} works configured for ${collection.name}`);
+  } else {
+    console.error(`❌ ${collection.source} has no Contents list and ${collection.name} has no works configured`);
+    process.exit(1);
+  }
+  if (source.missing.length > 0) {
+    console.warn(`${source.missing.length} Contents entries were not found in the text:`);
+    source.missing.forEach(title => console.warn(`  ${title}`));
+  }
   
-  // Clean and validate chunks
-  console.log('Cleaning chunks...');
-  const cleanedChunks = cleanChunks(rawChunks);
+  const cleanedChunks = source.chunks;
   console.log(`${cleanedChunks.length} chunks after cleaning`);
   
+  const registries = Object.values(source.characters);
+  const withDramatisPersonae = registries.filter(characters => characters.some(character => character.listed)).length;
+  console.log(`Character registries for ${registries.length} plays (${withDramatisPersonae} with a Dramatis Personae), ${registries.reduce((total, characters) => total + characters.length, 0)} characters`);
+  
   // Generate statistics
   const stats = {
     totalChunks: cleanedChunks.length,
@@ -601,8 +398,22 @@ async function main() {
   // Create output object
   const output = {
     metadata: {
-      source: 'data/shakespeare-complete-works.txt',
+      collection: collection.name,
+      title: collection.title,
+      author: collection.author,
+      namespace: collection.namespace,
+      source: collection.source,
+      gutenberg: source.header,
+      works: source.works,
+      worksSource: source.worksSource,
+      missingContents: source.missing,
+      characters: source.characters,
       processedAt: new Date().toISOString(),
+      embedding: {
+        provider: embedder.type,
+        model: embedder.model,
+        dimension: embedder.dimension
+      },
       totalWorks: Object.keys(stats.works).length,
       totalSpeakers: Object.keys(stats.speakers).length,
       stats: stats
@@ -611,16 +422,16 @@ async function main() {
   };
   
   // Write to file
-  console.log('Writing to vectors.json...');
-  writeFileSync('./vectors.json', JSON.stringify(output, null, 2));
+  console.log(`Writing to ${collection.chunksPath}...`);
+  writeFileSync(collection.chunksPath, JSON.stringify(output, null, 2));
   
-  // Upsert vectors to Pinecone
-  console.log('\\n=== UPSERTING TO PINECONE ===');
+  // Upsert vectors to the vector store
+  console.log('\\n=== UPSERTING TO VECTOR STORE ===');
   try {
-    const result = await upsertVectorsToPinecone(cleanedChunks);
-    console.log(`✅ Successfully upserted ${result.vectorsUpserted} vectors to Pinecone`);
+    const result = await upsertVectors(cleanedChunks, options);
+    console.log(`✅ Successfully upserted ${result.vectorsUpserted} vectors to ${vectorStore.type} store`);
   } catch (error) {
-    console.error('❌ Failed to upsert vectors to Pinecone:', error.message);
+    console.error(`❌ Failed to upsert vectors to ${vectorStore.type} store:`, error.message);
     process.exit(1);
   }
   
@@ -652,6 +463,7 @@ async function main() {
   cleanedChunks.slice(0, 5).forEach((chunk, index) => {
     console.log(`\\n${index + 1}. Work: ${chunk.work}`);
     console.log(`   Speaker: ${chunk.speaker || 'N/A'}`);
+    console.log(`   Citation: ${formatCitation(chunk)}`);
     console.log(`   Length: ${chunk.textLength} characters, ${chunk.wordCount} words`);
     console.log(`   Text: "${chunk.text.substring(0, 100)}${chunk.text.length > 100 ? '...' : ''}"`);
     
@@ -662,8 +474,8 @@ async function main() {
     }
   });
   
-  console.log('\\nOutput saved to vectors.json');
-  console.log('✅ Vectors successfully upserted to Pinecone database');
+  console.log(`\\nOutput saved to ${collection.chunksPath}`);
+  console.log(`✅ Vectors successfully upserted to ${vectorStore.type} vector store`);
 }
 
 // Run the script
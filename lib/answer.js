@@ -0,0 +1,108 @@
+// Grounded answer generation: prompt construction and citation parsing
+
+const SYSTEM_PROMPT = [
+  'You answer questions about the works of Shakespeare and his contemporaries using only the passages provided.',
+  'Each passage starts with its id in square brackets.',
+  'After every claim, cite the passage or passages it relies on by putting their ids in square brackets, e.g. "Hamlet weighs life against death [hamlet-3f9a1c0b7d2e]."',
+  'Only cite ids that appear in the passages. If the passages do not answer the question, say so plainly.'
+].join(' ');
+
+// A chunk id as assigned by assignStableIds (ingest-manifest.js): the work's slug and 12 hex
+// digits of a hash, e.g. "hamlet-3f9a1c0b7d2e"
+const CHUNK_ID = '[a-z0-9-]*-[0-9a-f]{12}';
+
+// A run of one or more citation markers such as "[hamlet-3f9a1c0b7d2e]" or
+// "[hamlet-3f9a1c0b7d2e, hamlet-08b2e4d1c9a7]". Other bracketed text, like a quoted stage
+// direction ("[Exit]"), is part of the claim.
+const CITATION_RUN = new RegExp(`((?:\\s*\\[${CHUNK_ID}(?:\\s*,\\s*${CHUNK_ID})*\\])+)`);
+
+export function buildAnswerPrompt(question, passages) {
+  const context = passages
+    .map(passage => `[${passage.id}] ${passage.speaker || 'Unknown speaker'} (${passage.citation || passage.work}):\n${passage.text}`)
+    .join('\n\n');
+
+  return {
+    system: SYSTEM_PROMPT,
+    messages: [
+      {
+        role: 'user',
+        content: `Passages:\n\n${context}\n\nQuestion: ${question}`
+      }
+    ]
+  };
+}
+
+// Split a model answer into claims, each with the passage ids it cites.
+// Ids the model invented (not among the passages) are reported in unknownIds.
+export function parseAnswer(text, passages) {
+  const knownIds = new Set(passages.map(passage => String(passage.id)));
+  const claims = [];
+  const citedIds = new Set();
+  const unknownIds = new Set();
+
+  const parts = text.split(CITATION_RUN);
+  for (let i = 0; i < parts.length; i += 2) {
+    const claimText = parts[i].replace(/^[\s.,;:!?]+/, '').trim();
+    const markers = parts[i + 1] || '';
+
+    const ids = [...markers.matchAll(/\[([^\]\n]+)\]/g)]
+      .flatMap(([, inner]) => inner.split(','))
+      .map(id => id.trim())
+      .filter(id => id.length > 0);
+
+    const citations = [];
+    ids.forEach(id => {
+      if (knownIds.has(id)) {
+        citedIds.add(id);
+        if (!citations.includes(id)) citations.push(id);
+      } else {
+        unknownIds.add(id);
+      }
+    });
+
+    if (claimText) {
+      claims.push({ text: claimText, citations });
+    }
+  }
+
+  return {
+    answer: text.trim(),
+    claims,
+    citedIds: [...citedIds],
+    unknownIds: [...unknownIds]
+  };
+}
+
+const NO_PASSAGES_ANSWER = 'No relevant passages were found, so the question cannot be answered from the text.';
+
+// Ask the LLM to answer the question from the retrieved passages
+export async function generateAnswer({ question, passages }, llm) {
+  if (passages.length === 0) {
+    return parseAnswer(NO_PASSAGES_ANSWER, passages);
+  }
+
+  const prompt = buildAnswerPrompt(question, passages);
+  const text = await llm.complete(prompt);
+  return parseAnswer(text, passages);
+}
+
+// Same as generateAnswer, but calls onToken(text) for each piece of the reply as it arrives.
+// Aborting `signal` stops generation; the answer parsed so far is still returned.
+export async function streamAnswer({ question, passages }, llm, { onToken, signal } = {}) {
+  if (passages.length === 0) {
+    onToken?.(NO_PASSAGES_ANSWER);
+    return parseAnswer(NO_PASSAGES_ANSWER, passages);
+  }
+
+  const prompt = buildAnswerPrompt(question, passages);
+  let text = '';
+  try {
+    for await (const token of llm.stream({ ...prompt, signal })) {
+      text += token;
+      onToken?.(token);
+    }
+  } catch (error) {
+    if (!signal?.aborted) throw error;
+  }
+  return parseAnswer(text, passages);
+}
@@ -0,0 +1,64 @@
+import { tokenize } from './text-utils.js';
+
+// Okapi BM25 keyword index over an in-memory list of documents ({ id, text })
+export function createBm25Index(documents, { k1 = 1.2, b = 0.75 } = {}) {
+  const postings = new Map();
+  const docIds = [];
+  const docLengths = [];
+  let totalLength = 0;
+
+  documents.forEach((document, docIndex) => {
+    const terms = tokenize(document.text);
+    const termCounts = new Map();
+    terms.forEach(term => termCounts.set(term, (termCounts.get(term) || 0) + 1));
+
+    termCounts.forEach((count, term) => {
+      if (!postings.has(term)) {
+        postings.set(term, []);
+      }
+      postings.get(term).push([docIndex, count]);
+    });
+
+    docIds.push(String(document.id));
+    docLengths.push(terms.length);
+    totalLength += terms.length;
+  });
+
+  const documentCount = docIds.length;
+  const avgDocLength = documentCount > 0 ? totalLength / documentCount : 0;
+
+  function idf(term) {
+    const docFrequency = postings.get(term)?.length || 0;
+    return Math.log(1 + (documentCount - docFrequency + 0.5) / (docFrequency + 0.5));
+  }
+
+  // Returns the topK documents as [{ id, score }], best first.
+  // An optional predicate(id) restricts the search to matching documents.
+  function search(query, topK = 10, predicate = null) {
+    const scores = new Map();
+    const queryTerms = [...new Set(tokenize(query))];
+
+    queryTerms.forEach(term => {
+      const termPostings = postings.get(term);
+      if (!termPostings) return;
+
+      const termIdf = idf(term);
+      termPostings.forEach(([docIndex, count]) => {
+        if (predicate && !predicate(docIds[docIndex])) return;
+        const lengthNorm = 1 - b + b * (docLengths[docIndex] / avgDocLength);
+        const termScore = termIdf * (count * (k1 + 1)) / (count + k1 * lengthNorm);
+        scores.set(docIndex, (scores.get(docIndex) || 0) + termScore);
+      });
+    });
+
+    return [...scores.entries()]
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, topK)
+      .map(([docIndex, score]) => ({ id: docIds[docIndex], score }));
+  }
+
+  return {
+    size: documentCount,
+    search
+  };
+}
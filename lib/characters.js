@@ -0,0 +1,242 @@
+import { normalizeTitle } from './gutenberg.js';
+import { baseSpeakerName } from './filters.js';
+
+// Who is in a play: the Dramatis Personae printed before it and the speaker names of its
+// speeches, resolved to one registry entry per character. Speaker lines vary for the same
+// character ("HAMLET", "HAM.", "KING" for Claudius), so each printed name is matched to the
+// character it abbreviates, contains or is the title of.
+
+const DRAMATIS_PERSONAE_HEADING = /^(dramatis person(ae|æ)|persons represented|the persons of the play)[.:]?$/i;
+
+// Lines that end a Dramatis Personae list: the setting, or the play itself starting
+const DRAMATIS_PERSONAE_END = /^((THE\s+)?SCENE\b|ACT\s|PROLOGUE|INDUCTION|CHORUS)/i;
+
+const ARTICLE = /^(THE|A|AN)\s+/;
+
+export function isDramatisPersonaeHeading(line) {
+  return DRAMATIS_PERSONAE_HEADING.test(line.trim());
+}
+
+export function endsDramatisPersonae(line) {
+  return DRAMATIS_PERSONAE_END.test(line.trim());
+}
+
+// Speaker and character names are compared in capitals without a trailing period
+function normalizeName(name) {
+  return normalizeTitle(name).replace(/\.$/, '');
+}
+
+function withoutArticle(name) {
+  return name.replace(ARTICLE, '');
+}
+
+function isCapitalized(text) {
+  return /[A-Z]{2}/.test(text) && !/[a-z]/.test(text);
+}
+
+// Read one Dramatis Personae line. Names in capitals come first, several to a line when the
+// parts share a description ("VOLTEMAND, CORNELIUS, courtiers"), or run into it ("THE GHOST
+// of the late king"). A line without a name in capitals ("Two Clowns, Grave-diggers") is a
+// group of minor parts, whose speakers are named after its last word ("FIRST CLOWN").
+// Returns { names, description } or { group, noun, description }, or null for a blank line.
+function parseEntry(line) {
+  const text = line.replace(/[{}]/g, ' ').replace(/\s+/g, ' ').trim().replace(/\.$/, '');
+  if (!text) return null;
+
+  const segments = text.split(/,\s*/);
+  const names = [];
+  while (segments.length > 0 && isCapitalized(segments[0])) {
+    names.push(normalizeName(segments.shift()));
+  }
+  if (names.length === 0 && segments.length > 0) {
+    const runOn = segments[0].match(/^([A-Z][A-Z'’-]+(?:\s+[A-Z][A-Z'’-]*)*)\s+(?=[a-z])(.*)$/);
+    if (runOn && isCapitalized(runOn[1])) {
+      names.push(normalizeName(runOn[1]));
+      segments[0] = runOn[2];
+    }
+  }
+
+  const description = segments.join(', ').trim() || null;
+  if (names.length > 0) {
+    return { names: names.map(withoutArticle), description };
+  }
+
+  const group = segments.shift();
+  const noun = normalizeName(group.split(' ').pop()).replace(/MEN$/, 'MAN').replace(/S$/, '');
+  return { group, noun, description: segments.join(', ').trim() || null };
+}
+
+// Parse the lines of a Dramatis Personae list (without its heading).
+// Returns { characters: [{ name, description }], groups: [{ group, noun, description }] }.
+export function parseDramatisPersonae(lines) {
+  const characters = [];
+  const groups = [];
+
+  lines.forEach(line => {
+    const entry = parseEntry(line);
+    if (!entry) return;
+
+    if (entry.names) {
+      entry.names
+        .filter(name => !characters.some(character => character.name === name))
+        .forEach(name => characters.push({ name, description: entry.description }));
+    } else {
+      groups.push(entry);
+    }
+  });
+
+  return { characters, groups };
+}
+
+function words(name) {
+  return name.split(' ').filter(Boolean);
+}
+
+// "HAM" abbreviates "HAMLET" and "LADY M" "LADY MACBETH": each word starts the word in the
+// same place of the longer name
+function abbreviates(short, long) {
+  const shortWords = words(short);
+  const longWords = words(long);
+  return short !== long &&
+    shortWords[0].length >= 2 &&
+    shortWords.length <= longWords.length &&
+    shortWords.every((word, index) => longWords[index].startsWith(word));
+}
+
+// "KING CLAUDIUS" and "LORD POLONIUS" contain the name as whole words
+function containsName(printed, name) {
+  return ` ${printed} `.includes(` ${name} `);
+}
+
+// "KING" is the title that starts Claudius's description "King of Denmark, Hamlet's uncle"
+function isTitleIn(printed, description) {
+  if (!description) return false;
+  const title = withoutArticle(normalizeName(description));
+  return title === printed || title.startsWith(`${printed} `) || title.startsWith(`${printed},`);
+}
+
+// The one candidate a rule matches; several matches are ambiguous and resolve nothing
+function onlyMatch(candidates, rule) {
+  const matches = candidates.filter(rule);
+  return matches.length === 1 ? matches[0] : null;
+}
+
+// Build the character registry of one play from its Dramatis Personae (or null when it has
+// none) and the speaker names printed in it, in order of first appearance.
+// Returns { characters, resolve } where characters are [{ name, description, aliases, listed }]
+// with `listed` false for speakers missing from the Dramatis Personae, and resolve maps each
+// printed speaker name to the name of its character.
+export function buildCharacterRegistry(dramatisPersonae, speakerNames) {
+  const listed = (dramatisPersonae?.characters || []).map(character => ({ ...character, aliases: [], listed: true }));
+  const groups = dramatisPersonae?.groups || [];
+  const printedNames = [...new Set(speakerNames.map(normalizeName))];
+
+  function matchListed(printed) {
+    const bare = withoutArticle(printed);
+    return listed.find(character => character.name === bare) ||
+      onlyMatch(listed, character => containsName(bare, character.name)) ||
+      onlyMatch(listed, character => abbreviates(bare, character.name)) ||
+      onlyMatch(listed, character => isTitleIn(bare, character.description));
+  }
+
+  const unlisted = [];
+  const byName = new Map(listed.map(character => [character.name, character]));
+
+  function characterFor(printed) {
+    const match = matchListed(printed);
+    if (match) return match;
+
+    // Without a Dramatis Personae entry, an abbreviation resolves to the speaker it shortens
+    const fuller = onlyMatch(printedNames, other => abbreviates(withoutArticle(printed), other));
+    if (fuller) return characterFor(fuller);
+
+    const name = withoutArticle(printed);
+    if (!byName.has(name)) {
+      const group = groups.find(candidate => words(name).pop() === candidate.noun);
+      const character = { name, description: group?.description ?? null, aliases: [], listed: false };
+      byName.set(name, character);
+      unlisted.push(character);
+    }
+    return byName.get(name);
+  }
+
+  const resolve = new Map();
+  speakerNames.forEach(speaker => {
+    const printed = normalizeName(speaker);
+    const character = characterFor(printed);
+    if (printed !== character.name && !character.aliases.includes(printed)) {
+      character.aliases.push(printed);
+    }
+    resolve.set(speaker, character.name);
+  });
+
+  return { characters: [...listed, ...unlisted], resolve };
+}
+
+// Give each play's speeches the name of their character rather than the name printed on the
+// speaker line. `dramatisPersonae` maps works to the lines of their Dramatis Personae.
+// Sonnet and stanza chunks are left alone.
+// Returns { chunks, characters } with characters mapping each play to its registry entries.
+export function resolveSpeakers(chunks, dramatisPersonae) {
+  const speakersByWork = new Map();
+  chunks.forEach(chunk => {
+    if (!chunk.speaker || chunk.sonnetNumber != null) return;
+    if (!speakersByWork.has(chunk.work)) {
+      speakersByWork.set(chunk.work, []);
+    }
+    speakersByWork.get(chunk.work).push(chunk.speaker);
+  });
+
+  const characters = {};
+  const resolvers = new Map();
+  speakersByWork.forEach((speakers, work) => {
+    const lines = dramatisPersonae.get(work);
+    const registry = buildCharacterRegistry(lines ? parseDramatisPersonae(lines) : null, [...new Set(speakers)]);
+    characters[work] = registry.characters;
+    resolvers.set(work, registry.resolve);
+  });
+
+  return {
+    chunks: chunks.map(chunk => {
+      const resolve = resolvers.get(chunk.work);
+      return resolve?.has(chunk.speaker) ? { ...chunk, speaker: resolve.get(chunk.speaker) } : chunk;
+    }),
+    characters
+  };
+}
+
+function chunkLineCount(chunk) {
+  if (chunk.startLine != null && chunk.endLine != null) {
+    return chunk.endLine - chunk.startLine + 1;
+  }
+  return chunk.text.split('\n').filter(line => line.trim()).length;
+}
+
+// Add speech, line and word counts from a play's chunks to its registry entries. Speakers
+// in the chunks that the registry does not know (chunks files written before registries
+// were kept) are added as unlisted characters. The parts of a long speech count as one speech.
+// Returns [{ name, description, aliases, listed, speeches, lines, words }].
+export function countCharacterLines(registry, chunks) {
+  const characters = new Map((registry || []).map(character => [
+    character.name,
+    { ...character, speeches: 0, lines: 0, words: 0 }
+  ]));
+
+  chunks.forEach(chunk => {
+    const name = baseSpeakerName(chunk.speaker);
+    if (!name) return;
+    if (!characters.has(name)) {
+      characters.set(name, { name, description: null, aliases: [], listed: false, speeches: 0, lines: 0, words: 0 });
+    }
+
+    const character = characters.get(name);
+    const part = chunk.part ?? Number(chunk.speaker.match(/\(Part (\d+)\)$/)?.[1] ?? 1);
+    if (part === 1) {
+      character.speeches++;
+    }
+    character.lines += chunkLineCount(chunk);
+    character.words += chunk.wordCount || 0;
+  });
+
+  return [...characters.values()];
+}
@@ -0,0 +1,468 @@
+import { romanToNumber } from './text-utils.js';
+import { vectorMagnitude } from './vector-utils.js';
+import { assignStableIds } from './ingest-manifest.js';
+import { parseGutenbergText } from './gutenberg.js';
+import { parseSonnets, parsePoem } from './poems.js';
+import { prosodyMetadata } from './prosody.js';
+import { normalizeText } from './normalization.js';
+import { isDramatisPersonaeHeading, endsDramatisPersonae, resolveSpeakers } from './characters.js';
+
+// Splitting a collection's text into speeches, scenes, sonnets and stanzas, shared by ingest.js and
+// the /api/upsert route so both produce the same chunks and vector metadata
+
+// Function to check if a line is a speaker line
+function isSpeakerLine(line) {
+  const trimmedLine = line.trim();
+
+  // Speaker lines are all caps, often followed by a period
+  // Examples: "HAMLET.", "ROMEO.", "FIRST CITIZEN.", "BENEDICK"
+  const speakerPattern = /^([A-Z][A-Z\s,'.-]+?)\.?\s*$/;
+  const match = trimmedLine.match(speakerPattern);
+
+  if (match) {
+    const speaker = match[1].trim();
+
+    // Filter out common non-speaker patterns
+    const nonSpeakers = [
+      'ACT', 'SCENE', 'EPILOGUE', 'PROLOGUE', 'CHORUS', 'CONTENTS',
+      'THE END', 'FINIS', 'DRAMATIS PERSONAE', 'PERSONS REPRESENTED',
+      'INDUCTION', 'ARGUMENT', 'ENTER', 'EXIT', 'EXEUNT', 'ALARUM',
+      'FLOURISH', 'SENNET', 'HAUTBOYS', 'TRUMPETS', 'DRUMS',
+      'SCENE I', 'SCENE II', 'SCENE III', 'SCENE IV', 'SCENE V',
+      'ACT I', 'ACT II', 'ACT III', 'ACT IV', 'ACT V'
+    ];
+
+    // Additional checks for valid speakers
+    const isValidSpeaker = (
+      speaker.length > 1 &&
+      speaker.length < 50 && // Reasonable length limit
+      !nonSpeakers.some(ns => speaker.startsWith(ns)) &&
+      !speaker.match(/^(ACT|SCENE|EPILOGUE|PROLOGUE|ENTER|EXIT|EXEUNT)/) &&
+      !speaker.match(/^\d+$/) && // Not just numbers
+      !speaker.includes('SCENE') &&
+      !speaker.includes('Contents') &&
+      !speaker.match(/^[IVXLC]+\.?$/) // Not just roman numerals, e.g. a stanza number "I."
+    );
+
+    if (isValidSpeaker) {
+      return speaker.replace(/\.$/, ''); // Remove trailing period
+    }
+  }
+
+  return null;
+}
+
+// Function to split a line that starts with its speaker, e.g. "VOLP. Good morning to the day;"
+// Returns { speaker, text } or null
+function parseInlineSpeaker(line) {
+  const match = line.trim().match(/^([A-Z][A-Z'-]*(?:\s+[A-Z][A-Z'-]*){0,3})\.\s+(\S.*)$/);
+  if (!match) return null;
+
+  const speaker = isSpeakerLine(`${match[1]}.`);
+  return speaker ? { speaker, text: match[2] } : null;
+}
+
+// Function to check if a line is an act heading, e.g. "ACT III"
+function parseActHeading(line) {
+  const match = line.match(/^ACT\s+([IVXLC]+|\d+)\.?$/);
+  return match ? romanToNumber(match[1]) : null;
+}
+
+// Function to check if a line is a scene heading, e.g. "SCENE II. A room in the Castle."
+function parseSceneHeading(line) {
+  const match = line.match(/^SCENE\s+([IVXLC]+|\d+)\.?\s*(.*)$/);
+  if (!match) return null;
+
+  return {
+    scene: romanToNumber(match[1]),
+    location: match[2].trim().replace(/\.$/, '') || null
+  };
+}
+
+// Function to check if a line is an indented stage direction, e.g. " Enter Hamlet."
+function isStageDirection(line) {
+  return /^\s+(Enter|Exit|Exeunt|Re-enter|Manet|Manent)\b/.test(line);
+}
+
+// Function to count words in a text
+export function countWords(text) {
+  if (!text || typeof text !== 'string') return 0;
+
+  return text
+    .trim()
+    .replace(/\s+/g, ' ') // Replace multiple spaces with single space
+    .split(/\s+/)
+    .filter(word => word.length > 0 && word.match(/[a-zA-Z0-9]/)) // Only count words with letters/numbers
+    .length;
+}
+
+// Function to split large chunks into reasonable sizes. The pieces of a long speech keep its
+// speaker and are numbered by `part`.
+function splitLargeChunk(chunk, maxSize = 800) {
+  if (chunk.text.length <= maxSize) {
+    return [chunk];
+  }
+
+  const chunks = [];
+  const sentences = chunk.text.split(/(?<=[.!?])\s+/);
+  let currentText = '';
+  let partIndex = 1;
+
+  // Offsets of the current part in the original text, used to carry line numbers over
+  let searchFrom = 0;
+  let partStart = 0;
+  let partEnd = 0;
+
+  function lineAt(offset) {
+    return chunk.startLine + (chunk.text.slice(0, offset).match(/\n/g) || []).length;
+  }
+
+  function createPart(partNumber) {
+    const part = {
+      ...chunk,
+      text: currentText.trim(),
+      part: partNumber
+    };
+    if (chunk.startLine != null) {
+      part.startLine = lineAt(partStart);
+      part.endLine = lineAt(partEnd);
+    }
+    return part;
+  }
+
+  for (const sentence of sentences) {
+    const sentenceStart = chunk.text.indexOf(sentence, searchFrom);
+    searchFrom = sentenceStart + sentence.length;
+
+    // If adding this sentence would exceed the limit, save current chunk
+    if (currentText.length + sentence.length > maxSize && currentText.length > 0) {
+      chunks.push(createPart(partIndex));
+      currentText = sentence + ' ';
+      partStart = sentenceStart;
+      partIndex++;
+    } else {
+      currentText += sentence + ' ';
+    }
+    partEnd = searchFrom - 1;
+  }
+
+  // Add the final chunk
+  if (currentText.trim()) {
+    chunks.push(createPart(partIndex > 1 ? partIndex : null));
+  }
+
+  return chunks;
+}
+
+// Function to process the text of a collection and extract chunks.
+// `workStarts` maps line indexes to the title of the work starting there (located from the
+// book's Contents); without it a line that is exactly one of the `works` titles starts that
+// work. `parser` holds the collection's speakerFormat, sonnetSequence and poems options; the
+// sonnet sequence and the poems are split by the verse parser in poems.js. Text that does
+// not open with a work title (a single pasted document) can name the work it belongs to with
+// `start.work`, and the number of the sonnet it starts in with `start.sonnet`.
+// Returns { chunks, dramatisPersonae } where dramatisPersonae maps each play that has one to
+// the lines of its Dramatis Personae.
+function processText(text, { works, parser, workStarts = null }, start = {}) {
+  const chunks = [];
+  const lines = text.split('\n');
+  const dramatisPersonae = new Map();
+  let readingPersonae = false;
+
+  let currentWork = start.work || 'UNKNOWN';
+  let currentSpeaker = null;
+  let currentChunk = '';
+  let chunkId = 0;
+
+  // Track the position within the current play; lines are numbered per scene
+  let currentAct = null;
+  let currentScene = null;
+  let currentLocation = null;
+  let sceneLineNumber = 0;
+  let chunkStartLine = null;
+
+  // The lines of a sonnet sequence or narrative poem are collected and split when it ends
+  const poems = parser.poems || [];
+  const verseKind = work => (work === parser.sonnetSequence ? 'sonnets' : poems.includes(work) ? 'poem' : null);
+  let currentVerseKind = verseKind(currentWork);
+  let verseLines = [];
+  let firstSonnet = currentVerseKind === 'sonnets' ? start.sonnet ?? null : null;
+
+  // Helper function to save current chunk
+  function saveCurrentChunk() {
+    if (currentChunk.trim()) {
+      const chunk = {
+        id: chunkId++,
+        work: currentWork,
+        speaker: currentSpeaker,
+        act: currentAct,
+        scene: currentScene,
+        sceneLocation: currentLocation,
+        startLine: chunkStartLine,
+        endLine: sceneLineNumber,
+        text: currentChunk.trim()
+      };
+
+      // Split large chunks into smaller ones
+      const splitChunks = splitLargeChunk(chunk);
+      chunks.push(...splitChunks);
+    }
+    chunkStartLine = null;
+  }
+
+  // Helper function to save the sonnets or stanzas of the verse collected so far
+  function saveVerse() {
+    if (currentVerseKind === 'sonnets') {
+      parseSonnets(verseLines, firstSonnet).forEach(sonnet => {
+        chunks.push({ id: chunkId++, work: currentWork, speaker: `SONNET ${sonnet.sonnetNumber}`, ...sonnet });
+      });
+    } else if (currentVerseKind === 'poem') {
+      parsePoem(verseLines).forEach(stanza => {
+        chunks.push({ id: chunkId++, work: currentWork, speaker: null, ...stanza });
+      });
+    }
+    verseLines = [];
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmedLine = line.trim();
+
+    // Skip empty lines at the beginning of chunks; verse keeps them to find its stanzas
+    if (!trimmedLine && !currentChunk && !currentVerseKind) continue;
+
+    // Check if this line is a work title. A work's title repeated after its front matter
+    // starts it again.
+    const titleLine = trimmedLine.replace(/[‘’]/g, '\'');
+    const workMatch = workStarts
+      ? workStarts.get(i) || (titleLine === currentWork ? currentWork : null)
+      : works.find(work => titleLine === work);
+
+    if (workMatch) {
+      // Save previous chunk if exists
+      saveCurrentChunk();
+
+      // Save the verse of the previous work. When a poem's title is repeated, what came before
+      // it was the dedication or argument rather than verse.
+      if (workMatch === currentWork) {
+        verseLines = [];
+      } else {
+        saveVerse();
+      }
+
+      currentWork = workMatch;
+      currentVerseKind = verseKind(workMatch);
+      readingPersonae = false;
+      firstSonnet = null;
+      currentSpeaker = null;
+      currentChunk = '';
+      currentAct = null;
+      currentScene = null;
+      currentLocation = null;
+      sceneLineNumber = 0;
+      continue;
+    }
+
+    // Sonnets and poems have no speakers, acts or scenes
+    if (currentVerseKind) {
+      verseLines.push(line);
+      continue;
+    }
+
+    // The Dramatis Personae are kept for the play's character registry. The list runs until
+    // the setting ("SCENE: Elsinore") or the first act.
+    if (isDramatisPersonaeHeading(trimmedLine)) {
+      readingPersonae = true;
+      dramatisPersonae.set(currentWork, []);
+      continue;
+    }
+    if (readingPersonae) {
+      if (!endsDramatisPersonae(trimmedLine)) {
+        dramatisPersonae.get(currentWork).push(trimmedLine);
+        continue;
+      }
+      readingPersonae = false;
+    }
+
+    // Track act and scene headings; line numbers restart with every scene
+    const act = parseActHeading(trimmedLine);
+    if (act !== null) {
+      saveCurrentChunk();
+      currentAct = act;
+      currentScene = null;
+      currentLocation = null;
+      currentSpeaker = null;
+      currentChunk = '';
+      sceneLineNumber = 0;
+      continue;
+    }
+
+    const sceneHeading = parseSceneHeading(trimmedLine);
+    if (sceneHeading) {
+      saveCurrentChunk();
+      currentScene = sceneHeading.scene;
+      currentLocation = sceneHeading.location;
+      currentSpeaker = null;
+      currentChunk = '';
+      sceneLineNumber = 0;
+      continue;
+    }
+
+    // Handle plays - check for speaker lines
+    const speaker = isSpeakerLine(trimmedLine);
+    if (speaker) {
+      // Save previous chunk if exists
+      saveCurrentChunk();
+
+      currentSpeaker = speaker;
+      currentChunk = '';
+      continue;
+    }
+
+    // Collections printed with the speaker's name at the start of the speech
+    const inlineSpeaker = parser.speakerFormat === 'inline' ? parseInlineSpeaker(line) : null;
+    if (inlineSpeaker) {
+      saveCurrentChunk();
+
+      currentSpeaker = inlineSpeaker.speaker;
+      sceneLineNumber++;
+      chunkStartLine = sceneLineNumber;
+      currentChunk = inlineSpeaker.text + '\n';
+      continue;
+    }
+
+    // Skip stage directions and scene markers
+    if (trimmedLine.match(/^(ACT|SCENE|EPILOGUE|PROLOGUE|ENTER|EXIT|EXEUNT|ALARUM|FLOURISH)/)) {
+      continue;
+    }
+
+    // Skip bracketed stage directions
+    if (trimmedLine.match(/^\[.*\]$/)) {
+      continue;
+    }
+
+    // Skip indented entrances and exits so they are not counted as spoken lines
+    if (isStageDirection(line)) {
+      continue;
+    }
+
+    // Add line to current chunk if we have a speaker and it's meaningful content
+    if (currentSpeaker && trimmedLine) {
+      sceneLineNumber++;
+      if (chunkStartLine === null) {
+        chunkStartLine = sceneLineNumber;
+      }
+      currentChunk += line + '\n';
+    }
+  }
+
+  // Save final chunk
+  saveCurrentChunk();
+
+  // Save final sonnets or stanzas
+  saveVerse();
+
+  return { chunks, dramatisPersonae };
+}
+
+// Function to clean and validate chunks
+function cleanChunks(chunks) {
+  return chunks.filter(chunk => {
+    // Remove chunks that are too short
+    if (chunk.text.length < 10) return false;
+
+    // Remove chunks that are mostly stage directions
+    const stageDirectionPattern = /^\s*\[.*\]\s*$/;
+    if (stageDirectionPattern.test(chunk.text)) return false;
+
+    // Remove chunks that are just scene headers
+    if (chunk.text.match(/^(ACT|SCENE|EPILOGUE|PROLOGUE)/)) return false;
+
+    // Remove chunks that are just whitespace or punctuation
+    if (chunk.text.match(/^\s*[.,;:!?-]*\s*$/)) return false;
+
+    // Remove chunks that are just numbers or roman numerals
+    if (chunk.text.match(/^\s*[0-9IVXivx]+\s*$/)) return false;
+
+    return true;
+  }).map(chunk => ({
+    ...chunk,
+    textLength: chunk.text.length,
+    wordCount: countWords(chunk.text)
+  }));
+}
+
+// Function to record reading order and previous/next links between chunks.
+// Links stay within one scene, or within the whole work for poems and the sonnet sequence.
+function linkChunks(chunks) {
+  const passageKey = chunk => `${chunk.work}|${chunk.act ?? ''}|${chunk.scene ?? ''}`;
+
+  return chunks.map((chunk, position) => {
+    const previous = chunks[position - 1];
+    const next = chunks[position + 1];
+    return {
+      ...chunk,
+      sequence: position,
+      prevId: previous && passageKey(previous) === passageKey(chunk) ? previous.id.toString() : null,
+      nextId: next && passageKey(next) === passageKey(chunk) ? next.id.toString() : null
+    };
+  });
+}
+
+// Function to build the metadata stored with each vector.
+// Pinecone rejects null metadata values, so the speaker (poems have none), location, verse,
+// prosody and link fields are only set when known.
+export function buildVectorMetadata(chunk, embedding) {
+  const metadata = {
+    work: chunk.work,
+    text: chunk.text,
+    textLength: chunk.textLength,
+    wordCount: chunk.wordCount,
+    vectorMagnitude: vectorMagnitude(embedding).toFixed(6)
+  };
+
+  ['speaker', 'act', 'scene', 'sceneLocation', 'part', 'sonnetNumber', 'stanzaNumber', 'verseForm', 'meter', 'rhymeScheme', 'verseLineCount', 'proseLineCount', 'startLine', 'endLine', 'sequence', 'prevId', 'nextId'].forEach(field => {
+    if (chunk[field] !== null && chunk[field] !== undefined) {
+      metadata[field] = chunk[field];
+    }
+  });
+
+  return metadata;
+}
+
+// Parse text into cleaned chunks with stable ids, reading-order links and a modern-English
+// `normalizedText` (see normalization.js), their speakers resolved to the characters of the
+// play's registry (see characters.js). `collection` supplies the works and parser options,
+// and its `prosody` flag adds the metre and rhyme scheme of each chunk; `start` is passed on
+// to processText.
+// Returns { chunks, characters } with characters mapping each play to its registry.
+export function chunkText(text, collection, start = {}) {
+  const processed = processText(text, collection, start);
+  const { chunks: resolved, characters } = resolveSpeakers(cleanChunks(processed.chunks), processed.dramatisPersonae);
+
+  const chunks = linkChunks(assignStableIds(resolved))
+    .map(chunk => ({ ...chunk, normalizedText: normalizeText(chunk.text) }));
+  return {
+    chunks: collection.prosody ? chunks.map(chunk => ({ ...chunk, ...prosodyMetadata(chunk.text) })) : chunks,
+    characters
+  };
+}
+
+// Split a collection's source file into chunks. The Project Gutenberg licence header and
+// footer are dropped, and the works are the ones listed in the book's Contents when it has
+// one, otherwise the collection's configured titles.
+// Returns { chunks, characters, works, worksSource ('contents' or 'configured'), missing,
+// header } where `missing` lists Contents entries that could not be found in the text.
+export function chunkSource(text, collection) {
+  const book = parseGutenbergText(text.replace(/\r\n/g, '\n'));
+  const detected = book.works.length > 0;
+  const workStarts = detected ? new Map(book.works.map(work => [work.line, work.title])) : null;
+
+  return {
+    ...chunkText(book.body, { ...collection, workStarts }),
+    works: detected ? book.works.map(work => work.title) : collection.works,
+    worksSource: detected ? 'contents' : 'configured',
+    missing: book.missing,
+    header: book.header
+  };
+}
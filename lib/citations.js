@@ -0,0 +1,103 @@
+// Standard short citations for chunks, e.g. "Hamlet 3.1.56–88" or "Sonnet 18.1–14"
+
+// Conventional short titles for the works in the collections
+const SHORT_TITLES = {
+  'THE SONNETS': 'Sonnets',
+  'ALL\'S WELL THAT ENDS WELL': 'All\'s Well That Ends Well',
+  'THE TRAGEDY OF ANTONY AND CLEOPATRA': 'Antony and Cleopatra',
+  'AS YOU LIKE IT': 'As You Like It',
+  'THE COMEDY OF ERRORS': 'The Comedy of Errors',
+  'THE TRAGEDY OF CORIOLANUS': 'Coriolanus',
+  'CYMBELINE': 'Cymbeline',
+  'THE TRAGEDY OF HAMLET, PRINCE OF DENMARK': 'Hamlet',
+  'THE FIRST PART OF KING HENRY THE FOURTH': '1 Henry IV',
+  'THE SECOND PART OF KING HENRY THE FOURTH': '2 Henry IV',
+  'THE LIFE OF KING HENRY THE FIFTH': 'Henry V',
+  'THE FIRST PART OF HENRY THE SIXTH': '1 Henry VI',
+  'THE SECOND PART OF KING HENRY THE SIXTH': '2 Henry VI',
+  'THE THIRD PART OF KING HENRY THE SIXTH': '3 Henry VI',
+  'KING HENRY THE EIGHTH': 'Henry VIII',
+  'THE LIFE AND DEATH OF KING JOHN': 'King John',
+  'THE TRAGEDY OF JULIUS CAESAR': 'Julius Caesar',
+  'THE TRAGEDY OF KING LEAR': 'King Lear',
+  'LOVE\'S LABOUR\'S LOST': 'Love\'s Labour\'s Lost',
+  'THE TRAGEDY OF MACBETH': 'Macbeth',
+  'MEASURE FOR MEASURE': 'Measure for Measure',
+  'THE MERCHANT OF VENICE': 'The Merchant of Venice',
+  'THE MERRY WIVES OF WINDSOR': 'The Merry Wives of Windsor',
+  'A MIDSUMMER NIGHT\'S DREAM': 'A Midsummer Night\'s Dream',
+  'MUCH ADO ABOUT NOTHING': 'Much Ado About Nothing',
+  'THE TRAGEDY OF OTHELLO, THE MOOR OF VENICE': 'Othello',
+  'PERICLES, PRINCE OF TYRE': 'Pericles',
+  'KING RICHARD THE SECOND': 'Richard II',
+  'KING RICHARD THE THIRD': 'Richard III',
+  'THE TRAGEDY OF ROMEO AND JULIET': 'Romeo and Juliet',
+  'THE TAMING OF THE SHREW': 'The Taming of the Shrew',
+  'THE TEMPEST': 'The Tempest',
+  'THE LIFE OF TIMON OF ATHENS': 'Timon of Athens',
+  'THE TRAGEDY OF TITUS ANDRONICUS': 'Titus Andronicus',
+  'TROILUS AND CRESSIDA': 'Troilus and Cressida',
+  'TWELFTH NIGHT; OR, WHAT YOU WILL': 'Twelfth Night',
+  'THE TWO GENTLEMEN OF VERONA': 'The Two Gentlemen of Verona',
+  'THE TWO NOBLE KINSMEN': 'The Two Noble Kinsmen',
+  'THE WINTER\'S TALE': 'The Winter\'s Tale',
+  'A LOVER\'S COMPLAINT': 'A Lover\'s Complaint',
+  'THE PASSIONATE PILGRIM': 'The Passionate Pilgrim',
+  'THE PHOENIX AND THE TURTLE': 'The Phoenix and the Turtle',
+  'THE RAPE OF LUCRECE': 'The Rape of Lucrece',
+  'VENUS AND ADONIS': 'Venus and Adonis',
+  'THE FIRST PART OF TAMBURLAINE THE GREAT': '1 Tamburlaine',
+  'THE SECOND PART OF TAMBURLAINE THE GREAT': '2 Tamburlaine',
+  'THE TRAGICAL HISTORY OF DOCTOR FAUSTUS': 'Doctor Faustus',
+  'THE JEW OF MALTA': 'The Jew of Malta',
+  'EDWARD THE SECOND': 'Edward II',
+  'THE MASSACRE AT PARIS': 'The Massacre at Paris',
+  'DIDO, QUEEN OF CARTHAGE': 'Dido, Queen of Carthage',
+  'HERO AND LEANDER': 'Hero and Leander',
+  'EVERY MAN IN HIS HUMOUR': 'Every Man in His Humour',
+  'EVERY MAN OUT OF HIS HUMOUR': 'Every Man out of His Humour',
+  'SEJANUS HIS FALL': 'Sejanus',
+  'VOLPONE; OR, THE FOX': 'Volpone',
+  'EPICOENE; OR, THE SILENT WOMAN': 'Epicoene',
+  'THE ALCHEMIST': 'The Alchemist',
+  'BARTHOLOMEW FAIR': 'Bartholomew Fair'
+};
+
+const SMALL_WORDS = ['a', 'an', 'and', 'of', 'the', 'or', 'to', 'in', 'on'];
+
+// Title-case an all-caps title that has no conventional short form
+function titleCase(title) {
+  return title
+    .toLowerCase()
+    .split(' ')
+    .map((word, index) => (index > 0 && SMALL_WORDS.includes(word) ? word : word.charAt(0).toUpperCase() + word.slice(1)))
+    .join(' ');
+}
+
+export function shortTitle(work) {
+  if (!work) return 'Unknown';
+  return SHORT_TITLES[work] || titleCase(work);
+}
+
+function formatLineRange(startLine, endLine) {
+  if (startLine == null) return '';
+  if (endLine == null || endLine === startLine) return String(startLine);
+  return `${startLine}–${endLine}`;
+}
+
+// Build a citation from chunk metadata: act.scene.lines for plays, number.lines for sonnets
+// and the lines of the whole poem for the stanzas of a narrative poem
+export function formatCitation(metadata = {}) {
+  const { work, speaker, act, scene, startLine, endLine } = metadata;
+  const lines = formatLineRange(startLine, endLine);
+
+  // Chunks ingested before sonnetNumber was recorded only name the sonnet in their speaker
+  const sonnetNumber = metadata.sonnetNumber ?? (work === 'THE SONNETS' ? speaker?.match(/^SONNET (\d+)$/)?.[1] : null);
+  if (sonnetNumber != null) {
+    return lines ? `Sonnet ${sonnetNumber}.${lines}` : `Sonnet ${sonnetNumber}`;
+  }
+
+  const location = [act, scene].filter(part => part != null);
+  if (lines) location.push(lines);
+  return location.length > 0 ? `${shortTitle(work)} ${location.join('.')}` : shortTitle(work);
+}
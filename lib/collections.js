@@ -0,0 +1,61 @@
+import { readFileSync } from 'fs';
+
+// Collection ingested and searched when none is named
+export const DEFAULT_COLLECTION = 'shakespeare';
+
+export const SPEAKER_FORMATS = ['own-line', 'inline'];
+
+// Read the named collections from collections.json (or COLLECTIONS_PATH). Each has a title,
+// author, source text file, the vector store namespace it is written to, the chunks file
+// ingest.js writes, the work titles to look for when the source has no Contents list to
+// read them from, and parser options:
+//   speakerFormat   - 'own-line' ("HAMLET." on a line of its own) or 'inline' ("VOLP. Good morning...")
+//   sonnetSequence  - title of a work made of numbered sonnets, or null
+//   poems           - titles of narrative poems, split into stanzas rather than speeches
+// and `prosody`, true to store each chunk's metre and rhyme scheme with it at ingest.
+// Returns an array in file order.
+export function loadCollections(path = process.env.COLLECTIONS_PATH || './collections.json') {
+  const config = JSON.parse(readFileSync(path, 'utf-8'));
+
+  return Object.entries(config).map(([name, collection]) => {
+    const parser = {
+      speakerFormat: 'own-line',
+      sonnetSequence: null,
+      poems: [],
+      ...collection.parser
+    };
+
+    if (!collection.source || !collection.namespace || !collection.chunksPath) {
+      throw new Error(`Collection "${name}" in ${path} needs a source, namespace and chunksPath`);
+    }
+    if (collection.works !== undefined && !Array.isArray(collection.works)) {
+      throw new Error(`Collection "${name}" in ${path} has works that are not a list of titles`);
+    }
+    if (!Array.isArray(parser.poems)) {
+      throw new Error(`Collection "${name}" in ${path} has parser.poems that are not a list of titles`);
+    }
+    if (!SPEAKER_FORMATS.includes(parser.speakerFormat)) {
+      throw new Error(`Collection "${name}" has unknown speakerFormat "${parser.speakerFormat}". Expected one of: ${SPEAKER_FORMATS.join(', ')}`);
+    }
+
+    return {
+      name,
+      title: collection.title || name,
+      author: collection.author || null,
+      source: collection.source,
+      namespace: collection.namespace,
+      chunksPath: collection.chunksPath,
+      works: collection.works || [],
+      parser,
+      prosody: Boolean(collection.prosody)
+    };
+  });
+}
+
+export function getCollection(collections, name) {
+  const collection = collections.find(candidate => candidate.name === name);
+  if (!collection) {
+    throw new Error(`Unknown collection "${name}". Expected one of: ${collections.map(candidate => candidate.name).join(', ')}`);
+  }
+  return collection;
+}
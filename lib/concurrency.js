@@ -0,0 +1,56 @@
+// Limit how many async tasks run at once. run(task) queues task() and resolves or rejects
+// with its result. idle() waits for everything queued so far to settle and then rejects
+// with the first failure, so tasks started without awaiting them cannot fail silently.
+export function createLimiter(concurrency) {
+  const queue = [];
+  const pending = new Set();
+  const failures = [];
+  let active = 0;
+
+  function next() {
+    if (active >= concurrency || queue.length === 0) return;
+
+    const { task, resolve, reject } = queue.shift();
+    active++;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  }
+
+  function run(task) {
+    const promise = new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+    pending.add(promise);
+    promise.then(
+      () => pending.delete(promise),
+      error => {
+        pending.delete(promise);
+        failures.push(error);
+      }
+    );
+    return promise;
+  }
+
+  async function idle() {
+    while (pending.size > 0) {
+      await Promise.allSettled(pending);
+    }
+    if (failures.length > 0) {
+      throw failures[0];
+    }
+  }
+
+  return { run, idle };
+}
+
+// Map over items with at most `concurrency` calls of fn in flight, keeping the input order
+export async function mapWithConcurrency(items, concurrency, fn) {
+  const limiter = createLimiter(concurrency);
+  return Promise.all(items.map((item, position) => limiter.run(() => fn(item, position))));
+}
@@ -0,0 +1,70 @@
+import { formatResult } from './search.js';
+
+// Maximum number of neighbouring chunks returned on each side of a hit
+export const MAX_CONTEXT_CHUNKS = 10;
+
+// Look chunks up by id in one collection, from its chunks file when it is loaded and the
+// vector store otherwise. Returns a Map of id -> metadata.
+async function lookupChunks(ids, { index, corpus }) {
+  if (corpus) {
+    return new Map(ids.filter(id => corpus.chunksById.has(id)).map(id => [id, corpus.chunksById.get(id)]));
+  }
+
+  const { records } = await index.fetch(ids);
+  return new Map(Object.values(records).map(record => [record.id, record.metadata]));
+}
+
+// Follow one link field (prevId or nextId) up to `steps` times from every result,
+// fetching each step for all results at once. Returns one list per result, nearest first.
+async function walkLinks(results, field, steps, collection) {
+  const neighbours = results.map(() => []);
+  let frontier = results.map(result => result[field]);
+
+  for (let step = 0; step < steps; step++) {
+    const ids = [...new Set(frontier.filter(Boolean))];
+    if (ids.length === 0) break;
+
+    const chunks = await lookupChunks(ids, collection);
+    frontier = frontier.map((id, position) => {
+      const chunk = id ? chunks.get(id) : null;
+      if (!chunk) return null;
+      neighbours[position].push({ ...formatResult(id, chunk), collection: collection.name });
+      return chunk[field] ?? null;
+    });
+  }
+
+  return neighbours;
+}
+
+// Attach `context: { before, after }` to each result: up to `before` / `after` neighbouring
+// chunks from the same scene (or poem), in reading order. Links never leave a collection, so
+// each result's neighbours are looked up in its own collection (`context.collections` as
+// for searchPassages). Chunks ingested before links were recorded have no neighbours.
+export async function expandContext(results, { before = 0, after = 0 }, { collections }) {
+  const expanded = [...results];
+
+  await Promise.all(collections.map(async collection => {
+    const positions = results
+      .map((result, position) => (result.collection === collection.name ? position : null))
+      .filter(position => position !== null);
+    if (positions.length === 0) return;
+
+    const group = positions.map(position => results[position]);
+    const [previous, next] = await Promise.all([
+      walkLinks(group, 'prevId', before, collection),
+      walkLinks(group, 'nextId', after, collection)
+    ]);
+
+    positions.forEach((position, groupIndex) => {
+      expanded[position] = {
+        ...results[position],
+        context: {
+          before: previous[groupIndex].reverse(),
+          after: next[groupIndex]
+        }
+      };
+    });
+  }));
+
+  return expanded;
+}
@@ -0,0 +1,53 @@
+import { randomUUID } from 'crypto';
+
+// In-memory conversation sessions. The oldest session is evicted once maxSessions is reached.
+export function createConversationStore({ maxSessions = 500 } = {}) {
+  const sessions = new Map();
+
+  function create() {
+    if (sessions.size >= maxSessions) {
+      const oldestId = sessions.keys().next().value;
+      sessions.delete(oldestId);
+    }
+
+    const now = new Date().toISOString();
+    const session = {
+      id: randomUUID(),
+      createdAt: now,
+      updatedAt: now,
+      turns: []
+    };
+    sessions.set(session.id, session);
+    return session;
+  }
+
+  function get(id) {
+    return sessions.get(id) || null;
+  }
+
+  function addTurn(id, turn) {
+    const session = get(id);
+    if (!session) {
+      throw new Error(`Conversation ${id} not found`);
+    }
+
+    const storedTurn = {
+      id: session.turns.length + 1,
+      createdAt: new Date().toISOString(),
+      ...turn
+    };
+    session.turns.push(storedTurn);
+    session.updatedAt = storedTurn.createdAt;
+
+    // Keep recently used sessions at the end so eviction removes idle ones first
+    sessions.delete(id);
+    sessions.set(id, session);
+    return storedTurn;
+  }
+
+  return {
+    create,
+    get,
+    addTurn
+  };
+}
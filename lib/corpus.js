@@ -0,0 +1,78 @@
+import { existsSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { createBm25Index } from './bm25.js';
+import { createQuoteIndex } from './quotes.js';
+import { tokenize } from './text-utils.js';
+
+// Keyword search also finds a chunk by the modern words of its normalised shadow text
+// ("you are" for "thou art"). Chunks ingested before shadows were kept are indexed as they are.
+function keywordDocument(chunk) {
+  if (!chunk.normalizedText) return chunk;
+  const terms = new Set(tokenize(chunk.text));
+  const modernTerms = [...new Set(tokenize(chunk.normalizedText))].filter(term => !terms.has(term));
+  return { id: chunk.id, text: [chunk.text, ...modernTerms].join(' ') };
+}
+
+function buildCorpus(metadata, chunks) {
+  const chunksById = new Map(chunks.map(chunk => [String(chunk.id), chunk]));
+
+  console.log('Building keyword index...');
+  const keywordIndex = createBm25Index(chunks.map(keywordDocument));
+  console.log(`Keyword index built over ${keywordIndex.size} chunks`);
+
+  console.log('Building quotation index...');
+  const quoteIndex = createQuoteIndex(chunks);
+  console.log(`Quotation index built over ${quoteIndex.size} words`);
+
+  return {
+    metadata,
+    chunks,
+    chunksById,
+    keywordIndex,
+    quoteIndex
+  };
+}
+
+// Load the chunks written by ingest.js and build the keyword and quotation indexes over them.
+// Returns null when the file has not been generated yet.
+export function loadCorpus(path = './vectors.json') {
+  if (!existsSync(path)) {
+    console.warn(`${path} not found, keyword search is unavailable until ingest.js has been run`);
+    return null;
+  }
+
+  console.log(`Loading chunks from ${path}...`);
+  const { metadata, chunks } = JSON.parse(readFileSync(path, 'utf-8'));
+  return buildCorpus(metadata, chunks);
+}
+
+// A copy of the corpus (or a new one when corpus is null) with the given chunks added,
+// replacing any chunks with the same ids, and the indexes rebuilt
+export function addChunksToCorpus(corpus, chunks) {
+  const ids = new Set(chunks.map(chunk => String(chunk.id)));
+  const kept = corpus ? corpus.chunks.filter(chunk => !ids.has(String(chunk.id))) : [];
+  return buildCorpus(corpus?.metadata || null, [...kept, ...chunks]);
+}
+
+// A copy of the corpus without one work's chunks, and the indexes rebuilt
+export function removeWorkFromCorpus(corpus, work) {
+  return buildCorpus(corpus.metadata, corpus.chunks.filter(chunk => chunk.work !== work));
+}
+
+// A copy of the corpus with one work's character registry (see characters.js) replaced, or
+// removed when characters is null. Registries are kept in the chunks file's metadata.
+export function setWorkCharacters(corpus, work, characters) {
+  const registries = { ...corpus.metadata?.characters };
+  if (characters) {
+    registries[work] = characters;
+  } else {
+    delete registries[work];
+  }
+  return { ...corpus, metadata: { ...corpus.metadata, characters: registries } };
+}
+
+// Write the corpus back to its chunks file in the format ingest.js writes, so documents
+// added or removed through the server are still there after a restart
+export function saveCorpus(path, corpus) {
+  writeFileSync(`${path}.tmp`, JSON.stringify({ metadata: corpus.metadata, chunks: corpus.chunks }, null, 2));
+  renameSync(`${path}.tmp`, path);
+}
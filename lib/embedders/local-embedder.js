@@ -0,0 +1,64 @@
+import { hashString, tokenize } from '../text-utils.js';
+
+// Relative weight of each n-gram family in the hashed feature vector
+const UNIGRAM_WEIGHT = 1.0;
+const BIGRAM_WEIGHT = 0.5;
+const TRIGRAM_WEIGHT = 0.25;
+
+// Offline, deterministic embedder. Word unigrams, word bigrams and character trigrams
+// are hashed into a fixed number of buckets (with a hashed sign to reduce collisions)
+// and weighted by log term frequency. Useful for development, demos and tests; it
+// captures shared wording rather than meaning.
+export function createLocalEmbedder({ dimension = 512 } = {}) {
+  if (!Number.isInteger(dimension) || dimension < 8) {
+    throw new Error(`Local embedding dimension must be an integer >= 8, got ${dimension}`);
+  }
+
+  function extractFeatures(text) {
+    const features = new Map();
+    const add = (feature, weight) => {
+      features.set(feature, (features.get(feature) || 0) + weight);
+    };
+
+    const words = tokenize(text);
+    words.forEach((word, position) => {
+      add(`w:${word}`, UNIGRAM_WEIGHT);
+      if (position > 0) {
+        add(`b:${words[position - 1]} ${word}`, BIGRAM_WEIGHT);
+      }
+      const padded = `^${word}$`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        add(`c:${padded.slice(i, i + 3)}`, TRIGRAM_WEIGHT);
+      }
+    });
+
+    if (features.size === 0) {
+      add('empty', 1);
+    }
+    return features;
+  }
+
+  function embedText(text) {
+    const vector = new Array(dimension).fill(0);
+    extractFeatures(text).forEach((count, feature) => {
+      const hash = hashString(feature);
+      const bucket = hash % dimension;
+      const sign = (hash >>> 31) === 1 ? -1 : 1;
+      vector[bucket] += sign * Math.log1p(count);
+    });
+    return vector;
+  }
+
+  async function embed(texts) {
+    return texts.map(embedText);
+  }
+
+  return {
+    type: 'local',
+    model: `local-hashed-ngram-${dimension}`,
+    dimension,
+    maxBatchSize: 1000,
+    maxBatchTokens: Infinity,
+    embed
+  };
+}
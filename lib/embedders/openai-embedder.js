@@ -0,0 +1,42 @@
+import OpenAI from 'openai';
+
+// Native output dimension of each supported OpenAI embedding model
+const MODEL_DIMENSIONS = {
+  'text-embedding-ada-002': 1536,
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072
+};
+
+// Embedding provider backed by the OpenAI embeddings API.
+// The text-embedding-3 models can be shortened with the `dimensions` option.
+export function createOpenAIEmbedder({ apiKey, model = 'text-embedding-ada-002', dimensions }) {
+  if (!MODEL_DIMENSIONS[model]) {
+    throw new Error(`Unknown OpenAI embedding model "${model}". Expected one of: ${Object.keys(MODEL_DIMENSIONS).join(', ')}`);
+  }
+  if (dimensions && model === 'text-embedding-ada-002') {
+    throw new Error('text-embedding-ada-002 does not support a custom dimension');
+  }
+
+  // Retries are handled by the embedder (see retry.js) so they can honour Retry-After
+  const openai = new OpenAI({ apiKey, maxRetries: 0 });
+
+  async function embed(texts) {
+    const response = await openai.embeddings.create({
+      model,
+      input: texts,
+      encoding_format: 'float',
+      ...(dimensions ? { dimensions } : {})
+    });
+    return response.data.map(item => item.embedding);
+  }
+
+  return {
+    type: 'openai',
+    model,
+    dimension: dimensions || MODEL_DIMENSIONS[model],
+    // The API accepts up to 2048 inputs and 300,000 tokens per request
+    maxBatchSize: 2048,
+    maxBatchTokens: 300000,
+    embed
+  };
+}
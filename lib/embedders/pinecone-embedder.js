@@ -0,0 +1,35 @@
+import { Pinecone } from '@pinecone-database/pinecone';
+
+// Output dimension of each supported Pinecone inference model
+const MODEL_DIMENSIONS = {
+  'multilingual-e5-large': 1024,
+  'llama-text-embed-v2': 1024
+};
+
+// Embedding provider backed by Pinecone hosted inference
+export function createPineconeEmbedder({ apiKey, model = 'multilingual-e5-large' }) {
+  if (!MODEL_DIMENSIONS[model]) {
+    throw new Error(`Unknown Pinecone embedding model "${model}". Expected one of: ${Object.keys(MODEL_DIMENSIONS).join(', ')}`);
+  }
+
+  const pc = new Pinecone({ apiKey });
+
+  // e5 style models embed queries and passages differently
+  async function embed(texts, { inputType = 'passage' } = {}) {
+    const response = await pc.inference.embed(model, texts, {
+      inputType,
+      truncate: 'END'
+    });
+    return response.data.map(item => item.values);
+  }
+
+  return {
+    type: 'pinecone',
+    model,
+    dimension: MODEL_DIMENSIONS[model],
+    maxBatchSize: 96,
+    // Inputs are truncated to the model's context, so only the input count is limited
+    maxBatchTokens: Infinity,
+    embed
+  };
+}
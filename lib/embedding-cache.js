@@ -0,0 +1,80 @@
+import { createHash } from 'crypto';
+import { appendFileSync, existsSync, mkdirSync, readFileSync, truncateSync } from 'fs';
+import { join } from 'path';
+
+const KEY_BYTES = 20;
+
+function cacheKey(text, inputType) {
+  return createHash('sha1').update(`${inputType}\u0000${text}`).digest();
+}
+
+// Disk-backed cache of embeddings for one model, keyed by a hash of the input text.
+// Entries live in <directory>/<model>-<dimension>.bin as fixed-size records
+// (20-byte SHA-1 key followed by the float32 values) and are appended by flush(),
+// so whatever was flushed before a crash is still there on the next run.
+export function createEmbeddingCache({ directory, model, dimension }) {
+  const path = join(directory, `${model.replace(/[^A-Za-z0-9.-]+/g, '_')}-${dimension}.bin`);
+  const recordBytes = KEY_BYTES + dimension * 4;
+  const entries = new Map();
+  let pending = [];
+
+  if (existsSync(path)) {
+    const buffer = readFileSync(path);
+    // A partially written trailing record (from a crash mid-append) is cut off, so that the
+    // records flush() appends next start on a record boundary
+    const count = Math.floor(buffer.length / recordBytes);
+    if (buffer.length > count * recordBytes) {
+      truncateSync(path, count * recordBytes);
+    }
+    for (let i = 0; i < count; i++) {
+      const offset = i * recordBytes;
+      const key = buffer.toString('hex', offset, offset + KEY_BYTES);
+      const values = new Float32Array(dimension);
+      for (let j = 0; j < dimension; j++) {
+        values[j] = buffer.readFloatLE(offset + KEY_BYTES + j * 4);
+      }
+      entries.set(key, values);
+    }
+    console.log(`Loaded ${entries.size} cached embeddings from ${path}`);
+  }
+
+  function get(text, inputType = 'passage') {
+    const values = entries.get(cacheKey(text, inputType).toString('hex'));
+    return values ? Array.from(values) : null;
+  }
+
+  function set(text, embedding, inputType = 'passage') {
+    const key = cacheKey(text, inputType);
+    const hexKey = key.toString('hex');
+    if (entries.has(hexKey)) return;
+
+    const values = Float32Array.from(embedding);
+    entries.set(hexKey, values);
+    pending.push({ key, values });
+  }
+
+  // Append entries added since the last flush to the cache file
+  function flush() {
+    if (pending.length === 0) return;
+
+    mkdirSync(directory, { recursive: true });
+    const buffer = Buffer.alloc(pending.length * recordBytes);
+    pending.forEach(({ key, values }, position) => {
+      const offset = position * recordBytes;
+      key.copy(buffer, offset);
+      values.forEach((value, j) => buffer.writeFloatLE(value, offset + KEY_BYTES + j * 4));
+    });
+    appendFileSync(path, buffer);
+    pending = [];
+  }
+
+  return {
+    path,
+    get size() {
+      return entries.size;
+    },
+    get,
+    set,
+    flush
+  };
+}
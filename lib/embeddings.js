@@ -0,0 +1,163 @@
+import { createOpenAIEmbedder } from './embedders/openai-embedder.js';
+import { createPineconeEmbedder } from './embedders/pinecone-embedder.js';
+import { createLocalEmbedder } from './embedders/local-embedder.js';
+import { normalizeVector, isVectorNormalized } from './vector-utils.js';
+import { estimateTokens } from './text-utils.js';
+import { withRetry } from './retry.js';
+import { mapWithConcurrency } from './concurrency.js';
+
+export const EMBEDDING_PROVIDERS = ['openai', 'pinecone', 'local'];
+
+// Split the texts at `positions` into batches of at most maxItems texts and maxTokens
+// estimated tokens. A single text over the token limit still gets a batch of its own.
+function planBatches(texts, positions, maxItems, maxTokens) {
+  const batches = [];
+  let current = [];
+  let currentTokens = 0;
+
+  positions.forEach(position => {
+    const tokens = estimateTokens(texts[position]);
+    if (current.length > 0 && (current.length >= maxItems || currentTokens + tokens > maxTokens)) {
+      batches.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(position);
+    currentTokens += tokens;
+  });
+
+  if (current.length > 0) {
+    batches.push(current);
+  }
+  return batches;
+}
+
+function createProvider(type) {
+  const dimension = process.env.EMBEDDING_DIMENSION ? parseInt(process.env.EMBEDDING_DIMENSION) : undefined;
+
+  switch (type) {
+    case 'openai':
+      return createOpenAIEmbedder({
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.EMBEDDING_MODEL || 'text-embedding-ada-002',
+        dimensions: dimension
+      });
+    case 'pinecone':
+      return createPineconeEmbedder({
+        apiKey: process.env.PINECONE_API_KEY,
+        model: process.env.EMBEDDING_MODEL || 'multilingual-e5-large'
+      });
+    case 'local':
+      return createLocalEmbedder({ dimension: dimension || 512 });
+    default:
+      throw new Error(`Unknown embedding provider "${type}". Expected one of: ${EMBEDDING_PROVIDERS.join(', ')}`);
+  }
+}
+
+// Select the embedding provider from the EMBEDDING_PROVIDER environment variable.
+// Every provider exposes { type, model, dimension, maxBatchSize, maxBatchTokens, embed(texts, { inputType }) };
+// the returned embedder adds dimension checks, normalization, retries and batching on top.
+// EMBEDDING_CONCURRENCY sets how many batch requests may be in flight at once, and
+// EMBEDDING_MAX_BATCH_TOKENS lowers the per-request token budget for accounts with lower limits.
+export function createEmbedder(type = process.env.EMBEDDING_PROVIDER || 'openai') {
+  const provider = createProvider(type);
+  const concurrency = Math.max(1, parseInt(process.env.EMBEDDING_CONCURRENCY || '2'));
+  const maxBatchTokens = process.env.EMBEDDING_MAX_BATCH_TOKENS
+    ? parseInt(process.env.EMBEDDING_MAX_BATCH_TOKENS)
+    : provider.maxBatchTokens;
+
+  function checkEmbedding(embedding) {
+    // Verify the embedding is the expected dimension
+    if (embedding.length !== provider.dimension) {
+      throw new Error(`Expected ${provider.dimension} dimensions, got ${embedding.length}`);
+    }
+    
+    // Check if it's already normalized (OpenAI embeddings are usually normalized)
+    if (!isVectorNormalized(embedding)) {
+      return normalizeVector(embedding);
+    }
+    
+    return embedding;
+  }
+
+  // Embed a single text; queries and passages are embedded differently by some models
+  async function generateEmbedding(text, inputType = 'query') {
+    try {
+      const [embedding] = await withRetry(() => provider.embed([text.trim()], { inputType }), { label: 'Embedding', retries: 2 });
+      return checkEmbedding(embedding);
+    } catch (error) {
+      console.error('Error generating embedding:', error);
+      throw error;
+    }
+  }
+
+  // Function to generate embeddings in batches sized by input count and estimated tokens,
+  // running up to `concurrency` requests at once and retrying throttled or failed ones.
+  // With a `cache` (see embedding-cache.js) texts embedded before are served from disk,
+  // and each new batch is written to the cache as soon as it returns, so a failed run
+  // loses nothing it already paid for. `onBatch(positions, embeddings)` is awaited for the
+  // cached texts and then for every batch as it completes, in completion order.
+  async function generateEmbeddingsBatch(texts, batchSize = 100, inputType = 'passage', { cache = null, onBatch = null } = {}) {
+    const embeddings = new Array(texts.length);
+    const cachedPositions = [];
+    const missing = [];
+    
+    texts.forEach((text, position) => {
+      const cached = cache ? cache.get(text.trim(), inputType) : null;
+      if (cached) {
+        embeddings[position] = checkEmbedding(cached);
+        cachedPositions.push(position);
+      } else {
+        missing.push(position);
+      }
+    });
+    
+    if (cache) {
+      console.log(`${cachedPositions.length}/${texts.length} embeddings found in cache`);
+    }
+    if (onBatch && cachedPositions.length > 0) {
+      await onBatch(cachedPositions, cachedPositions.map(position => embeddings[position]));
+    }
+    
+    const batches = planBatches(texts, missing, Math.min(batchSize, provider.maxBatchSize), maxBatchTokens);
+    if (batches.length > 0) {
+      console.log(`Embedding ${missing.length} texts in ${batches.length} batches, up to ${concurrency} at a time`);
+    }
+    
+    await mapWithConcurrency(batches, concurrency, async (positions, batchIndex) => {
+      const batch = positions.map(position => texts[position].trim());
+      const label = `Embedding batch ${batchIndex + 1}/${batches.length}`;
+      
+      try {
+        const response = await withRetry(() => provider.embed(batch, { inputType }), { label });
+        const batchEmbeddings = response.map(checkEmbedding);
+        batchEmbeddings.forEach((embedding, batchPosition) => {
+          embeddings[positions[batchPosition]] = embedding;
+          if (cache) {
+            cache.set(batch[batchPosition], embedding, inputType);
+          }
+        });
+        
+        if (cache) {
+          cache.flush();
+        }
+        if (onBatch) {
+          await onBatch(positions, batchEmbeddings);
+        }
+      } catch (error) {
+        console.error(`Error in batch ${batchIndex + 1}:`, error);
+        throw error;
+      }
+    });
+    
+    return embeddings;
+  }
+
+  return {
+    type: provider.type,
+    model: provider.model,
+    dimension: provider.dimension,
+    generateEmbedding,
+    generateEmbeddingsBatch
+  };
+}
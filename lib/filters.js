@@ -0,0 +1,154 @@
+// Structured search filters for /api/query and their translation into metadata filters
+
+export const CATEGORIES = ['all', 'sonnets', 'plays'];
+
+// Chunks ingested before the `part` field was recorded label the pieces of a long speech
+// "SPEAKER (Part N)"
+export function baseSpeakerName(speaker) {
+  return speaker ? speaker.replace(/\s*\(Part \d+\)$/, '') : speaker;
+}
+
+// Verse chunks carry a sonnetNumber (sonnets, labelled "SONNET N") or a stanzaNumber (other
+// poems); every other chunk is a speech from a play
+function isVerse(chunk) {
+  return chunk.sonnetNumber != null || chunk.stanzaNumber != null;
+}
+
+function isCharacterSpeaker(chunk) {
+  return chunk.speaker && !isVerse(chunk);
+}
+
+// Filter options only change when the corpus is reloaded
+const optionsCache = new WeakMap();
+
+// Values the filter controls can choose from, derived from the ingested chunks
+export function getFilterOptions(corpus) {
+  if (!optionsCache.has(corpus)) {
+    optionsCache.set(corpus, collectFilterOptions(corpus));
+  }
+  return optionsCache.get(corpus);
+}
+
+function collectFilterOptions(corpus) {
+  const speakersByWork = {};
+  let minWordCount = Infinity;
+  let maxWordCount = 0;
+
+  corpus.chunks.forEach(chunk => {
+    if (!speakersByWork[chunk.work]) {
+      speakersByWork[chunk.work] = new Set();
+    }
+    if (isCharacterSpeaker(chunk)) {
+      speakersByWork[chunk.work].add(baseSpeakerName(chunk.speaker));
+    }
+    minWordCount = Math.min(minWordCount, chunk.wordCount);
+    maxWordCount = Math.max(maxWordCount, chunk.wordCount);
+  });
+
+  const allSpeakers = new Set();
+  Object.keys(speakersByWork).forEach(work => {
+    speakersByWork[work] = [...speakersByWork[work]].sort();
+    speakersByWork[work].forEach(speaker => allSpeakers.add(speaker));
+  });
+
+  return {
+    works: Object.keys(speakersByWork).sort(),
+    speakers: [...allSpeakers].sort(),
+    speakersByWork,
+    wordCount: {
+      min: corpus.chunks.length > 0 ? minWordCount : 0,
+      max: maxWordCount
+    },
+    categories: CATEGORIES
+  };
+}
+
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+// Validate the filters sent to /api/query and translate them into a metadata filter.
+// `filters` is { works, speakers, minWordCount, maxWordCount, category }; values are checked
+// against the corpus when it is loaded. Returns { filter, errors } where filter is null if
+// nothing needs filtering.
+export function buildMetadataFilter(filters = {}, corpus = null) {
+  if (filters === null || typeof filters !== 'object' || Array.isArray(filters)) {
+    return { filter: null, errors: ['filters must be an object'] };
+  }
+
+  const errors = [];
+  const clauses = [];
+  const { works, speakers, minWordCount, maxWordCount, category = 'all' } = filters;
+  const options = corpus ? getFilterOptions(corpus) : null;
+
+  if (works !== undefined) {
+    if (!Array.isArray(works) || works.some(work => typeof work !== 'string')) {
+      errors.push('works must be an array of work titles');
+    } else if (works.length > 0) {
+      const unknown = options ? works.filter(work => !options.works.includes(work)) : [];
+      if (unknown.length > 0) {
+        errors.push(`Unknown works: ${unknown.join(', ')}`);
+      }
+      clauses.push({ work: { $in: works } });
+    }
+  }
+
+  if (speakers !== undefined) {
+    if (!Array.isArray(speakers) || speakers.some(speaker => typeof speaker !== 'string')) {
+      errors.push('speakers must be an array of speaker names');
+    } else if (speakers.length > 0) {
+      const unknown = options ? speakers.filter(speaker => !options.speakers.includes(speaker)) : [];
+      if (unknown.length > 0) {
+        errors.push(`Unknown speakers: ${unknown.join(', ')}`);
+      }
+
+      // Include the "(Part N)" variants of every requested speaker
+      const variants = new Set(speakers);
+      if (corpus) {
+        corpus.chunks.forEach(chunk => {
+          if (chunk.speaker && speakers.includes(baseSpeakerName(chunk.speaker))) {
+            variants.add(chunk.speaker);
+          }
+        });
+      }
+      clauses.push({ speaker: { $in: [...variants] } });
+    }
+  }
+
+  if (minWordCount !== undefined && minWordCount !== null) {
+    if (!isNonNegativeInteger(minWordCount)) {
+      errors.push('minWordCount must be a non-negative integer');
+    } else {
+      clauses.push({ wordCount: { $gte: minWordCount } });
+    }
+  }
+
+  if (maxWordCount !== undefined && maxWordCount !== null) {
+    if (!isNonNegativeInteger(maxWordCount)) {
+      errors.push('maxWordCount must be a non-negative integer');
+    } else {
+      clauses.push({ wordCount: { $lte: maxWordCount } });
+    }
+  }
+
+  if (isNonNegativeInteger(minWordCount) && isNonNegativeInteger(maxWordCount) && minWordCount > maxWordCount) {
+    errors.push('minWordCount cannot be greater than maxWordCount');
+  }
+
+  if (!CATEGORIES.includes(category)) {
+    errors.push(`Invalid category "${category}". Expected one of: ${CATEGORIES.join(', ')}`);
+  } else if (category === 'sonnets') {
+    clauses.push({ sonnetNumber: { $exists: true } });
+  } else if (category === 'plays') {
+    clauses.push({ sonnetNumber: { $exists: false } }, { stanzaNumber: { $exists: false } });
+  }
+
+  let filter = null;
+  if (clauses.length === 1) {
+    filter = clauses[0];
+  } else if (clauses.length > 1) {
+    filter = { $and: clauses };
+  }
+
+  return { filter, errors };
+}
@@ -0,0 +1,165 @@
+// Reading the structure of a Project Gutenberg plain-text ebook: the licence header and
+// footer around the book, the metadata at the top, and the "Contents" list of works. A source
+// file may be several ebooks one after another, each with its own boilerplate and Contents.
+
+const START_MARKER = /^\*{3}\s*START OF (THE|THIS) PROJECT GUTENBERG EBOOK.*$/gim;
+const END_MARKER = /^\*{3}\s*END OF (THE|THIS) PROJECT GUTENBERG EBOOK.*$/im;
+
+const HEADER_FIELDS = {
+  Title: 'title',
+  Author: 'author',
+  'Release date': 'releaseDate',
+  'Release Date': 'releaseDate',
+  Language: 'language'
+};
+
+// Contents entries that are divisions of a single play rather than works
+const NON_WORK_ENTRIES = /^(ACT|SCENE|PROLOGUE|EPILOGUE|INDUCTION|CHORUS|DRAMATIS PERSON|THE PERSONS|PREFACE|INTRODUCTION|NOTES?|FOOTNOTES|APPENDIX|INDEX)\b/i;
+
+// Titles are compared and stored in capitals with straight apostrophes and single spaces,
+// the form the configured work lists and citations use
+export function normalizeTitle(title) {
+  return title
+    .replace(/[‘’]/g, '\'')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toUpperCase();
+}
+
+function parseHeader(headerText) {
+  const header = {};
+  headerText.split('\n').forEach(line => {
+    const match = line.match(/^([A-Za-z ]+):\s*(.+)$/);
+    if (match && HEADER_FIELDS[match[1]]) {
+      header[HEADER_FIELDS[match[1]]] = match[2].trim();
+    }
+  });
+
+  const ebook = header.releaseDate?.match(/\[E(?:Book|text) #(\d+)\]/i);
+  if (ebook) {
+    header.ebook = Number(ebook[1]);
+    header.releaseDate = header.releaseDate.replace(ebook[0], '').trim();
+  }
+  return header;
+}
+
+// Split the books from the licence boilerplate before each START and after each END marker.
+// Returns { body, header, ebooks } where ebooks is [{ body, header }] in the order they appear,
+// body is their bodies joined by newlines and header is the first ebook's (null when the text
+// has no START marker).
+export function stripBoilerplate(text) {
+  const starts = [...text.matchAll(START_MARKER)];
+  if (starts.length === 0) {
+    const end = text.match(END_MARKER);
+    const body = end ? text.slice(0, end.index) : text;
+    return { body, header: null, ebooks: [{ body, header: null }] };
+  }
+
+  let headerStart = 0;
+  const ebooks = starts.map((start, position) => {
+    const bodyStart = start.index + start[0].length;
+    const nextStart = position + 1 < starts.length ? starts[position + 1].index : text.length;
+    const end = text.slice(bodyStart, nextStart).match(END_MARKER);
+    const bodyEnd = end ? bodyStart + end.index : nextStart;
+
+    const ebook = {
+      body: text.slice(bodyStart, bodyEnd),
+      header: parseHeader(text.slice(headerStart, start.index))
+    };
+    headerStart = bodyEnd;
+    return ebook;
+  });
+
+  return {
+    body: ebooks.map(ebook => ebook.body).join('\n'),
+    header: ebooks[0].header,
+    ebooks
+  };
+}
+
+// Read the first "Contents" list in an ebook's body: the lines after the heading up to the first
+// run of blank lines that follows an entry. Trailing page numbers and leader dots are dropped,
+// as are entries that are acts or scenes of a single play.
+// Returns { entries, endLine } or null when there is no Contents heading.
+function parseContents(lines) {
+  const heading = lines.findIndex(line => /^(table of )?contents\.?$/i.test(line.trim()));
+  if (heading === -1) return null;
+
+  const entries = [];
+  let blankRun = 0;
+  let lineIndex = heading + 1;
+
+  for (; lineIndex < lines.length; lineIndex++) {
+    const trimmedLine = lines[lineIndex].trim();
+    if (!trimmedLine) {
+      blankRun++;
+      if (entries.length > 0 && blankRun >= 2) break;
+      continue;
+    }
+    blankRun = 0;
+
+    const entry = trimmedLine.replace(/[\s.]*\d+$/, '').trim();
+    if (entry && !NON_WORK_ENTRIES.test(entry)) {
+      entries.push(entry);
+    }
+  }
+
+  return { entries, endLine: lineIndex };
+}
+
+// Find where each Contents entry starts in the body: the first line after the Contents list
+// that is exactly the title, searching on from the previous work so titles quoted in running
+// text later on are not mistaken for a new work.
+// Returns { works: [{ title, line }], missing: [titles] } with line indexes into `lines`.
+function locateWorks(lines, entries, fromLine) {
+  const normalizedLines = lines.map(line => (line.trim() ? normalizeTitle(line) : ''));
+  const works = [];
+  const missing = [];
+  let searchFrom = fromLine;
+
+  entries.forEach(entry => {
+    const title = normalizeTitle(entry);
+    let line = normalizedLines.indexOf(title, searchFrom);
+    if (line === -1) {
+      // Contents lists are not always in the order the works are printed
+      line = normalizedLines.indexOf(title, fromLine);
+    }
+
+    if (line === -1) {
+      missing.push(title);
+    } else {
+      works.push({ title, line });
+      searchFrom = line + 1;
+    }
+  });
+
+  works.sort((a, b) => a.line - b.line);
+  return { works, missing };
+}
+
+// Read a Gutenberg text of one or more ebooks: strip the licence boilerplate, parse the first
+// header and locate the works listed in each ebook's Contents within that ebook. `works` is
+// empty when no ebook has a usable Contents list.
+// Returns { body, header, contents, works: [{ title, line }], missing } where `line` indexes
+// into body.split('\n') and `missing` lists Contents entries not found in their ebook.
+export function parseGutenbergText(text) {
+  const { body, header, ebooks } = stripBoilerplate(text);
+  const contents = [];
+  const works = [];
+  const missing = [];
+  let offset = 0;
+
+  ebooks.forEach(ebook => {
+    const lines = ebook.body.split('\n');
+    const list = parseContents(lines);
+    if (list && list.entries.length > 0) {
+      const located = locateWorks(lines, list.entries, list.endLine);
+      contents.push(...list.entries.map(normalizeTitle));
+      works.push(...located.works.map(work => ({ ...work, line: work.line + offset })));
+      missing.push(...located.missing);
+    }
+    offset += lines.length;
+  });
+
+  return { body, header, contents, works, missing };
+}
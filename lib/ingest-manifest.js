@@ -0,0 +1,189 @@
+import { createHash } from 'crypto';
+import { existsSync, readFileSync, renameSync, rmSync, writeFileSync } from 'fs';
+import { shortTitle } from './citations.js';
+
+// Metadata stored with each vector besides the text. Only a text change needs a new
+// embedding; when just these move (line numbers, reading-order links) the stored vector
+// is reused with the new metadata.
+const METADATA_FIELDS = ['work', 'speaker', 'part', 'act', 'scene', 'sceneLocation', 'sonnetNumber', 'stanzaNumber', 'verseForm', 'meter', 'rhymeScheme', 'verseLineCount', 'proseLineCount', 'startLine', 'endLine', 'sequence', 'prevId', 'nextId'];
+
+function sha1(value) {
+  return createHash('sha1').update(value).digest('hex');
+}
+
+function slugify(value) {
+  return value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Give every chunk an id derived from where it sits in the text rather than its position
+// in the chunk list: the work, act and scene, the speaker, which of that speaker's
+// speeches in the scene it is and, for a long speech, which part of it. Re-parsing the same
+// text yields the same ids, and editing or inserting a speech only moves the ids of that
+// speaker's later speeches in the scene.
+export function assignStableIds(chunks) {
+  const seen = new Map();
+
+  return chunks.map(chunk => {
+    const location = [chunk.work, chunk.act, chunk.scene, chunk.speaker]
+      .map(value => value ?? '')
+      .join('|');
+    const occurrence = chunk.part > 1 ? seen.get(location) : (seen.get(location) || 0) + 1;
+    seen.set(location, occurrence);
+
+    const key = chunk.part ? `${location}#${occurrence}.${chunk.part}` : `${location}#${occurrence}`;
+    return {
+      ...chunk,
+      id: `${slugify(shortTitle(chunk.work))}-${sha1(key).substring(0, 12)}`
+    };
+  });
+}
+
+function textHash(chunk) {
+  return sha1(chunk.text);
+}
+
+function metadataHash(chunk) {
+  return sha1(JSON.stringify(METADATA_FIELDS.map(field => chunk[field] ?? null)));
+}
+
+function manifestEntry(chunk) {
+  return {
+    work: chunk.work,
+    hash: textHash(chunk),
+    metadata: metadataHash(chunk)
+  };
+}
+
+// Where ingest.js records what it ingested for a collection
+export function manifestPath(collectionName) {
+  return `./ingest-manifest-${collectionName}.json`;
+}
+
+// Load the manifest written by the previous ingest, or null if there is none
+export function loadManifest(path) {
+  if (!existsSync(path)) {
+    return null;
+  }
+  return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+export function saveManifest(path, manifest) {
+  writeFileSync(`${path}.tmp`, JSON.stringify(manifest, null, 2));
+  renameSync(`${path}.tmp`, path);
+}
+
+// target is { vectorStore, indexName, namespace, embedding: { provider, model, dimension } }
+export function buildManifest(chunks, target) {
+  const entries = {};
+  chunks.forEach(chunk => {
+    entries[chunk.id] = manifestEntry(chunk);
+  });
+
+  return {
+    ...target,
+    ingestedAt: new Date().toISOString(),
+    chunks: entries
+  };
+}
+
+// A copy of the manifest with one work's entries replaced by entries for `chunks`, after that
+// work alone was deleted (no chunks) or re-embedded outside ingest.js. A deleted work is then
+// added back by the next ingest.
+export function replaceWorkInManifest(manifest, work, chunks) {
+  const entries = {};
+  Object.entries(manifest.chunks).forEach(([id, entry]) => {
+    if (entry.work !== work) {
+      entries[id] = entry;
+    }
+  });
+  chunks.forEach(chunk => {
+    entries[chunk.id] = manifestEntry(chunk);
+  });
+
+  return { ...manifest, chunks: entries };
+}
+
+// A manifest only describes the index when it was written for the same store, index,
+// namespace and embedding model; otherwise every chunk has to be embedded again
+export function manifestMatches(manifest, target) {
+  return Boolean(manifest) &&
+    manifest.vectorStore === target.vectorStore &&
+    manifest.indexName === target.indexName &&
+    (manifest.namespace ?? '') === target.namespace &&
+    manifest.embedding?.provider === target.embedding.provider &&
+    manifest.embedding?.model === target.embedding.model &&
+    manifest.embedding?.dimension === target.embedding.dimension;
+}
+
+// Compare freshly parsed chunks with a previous manifest (null for an empty index).
+// Returns the chunks to embed (added, changed: the text differs), chunks whose vectors
+// can be reused but whose metadata moved (restamped), removed ids, and per-work counts.
+export function diffChunks(chunks, manifest) {
+  const previous = manifest?.chunks || {};
+  const diff = { added: [], changed: [], restamped: [], unchanged: 0, removed: [], byWork: {} };
+
+  const countFor = work => {
+    if (!diff.byWork[work]) {
+      diff.byWork[work] = { added: 0, changed: 0, removed: 0, unchanged: 0 };
+    }
+    return diff.byWork[work];
+  };
+
+  const currentIds = new Set();
+  chunks.forEach(chunk => {
+    currentIds.add(chunk.id);
+    const entry = previous[chunk.id];
+
+    if (!entry) {
+      diff.added.push(chunk);
+      countFor(chunk.work).added++;
+    } else if (entry.hash !== textHash(chunk)) {
+      diff.changed.push(chunk);
+      countFor(chunk.work).changed++;
+    } else {
+      if (entry.metadata !== metadataHash(chunk)) {
+        diff.restamped.push(chunk);
+      }
+      diff.unchanged++;
+      countFor(chunk.work).unchanged++;
+    }
+  });
+
+  Object.entries(previous).forEach(([id, entry]) => {
+    if (!currentIds.has(id)) {
+      diff.removed.push(id);
+      countFor(entry.work).removed++;
+    }
+  });
+
+  return diff;
+}
+
+// Identifies exactly what was upserted for a chunk: its text and its metadata
+export function chunkFingerprint(chunk) {
+  return `${textHash(chunk)}:${metadataHash(chunk)}`;
+}
+
+// A checkpoint records an ingest run in progress: the target it writes to, what the
+// diff was computed against (the manifest, or an emptied index) and the fingerprint of
+// every chunk upserted so far. It is removed once the run completes.
+export function createCheckpoint(target, baseline) {
+  return {
+    ...target,
+    startedAt: new Date().toISOString(),
+    baseline,
+    upserted: {}
+  };
+}
+
+export function loadCheckpoint(path) {
+  return loadManifest(path);
+}
+
+export function saveCheckpoint(path, checkpoint) {
+  saveManifest(path, checkpoint);
+}
+
+export function removeCheckpoint(path) {
+  rmSync(path, { force: true });
+}
@@ -0,0 +1,22 @@
+import { createOpenAILLM } from './llms/openai-llm.js';
+import { createLocalLLM } from './llms/local-llm.js';
+
+export const LLM_PROVIDERS = ['openai', 'local'];
+
+// Select the chat model client from the LLM_PROVIDER environment variable.
+// Every client exposes { type, model, complete({ system, messages, temperature, maxTokens }) }
+// where messages are [{ role: 'user' | 'assistant', content }] and the result is the reply text,
+// and stream({ ...same, signal }), an async generator of reply text pieces.
+export function createLLMClient(type = process.env.LLM_PROVIDER || 'openai') {
+  switch (type) {
+    case 'openai':
+      return createOpenAILLM({
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.LLM_MODEL || 'gpt-4o-mini'
+      });
+    case 'local':
+      return createLocalLLM();
+    default:
+      throw new Error(`Unknown LLM provider "${type}". Expected one of: ${LLM_PROVIDERS.join(', ')}`);
+  }
+}
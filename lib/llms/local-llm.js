@@ -0,0 +1,70 @@
+import { tokenize } from '../text-utils.js';
+
+// Passages in prompts are written as paragraphs: an "[id] heading" line followed by the passage text
+const PASSAGE_PATTERN = /^\[([^\]\n]+)\][^\n]*\n([\s\S]+)$/;
+
+// Offline stand-in for a chat model. It never calls out to the network: when the prompt
+// contains "[id] text" passages and a "Question:" line it answers extractively by quoting
+// the sentences that share the most words with the question and citing their passage ids,
+// otherwise it echoes the last user message.
+export function createLocalLLM({ maxSentences = 3, tokenDelayMs = 20 } = {}) {
+  function extractiveAnswer(prompt) {
+    const question = prompt.match(/^Question:\s*(.+)$/m)?.[1] || '';
+    const questionTerms = new Set(tokenize(question).filter(term => term.length > 2));
+
+    const candidates = [];
+    prompt.split(/\n\s*\n/).forEach(paragraph => {
+      const passage = paragraph.trim().match(PASSAGE_PATTERN);
+      if (!passage) return;
+
+      const [, id, text] = passage;
+      text.split(/(?<=[.!?;:])\s+/).forEach(sentence => {
+        const terms = tokenize(sentence);
+        const overlap = terms.filter(term => questionTerms.has(term)).length;
+        if (terms.length > 0) {
+          candidates.push({ id, sentence: sentence.replace(/\s+/g, ' ').trim(), overlap });
+        }
+      });
+    });
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const best = candidates
+      .map((candidate, order) => ({ ...candidate, order }))
+      .sort((a, b) => b.overlap - a.overlap || a.order - b.order)
+      .slice(0, maxSentences);
+
+    if (best[0].overlap === 0) {
+      return 'The passages provided do not clearly answer this question.';
+    }
+
+    return best
+      .filter(candidate => candidate.overlap > 0)
+      .map(candidate => `The text reads: "${candidate.sentence}" [${candidate.id}]`)
+      .join('\n');
+  }
+
+  async function complete({ messages }) {
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+    return extractiveAnswer(lastUserMessage) ?? lastUserMessage;
+  }
+
+  // Replays the complete reply word by word so streaming clients can be exercised offline
+  async function* stream({ signal, ...options }) {
+    const reply = await complete(options);
+    for (const token of reply.match(/\S+\s*/g) || []) {
+      if (signal?.aborted) return;
+      yield token;
+      await new Promise(resolve => setTimeout(resolve, tokenDelayMs));
+    }
+  }
+
+  return {
+    type: 'local',
+    model: 'local-extractive',
+    complete,
+    stream
+  };
+}
@@ -0,0 +1,48 @@
+import OpenAI from 'openai';
+
+// Chat model client backed by the OpenAI chat completions API
+export function createOpenAILLM({ apiKey, model = 'gpt-4o-mini' }) {
+  const openai = new OpenAI({ apiKey });
+
+  function buildMessages(system, messages) {
+    return [
+      ...(system ? [{ role: 'system', content: system }] : []),
+      ...messages
+    ];
+  }
+
+  async function complete({ system, messages, temperature = 0.2, maxTokens = 800 }) {
+    const response = await openai.chat.completions.create({
+      model,
+      messages: buildMessages(system, messages),
+      temperature,
+      max_tokens: maxTokens
+    });
+    return response.choices[0]?.message?.content || '';
+  }
+
+  // Yields the reply text piece by piece; aborting `signal` cancels the request
+  async function* stream({ system, messages, temperature = 0.2, maxTokens = 800, signal }) {
+    const response = await openai.chat.completions.create({
+      model,
+      messages: buildMessages(system, messages),
+      temperature,
+      max_tokens: maxTokens,
+      stream: true
+    }, { signal });
+
+    for await (const chunk of response) {
+      const token = chunk.choices[0]?.delta?.content;
+      if (token) {
+        yield token;
+      }
+    }
+  }
+
+  return {
+    type: 'openai',
+    model,
+    complete,
+    stream
+  };
+}
@@ -0,0 +1,56 @@
+// Evaluate a Pinecone-style metadata filter against a metadata object.
+// Supports $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists, $and and $or;
+// a bare value is shorthand for $eq.
+export function matchesFilter(metadata, filter) {
+  if (!filter) return true;
+
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') {
+      return condition.every(subFilter => matchesFilter(metadata, subFilter));
+    }
+    if (key === '$or') {
+      return condition.some(subFilter => matchesFilter(metadata, subFilter));
+    }
+    return matchesCondition(metadata?.[key], condition);
+  });
+}
+
+function matchesCondition(value, condition) {
+  if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+    return matchesOperator(value, '$eq', condition);
+  }
+  return Object.entries(condition).every(([operator, operand]) => matchesOperator(value, operator, operand));
+}
+
+function matchesOperator(value, operator, operand) {
+  // Array metadata values match when any element matches, as in Pinecone
+  if (Array.isArray(value) && operator !== '$exists') {
+    if (operator === '$ne' || operator === '$nin') {
+      return value.every(element => matchesOperator(element, operator, operand));
+    }
+    return value.some(element => matchesOperator(element, operator, operand));
+  }
+
+  switch (operator) {
+    case '$eq':
+      return value === operand;
+    case '$ne':
+      return value !== operand;
+    case '$gt':
+      return typeof value === 'number' && value > operand;
+    case '$gte':
+      return typeof value === 'number' && value >= operand;
+    case '$lt':
+      return typeof value === 'number' && value < operand;
+    case '$lte':
+      return typeof value === 'number' && value <= operand;
+    case '$in':
+      return operand.includes(value);
+    case '$nin':
+      return !operand.includes(value);
+    case '$exists':
+      return (value !== undefined && value !== null) === operand;
+    default:
+      throw new Error(`Unsupported filter operator: ${operator}`);
+  }
+}
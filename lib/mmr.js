@@ -0,0 +1,63 @@
+import { cosineSimilarity } from './vector-utils.js';
+import { baseSpeakerName } from './filters.js';
+
+export const DEFAULT_MMR_LAMBDA = 0.5;
+
+// Scale relevance scores to 0-1 so they are comparable with cosine similarities,
+// whatever scale the first stage (cosine, BM25, RRF or a reranker) produced
+function normalizeScores(scores) {
+  const max = Math.max(...scores);
+  const min = Math.min(...scores);
+  return scores.map(score => (max === min ? 1 : (score - min) / (max - min)));
+}
+
+// Maximal marginal relevance: repeatedly pick the candidate with the best
+// lambda * relevance - (1 - lambda) * (highest similarity to anything already picked).
+// Candidates are { relevance, values, work, speaker, ... }; those without values count as
+// dissimilar to everything. maxPerWork / maxPerSpeaker skip candidates once a work or
+// speaker (all "(Part N)" chunks of one speech count as the same speaker) reaches its cap.
+export function maximalMarginalRelevance(candidates, { topK, lambda = DEFAULT_MMR_LAMBDA, maxPerWork = null, maxPerSpeaker = null }) {
+  const relevance = normalizeScores(candidates.map(candidate => candidate.relevance));
+  const remaining = candidates.map((candidate, position) => ({ candidate, relevance: relevance[position] }));
+  const selected = [];
+  const perWork = new Map();
+  const perSpeaker = new Map();
+
+  const speakerKey = candidate => `${candidate.work}\u0000${baseSpeakerName(candidate.speaker)}`;
+
+  while (selected.length < topK && remaining.length > 0) {
+    let best = null;
+
+    remaining.forEach((entry, position) => {
+      const { candidate } = entry;
+      if (maxPerWork && (perWork.get(candidate.work) || 0) >= maxPerWork) return;
+      if (maxPerSpeaker && candidate.speaker && (perSpeaker.get(speakerKey(candidate)) || 0) >= maxPerSpeaker) return;
+
+      let redundancy = 0;
+      if (candidate.values) {
+        selected.forEach(picked => {
+          if (picked.values) {
+            redundancy = Math.max(redundancy, cosineSimilarity(candidate.values, picked.values));
+          }
+        });
+      }
+
+      const mmrScore = lambda * entry.relevance - (1 - lambda) * redundancy;
+      if (!best || mmrScore > best.mmrScore) {
+        best = { position, mmrScore };
+      }
+    });
+
+    // Every remaining candidate is over a cap
+    if (!best) break;
+
+    const [{ candidate }] = remaining.splice(best.position, 1);
+    selected.push({ ...candidate, mmrScore: best.mmrScore });
+    perWork.set(candidate.work, (perWork.get(candidate.work) || 0) + 1);
+    if (candidate.speaker) {
+      perSpeaker.set(speakerKey(candidate), (perSpeaker.get(speakerKey(candidate)) || 0) + 1);
+    }
+  }
+
+  return selected;
+}
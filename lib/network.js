@@ -0,0 +1,171 @@
+import { countCharacterLines } from './characters.js';
+import { formatCitation } from './citations.js';
+
+// Who talks to whom in a play, from the order of the speeches in each scene. Two characters
+// are linked when one speaks straight after the other (a reply) or when both speak in the
+// same scene (co-presence).
+
+function pairKey(a, b) {
+  return a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`;
+}
+
+// The turns of each scene in reading order: consecutive chunks by the same speaker (the parts
+// of a long speech, or a speech broken by a stage direction) make one turn.
+// Returns [{ act, scene, turns: [{ speaker, chunks }] }].
+function sceneTurns(chunks) {
+  const scenes = new Map();
+  [...chunks]
+    .filter(chunk => chunk.speaker && chunk.sonnetNumber == null)
+    .sort((a, b) => (a.sequence ?? 0) - (b.sequence ?? 0))
+    .forEach(chunk => {
+      const key = `${chunk.act ?? ''}|${chunk.scene ?? ''}`;
+      if (!scenes.has(key)) {
+        scenes.set(key, { act: chunk.act ?? null, scene: chunk.scene ?? null, turns: [] });
+      }
+
+      const { turns } = scenes.get(key);
+      const last = turns[turns.length - 1];
+      if (last && last.speaker === chunk.speaker) {
+        last.chunks.push(chunk);
+      } else {
+        turns.push({ speaker: chunk.speaker, chunks: [chunk] });
+      }
+    });
+  return [...scenes.values()];
+}
+
+// Build a play's interaction network from its chunks and character registry (see
+// characters.js). Nodes are the characters who speak, with their speech, line and word
+// counts. Edges join two characters with the number of `replies` between them (either
+// speaking straight after the other in a scene) and the number of `scenes` they both speak
+// in; `weight` is the sum of the two.
+// Returns { nodes: [{ name, description, listed, speeches, lines, words }],
+// edges: [{ source, target, weight, replies, scenes }] } with edges sorted by weight.
+export function buildInteractionNetwork(chunks, registry) {
+  const edges = new Map();
+  function edgeFor(a, b) {
+    const key = pairKey(a, b);
+    if (!edges.has(key)) {
+      const [source, target] = a < b ? [a, b] : [b, a];
+      edges.set(key, { source, target, weight: 0, replies: 0, scenes: 0 });
+    }
+    return edges.get(key);
+  }
+
+  sceneTurns(chunks).forEach(({ turns }) => {
+    turns.forEach((turn, index) => {
+      const previous = turns[index - 1];
+      if (previous) {
+        edgeFor(previous.speaker, turn.speaker).replies++;
+      }
+    });
+
+    const speakers = [...new Set(turns.map(turn => turn.speaker))];
+    speakers.forEach((a, index) => {
+      speakers.slice(index + 1).forEach(b => {
+        edgeFor(a, b).scenes++;
+      });
+    });
+  });
+
+  const nodes = countCharacterLines(registry, chunks.filter(chunk => chunk.sonnetNumber == null))
+    .filter(character => character.speeches > 0)
+    .map(({ name, description, listed, speeches, lines, words }) => ({ name, description, listed, speeches, lines, words }));
+
+  return {
+    nodes,
+    edges: [...edges.values()]
+      .map(edge => ({ ...edge, weight: edge.replies + edge.scenes }))
+      .sort((a, b) => b.weight - a.weight)
+  };
+}
+
+// The exchanges between two characters: runs of at least two turns in a scene where only
+// they speak, one after the other.
+// Returns [{ act, scene, citation, turns: [{ speaker, chunks }] }] in reading order.
+export function findExchanges(chunks, a, b) {
+  const exchanges = [];
+
+  sceneTurns(chunks).forEach(({ act, scene, turns }) => {
+    let run = [];
+    const closeRun = () => {
+      if (run.length >= 2) {
+        const first = run[0].chunks[0];
+        const lastTurn = run[run.length - 1];
+        const last = lastTurn.chunks[lastTurn.chunks.length - 1];
+        exchanges.push({
+          act,
+          scene,
+          citation: formatCitation({ work: first.work, act, scene, startLine: first.startLine, endLine: last.endLine }),
+          turns: run
+        });
+      }
+      run = [];
+    };
+
+    turns.forEach(turn => {
+      if (turn.speaker !== a && turn.speaker !== b) {
+        closeRun();
+      } else {
+        run.push(turn);
+      }
+    });
+    closeRun();
+  });
+
+  return exchanges;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const GRAPHML_KEYS = [
+  { id: 'name', for: 'node', type: 'string' },
+  { id: 'description', for: 'node', type: 'string' },
+  { id: 'listed', for: 'node', type: 'boolean' },
+  { id: 'speeches', for: 'node', type: 'int' },
+  { id: 'lines', for: 'node', type: 'int' },
+  { id: 'words', for: 'node', type: 'int' },
+  { id: 'weight', for: 'edge', type: 'int' },
+  { id: 'replies', for: 'edge', type: 'int' },
+  { id: 'scenes', for: 'edge', type: 'int' }
+];
+
+function graphmlData(item, element) {
+  return GRAPHML_KEYS
+    .filter(key => key.for === element && item[key.id] !== null && item[key.id] !== undefined)
+    .map(key => `      <data key="${key.id}">${escapeXml(item[key.id])}</data>`);
+}
+
+// Write a network as GraphML for Gephi, Cytoscape or networkx. Node ids are n0, n1, ... with
+// the character's name in the `name` attribute.
+export function toGraphML(network, graphId = 'network') {
+  const nodeIds = new Map(network.nodes.map((node, index) => [node.name, `n${index}`]));
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...GRAPHML_KEYS.map(key => `  <key id="${key.id}" for="${key.for}" attr.name="${key.id}" attr.type="${key.type}"/>`),
+    `  <graph id="${escapeXml(graphId)}" edgedefault="undirected">`
+  ];
+  network.nodes.forEach(node => {
+    lines.push(`    <node id="${nodeIds.get(node.name)}">`, ...graphmlData(node, 'node'), '    </node>');
+  });
+  network.edges
+    .filter(edge => nodeIds.has(edge.source) && nodeIds.has(edge.target))
+    .forEach((edge, index) => {
+      lines.push(
+        `    <edge id="e${index}" source="${nodeIds.get(edge.source)}" target="${nodeIds.get(edge.target)}">`,
+        ...graphmlData(edge, 'edge'),
+        '    </edge>'
+      );
+    });
+  lines.push('  </graph>', '</graphml>');
+
+  return `${lines.join('\n')}\n`;
+}
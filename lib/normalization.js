@@ -0,0 +1,239 @@
+import { tokenize } from './text-utils.js';
+
+// Early Modern English to modern English. Chunks keep a normalised shadow of their text
+// ("'Tis nobler" -> "It is nobler") so that keyword search finds them with modern words, and
+// queries can be expanded the other way, with the archaic words for the modern ones they use.
+
+// Archaic words and contractions with their modern equivalent
+const ARCHAIC_WORDS = {
+  'thou': 'you',
+  'thee': 'you',
+  'ye': 'you',
+  'thy': 'your',
+  'thine': 'your',
+  'thyself': 'yourself',
+  'art': 'are',
+  'hast': 'have',
+  'hath': 'has',
+  'dost': 'do',
+  'doth': 'does',
+  'didst': 'did',
+  'wilt': 'will',
+  'shalt': 'shall',
+  'canst': 'can',
+  'couldst': 'could',
+  'wouldst': 'would',
+  'shouldst': 'should',
+  'mayst': 'may',
+  'mightst': 'might',
+  'wast': 'were',
+  'wert': 'were',
+  'owest': 'owe',
+  'ow\'st': 'owe',
+  'saith': 'says',
+  'seeth': 'sees',
+  'quoth': 'said',
+  'wot': 'know',
+  '\'tis': 'it is',
+  '\'twas': 'it was',
+  '\'twere': 'it were',
+  '\'twill': 'it will',
+  'an\'t': 'if it',
+  'methinks': 'I think',
+  'wherefore': 'why',
+  'whither': 'where',
+  'whence': 'from where',
+  'hither': 'here',
+  'thither': 'there',
+  'hence': 'from here',
+  'yonder': 'over there',
+  'ere': 'before',
+  'oft': 'often',
+  'nay': 'no',
+  'ay': 'yes',
+  'aye': 'yes',
+  'prithee': 'please',
+  'perchance': 'perhaps',
+  'haply': 'perhaps',
+  'mayhap': 'perhaps',
+  'belike': 'probably',
+  'anon': 'soon',
+  'forsooth': 'truly',
+  'fain': 'gladly',
+  'afeard': 'afraid',
+  'sirrah': 'sir',
+  'morrow': 'morning',
+  'whilst': 'while',
+  'betwixt': 'between',
+  '\'twixt': 'between',
+  '\'gainst': 'against',
+  'naught': 'nothing',
+  'nought': 'nothing',
+  'ope': 'open',
+  'o\'er': 'over',
+  'e\'er': 'ever',
+  'ne\'er': 'never',
+  'e\'en': 'even',
+  'ta\'en': 'taken',
+  '\'em': 'them',
+  'i\'': 'in',
+  'o\'': 'of',
+  'th\'': 'the'
+};
+
+const LEXICON = new Map(Object.entries(ARCHAIC_WORDS));
+
+// Entries that normalise the text but are too short or too common to add to a query
+const NOT_EXPANDED = new Set(['\'em', 'i\'', 'o\'', 'th\'', 'ope']);
+
+// Words whose modern form depends on the words around them: "art" is only "are" next to
+// "thou" ("thou art", "art thou")
+const NEXT_TO_THOU = new Set(['art']);
+
+// Words that contract with 'd and 'n without an elided e ("you'd", "she'd")
+const CONTRACTING_WORDS = new Set(['you', 'they', 'she', 'thou', 'who', 'that', 'there', 'what']);
+
+// Words ending in -eth that are not verbs
+const NOT_VERBS = new Set([
+  'teeth', 'beth', 'seth', 'macbeth', 'elizabeth', 'nazareth', 'twentieth', 'thirtieth',
+  'fortieth', 'fiftieth', 'sixtieth', 'seventieth', 'eightieth', 'ninetieth'
+]);
+
+// Archaic words by the modern words they stand for, for query expansion
+const ARCHAIC_BY_MODERN = [...LEXICON]
+  .filter(([archaic]) => !NOT_EXPANDED.has(archaic))
+  .reduce((map, [archaic, modern]) => {
+    const key = modern.toLowerCase();
+    map.set(key, [...(map.get(key) || []), archaic]);
+    return map;
+  }, new Map());
+
+// Longest modern phrase in the lexicon, in words
+const LONGEST_PHRASE = Math.max(...[...ARCHAIC_BY_MODERN.keys()].map(phrase => phrase.split(' ').length));
+
+// Words, with the apostrophes of contractions at either end ("'tis", "th'", "i'")
+const WORD = /['’]?[A-Za-z]+(?:['’][A-Za-z]+)*['’]?/g;
+
+// "thou" straight after a word, matched from the end of the word
+const THOU_NEXT = /\s+thou\b/iy;
+
+// Restore the e a verb stem lost before its ending: "lov" (lovest, loveth) is "love", but
+// "speak" and "forget" have none. Doubled final consonants ("sitt") are undoubled instead,
+// and an elided e inside the stem ("wand'r", wand'rest) is put back.
+function verbStem(elided) {
+  const stem = elided.replace(/'/g, 'e');
+  if (/([^aeiou])\1$/.test(stem) && !/(ss|ll|ff|zz)$/.test(stem)) {
+    return stem.slice(0, -1);
+  }
+  return stem.length <= 4 && /(^|[^aeiou])[aeiou][^aeiouwxy]$/.test(stem) ? `${stem}e` : stem;
+}
+
+// Third person -eth: "loveth" -> "loves", "goeth" -> "goes", "passeth" -> "passes",
+// "dieth" -> "dies"
+function modernThirdPerson(word) {
+  if (word.length < 5 || !word.endsWith('eth') || NOT_VERBS.has(word)) return null;
+  if (word.endsWith('ieth')) return `${word.slice(0, -4)}ies`;
+  const stem = verbStem(word.slice(0, -3));
+  return /(s|sh|ch|x|z|o)$/.test(stem) ? `${stem}es` : `${stem}s`;
+}
+
+// Second person -est and -'st next to "thou": "thou knowest" -> "you know"
+function modernSecondPerson(word) {
+  const match = word.match(/^(.{2,}?)(?:'st|est)$/);
+  return match ? verbStem(match[1]) : null;
+}
+
+// Elided endings: "lov'd" -> "loved", "stol'n" -> "stolen"
+function modernElision(word) {
+  const match = word.match(/^(.{3,})'(d|n)$/);
+  if (!match || CONTRACTING_WORDS.has(match[1])) return null;
+  const [, stem, ending] = match;
+  return stem.endsWith('e') ? `${stem}${ending}` : `${stem}e${ending}`;
+}
+
+// The modern form of one lower-cased word, or null when it is already modern. `thou` is
+// true when the word before or after it is "thou".
+function modernWord(word, thou) {
+  // "tis" and "twixt" are also printed without their apostrophe
+  const entry = LEXICON.get(word) ?? (word.length > 2 ? LEXICON.get(`'${word}`) : undefined);
+  if (NEXT_TO_THOU.has(word)) {
+    return thou ? entry : null;
+  }
+  if (entry) return entry;
+
+  // "is't" and "do't" end in a clipped "it"; "can't" and "don't" are modern
+  const clipped = word.match(/^(.+[^n])'t$/);
+  if (clipped) {
+    return `${modernWord(clipped[1], thou) ?? clipped[1]} it`;
+  }
+
+  return modernElision(word) ??
+    (thou ? modernSecondPerson(word) : null) ??
+    modernThirdPerson(word);
+}
+
+// Match the case of the word a replacement stands for
+function matchCase(replacement, original) {
+  const letters = original.replace(/[^A-Za-z]/g, '');
+  if (letters.length > 1 && letters === letters.toUpperCase()) {
+    return replacement.toUpperCase();
+  }
+  if (/^[A-Z]/.test(letters)) {
+    return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+  }
+  return replacement;
+}
+
+// The modern-English shadow of a text: archaic words, contractions and verb endings are
+// replaced, everything else (punctuation, line breaks, modern words) is kept as it is
+export function normalizeText(text) {
+  if (!text) return text;
+
+  let previous = null;
+  return text.replace(WORD, (original, offset) => {
+    const word = original.replace(/’/g, '\'').toLowerCase();
+    const [, lead, core, trail] = word.match(/^('?)(.*?)('?)$/);
+    THOU_NEXT.lastIndex = offset + original.length;
+    const thou = previous === 'thou' || THOU_NEXT.test(text);
+
+    // An apostrophe at either end may be a quotation mark rather than part of the word
+    let modern = modernWord(word, thou);
+    let [before, after] = ['', ''];
+    if (!modern && core !== word) {
+      modern = modernWord(core, thou);
+      [before, after] = [original.slice(0, lead.length), original.slice(original.length - trail.length)];
+    }
+    previous = core;
+
+    return modern ? `${before}${matchCase(modern, original)}${after}` : original;
+  });
+}
+
+// Add the archaic equivalents of the modern words and phrases in a query ("why" ->
+// "wherefore", "it is" -> "'tis"), leaving out words the query already has.
+// Returns { query, expansions: [{ term, archaic }] } with query unchanged when nothing applies.
+export function expandQuery(query) {
+  const words = tokenize(query);
+  const present = new Set(words);
+  const expansions = [];
+
+  for (let length = LONGEST_PHRASE; length >= 1; length--) {
+    for (let start = 0; start + length <= words.length; start++) {
+      const term = words.slice(start, start + length).join(' ');
+      const archaic = (ARCHAIC_BY_MODERN.get(term) || [])
+        .filter(word => !present.has(word.replace(/^'/, '')));
+      if (archaic.length === 0 || expansions.some(expansion => expansion.term === term)) continue;
+
+      expansions.push({ term, archaic });
+      archaic.forEach(word => present.add(word.replace(/^'/, '')));
+    }
+  }
+
+  if (expansions.length === 0) {
+    return { query, expansions };
+  }
+  return {
+    query: `${query} ${expansions.flatMap(expansion => expansion.archaic).join(' ')}`,
+    expansions
+  };
+}
@@ -0,0 +1,127 @@
+import { createHash } from 'crypto';
+import { existsSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { normalizeText } from './normalization.js';
+
+// Modern-English renderings of passages, line by line, for reading the original and the
+// paraphrase side by side
+
+const PARAPHRASE_PROMPT = [
+  'You render passages from Shakespeare and his contemporaries in plain modern English for readers who find the original hard to follow.',
+  'The passage is given as numbered lines. Reply with one line for every numbered line, starting with the same number, e.g. "3. Whether it is nobler to suffer".',
+  'Keep each rendering to the meaning of its own line, keep names as they are, and do not add notes or commentary.'
+].join(' ');
+
+// A numbered line of the model's reply: "3. text" or "3) text"
+const NUMBERED_LINE = /^\s*(\d+)[.):]\s*(.*)$/;
+
+function textHash(text) {
+  return createHash('sha1').update(text).digest('hex');
+}
+
+export function buildParaphrasePrompt(speaker, citation, lines) {
+  const numbered = lines.map((line, position) => `${position + 1}. ${line}`).join('\n');
+  return {
+    system: PARAPHRASE_PROMPT,
+    messages: [
+      {
+        role: 'user',
+        content: `${speaker || 'Passage'} (${citation}):\n\n${numbered}\n\nModern English:`
+      }
+    ]
+  };
+}
+
+// Read the model's numbered reply back into one rendering per line (null where the model
+// skipped a line)
+export function parseParaphrase(reply, lineCount) {
+  const renderings = new Array(lineCount).fill(null);
+  reply.split('\n').forEach(replyLine => {
+    const match = replyLine.match(NUMBERED_LINE);
+    if (!match) return;
+    const position = parseInt(match[1]) - 1;
+    if (position >= 0 && position < lineCount && renderings[position] === null && match[2].trim()) {
+      renderings[position] = match[2].trim();
+    }
+  });
+  return renderings;
+}
+
+// Paraphrase one chunk. Blank lines stay blank, so the result lines up with chunk.text.
+// The offline local LLM cannot paraphrase, so it (and any failed LLM call) falls back to the
+// normalised text (see normalization.js), which modernises words but not syntax; so do any
+// lines the model skipped.
+// Returns { method: 'llm' | 'normalized', lines: [{ line, original, modern, method }] } with
+// `line` the line number in the scene, poem or sonnet when known.
+export async function paraphraseChunk(chunk, citation, llm) {
+  const originals = chunk.text.split('\n').map(line => line.trim());
+  const spoken = originals.filter(Boolean);
+
+  let renderings = new Array(spoken.length).fill(null);
+  if (llm.type !== 'local' && spoken.length > 0) {
+    try {
+      const reply = await llm.complete({
+        ...buildParaphrasePrompt(chunk.speaker, citation, spoken),
+        temperature: 0,
+        maxTokens: Math.max(200, spoken.join(' ').length)
+      });
+      renderings = parseParaphrase(reply, spoken.length);
+    } catch (error) {
+      console.error('Error paraphrasing with the LLM, falling back to normalised text:', error);
+    }
+  }
+
+  let spokenIndex = 0;
+  const lines = originals.map((original, offset) => {
+    const line = chunk.startLine != null ? chunk.startLine + offset : null;
+    if (!original) {
+      return { line, original, modern: '', method: null };
+    }
+    const rendering = renderings[spokenIndex++];
+    return rendering
+      ? { line, original, modern: rendering, method: 'llm' }
+      : { line, original, modern: normalizeText(original), method: 'normalized' };
+  });
+
+  return {
+    method: renderings.some(Boolean) ? 'llm' : 'normalized',
+    lines
+  };
+}
+
+// Paraphrases kept in a JSON file, one per collection, chunk and model. An entry is only
+// served while the chunk's text is unchanged, so re-ingested chunks are paraphrased again.
+// Paraphrases made without the LLM are cheap to redo and are not kept.
+export function createParaphraseCache(path) {
+  let entries = {};
+  if (existsSync(path)) {
+    entries = JSON.parse(readFileSync(path, 'utf-8'));
+    console.log(`Loaded ${Object.keys(entries).length} cached paraphrases from ${path}`);
+  }
+
+  const entryKey = (collection, chunkId, model) => `${collection}:${chunkId}:${model}`;
+
+  function get(collection, chunk, model) {
+    const entry = entries[entryKey(collection, chunk.id, model)];
+    return entry && entry.textHash === textHash(chunk.text) ? entry.paraphrase : null;
+  }
+
+  function set(collection, chunk, model, paraphrase) {
+    if (paraphrase.method !== 'llm') return;
+    entries[entryKey(collection, chunk.id, model)] = {
+      textHash: textHash(chunk.text),
+      createdAt: new Date().toISOString(),
+      paraphrase
+    };
+    writeFileSync(`${path}.tmp`, JSON.stringify(entries, null, 2));
+    renameSync(`${path}.tmp`, path);
+  }
+
+  return {
+    path,
+    get size() {
+      return Object.keys(entries).length;
+    },
+    get,
+    set
+  };
+}
@@ -0,0 +1,178 @@
+import { romanToNumber } from './text-utils.js';
+
+// Reading verse: a sonnet sequence is split at its sonnet numbers and a narrative poem into
+// its stanzas, with the line breaks of the printed text kept in every chunk
+
+// Stanza forms by number of lines
+const STANZA_FORMS = {
+  2: 'couplet',
+  3: 'tercet',
+  4: 'quatrain',
+  6: 'sestain',
+  7: 'rhyme royal',
+  8: 'ottava rima',
+  14: 'sonnet'
+};
+
+// Verse paragraphs longer than this (Hero and Leander runs to hundreds of lines without a
+// break) are split into passages of about this many lines
+const MAX_PASSAGE_LINES = 14;
+
+// A line holding only a sonnet or stanza number: "18", "XVIII" or "I."
+export function parseVerseNumber(line) {
+  const match = line.trim().match(/^([0-9]+|[IVXLC]+)\.?$/);
+  return match ? romanToNumber(match[1]) : null;
+}
+
+// Headings inside a poem ("THE ARGUMENT", "THRENOS.") are in capitals; verse never is
+function isVerseHeading(line) {
+  return /[A-Z]/.test(line) && !/[a-z]/.test(line);
+}
+
+// The last two letters of a line's final word, close enough to tell rhyming couplets
+// ("morn"/"scorn", "strife"/"life") from blank verse
+function lineEnding(line) {
+  const words = line.toLowerCase().replace(/[‘’]/g, '\'').match(/[a-z']+/g);
+  return words ? words[words.length - 1].replace(/'d$/, 'ed').replace(/'/g, '').slice(-2) : '';
+}
+
+function rhymesInCouplets(lines) {
+  let rhyming = 0;
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    if (lineEnding(lines[i]) && lineEnding(lines[i]) === lineEnding(lines[i + 1])) {
+      rhyming++;
+    }
+  }
+  return rhyming >= Math.floor(lines.length / 2) / 2;
+}
+
+// Split a run of verse longer than a stanza into passages of whole couplets
+function splitPassage(block) {
+  const passageCount = Math.ceil(block.lines.length / MAX_PASSAGE_LINES);
+  const size = Math.ceil(block.lines.length / passageCount / 2) * 2;
+  const verseForm = rhymesInCouplets(block.lines) ? 'couplets' : 'verse paragraph';
+
+  const passages = [];
+  for (let i = 0; i < block.lines.length; i += size) {
+    passages.push({
+      number: i === 0 ? block.number : null,
+      lines: block.lines.slice(i, i + size),
+      startLine: block.startLine + i,
+      verseForm
+    });
+  }
+  return passages;
+}
+
+// Group verse lines into blocks separated by blank lines; a verse number or heading also
+// ends a block, and the number is given to the block that follows it.
+// Returns [{ number, lines, startLine }] with startLine counted over verse lines only.
+function collectBlocks(lines) {
+  const blocks = [];
+  let current = null;
+  let pendingNumber = null;
+  let lineNumber = 0;
+
+  function closeBlock() {
+    if (current) {
+      blocks.push(current);
+      current = null;
+    }
+  }
+
+  lines.forEach(line => {
+    const trimmedLine = line.trim();
+    if (!trimmedLine) {
+      closeBlock();
+      return;
+    }
+
+    const verseNumber = parseVerseNumber(trimmedLine);
+    if (verseNumber !== null) {
+      closeBlock();
+      pendingNumber = verseNumber;
+      return;
+    }
+
+    if (isVerseHeading(trimmedLine)) {
+      closeBlock();
+      return;
+    }
+
+    lineNumber++;
+    if (!current) {
+      current = { number: pendingNumber, lines: [], startLine: lineNumber };
+      pendingNumber = null;
+    }
+    current.lines.push(line.trimEnd());
+  });
+
+  closeBlock();
+  return blocks;
+}
+
+// Split a sonnet sequence into one entry per sonnet. Text before the first number is
+// skipped unless `firstNumber` says which sonnet the text starts in (a pasted sonnet).
+// Returns [{ sonnetNumber, verseForm, startLine, endLine, text }] with lines numbered
+// within each sonnet.
+export function parseSonnets(lines, firstNumber = null) {
+  const sonnets = [];
+  let current = firstNumber === null ? null : { sonnetNumber: firstNumber, lines: [] };
+
+  function saveSonnet() {
+    if (current && current.lines.length > 0) {
+      sonnets.push({
+        sonnetNumber: current.sonnetNumber,
+        verseForm: 'sonnet',
+        startLine: 1,
+        endLine: current.lines.length,
+        text: current.lines.join('\n')
+      });
+    }
+  }
+
+  lines.forEach(line => {
+    const trimmedLine = line.trim();
+    const sonnetNumber = parseVerseNumber(trimmedLine);
+
+    if (sonnetNumber !== null) {
+      saveSonnet();
+      current = { sonnetNumber, lines: [] };
+    } else if (current && trimmedLine) {
+      current.lines.push(line.trimEnd());
+    }
+  });
+
+  saveSonnet();
+  return sonnets;
+}
+
+// Split a narrative poem into stanzas: blocks of verse separated by blank lines, numbered as
+// printed ("I.", "II.") or else in order. Each gets its verseForm from its length (sestain,
+// rhyme royal, ...); verse paragraphs longer than a stanza are split into passages of whole
+// couplets. Headings in capitals are skipped.
+// Returns [{ stanzaNumber, verseForm, startLine, endLine, text }] with lines numbered through
+// the whole poem.
+export function parsePoem(lines) {
+  const stanzas = [];
+  let stanzaNumber = 0;
+
+  collectBlocks(lines).forEach(block => {
+    const parts = block.lines.length > MAX_PASSAGE_LINES
+      ? splitPassage(block)
+      : [{ ...block, verseForm: STANZA_FORMS[block.lines.length] || null }];
+
+    parts.forEach(part => {
+      stanzaNumber = part.number ?? stanzaNumber + 1;
+      stanzas.push({
+        stanzaNumber,
+        verseForm: part.verseForm,
+        startLine: part.startLine,
+        endLine: part.startLine + part.lines.length - 1,
+        text: part.lines.join('\n')
+      });
+    });
+  });
+
+  return stanzas;
+}
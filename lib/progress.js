@@ -0,0 +1,55 @@
+function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+// Single progress line with rate and ETA. On a terminal the line is redrawn in place;
+// otherwise (logs, CI) a new line is printed at most every intervalMs.
+export function createProgress(label, total, { stream = process.stdout, intervalMs = 2000 } = {}) {
+  const startedAt = Date.now();
+  const interactive = Boolean(stream.isTTY);
+  let completed = 0;
+  let detail = '';
+  let lastRenderAt = 0;
+  let renderedCompleted = null;
+
+  function line() {
+    const elapsed = Date.now() - startedAt;
+    const percent = total > 0 ? ((completed / total) * 100).toFixed(1) : '100.0';
+    const rate = elapsed > 0 ? completed / (elapsed / 1000) : 0;
+    const eta = completed > 0 ? formatDuration((elapsed / completed) * (total - completed)) : '--:--';
+    return `${label}: ${completed}/${total} (${percent}%)${detail ? ` ${detail}` : ''} · ${rate.toFixed(1)}/s · ETA ${eta}`;
+  }
+
+  function render(force = false) {
+    const now = Date.now();
+    if (!force && now - lastRenderAt < (interactive ? 100 : intervalMs)) return;
+    lastRenderAt = now;
+
+    if (interactive) {
+      stream.write(`\r\x1b[2K${line()}`);
+    } else {
+      stream.write(`${line()}\n`);
+    }
+    renderedCompleted = completed;
+  }
+
+  // Record `count` more items done; `text` replaces the extra detail shown on the line
+  function advance(count = 1, text) {
+    completed += count;
+    if (text !== undefined) detail = text;
+    render();
+  }
+
+  function finish() {
+    if (renderedCompleted !== completed) {
+      render(true);
+    }
+    if (interactive) stream.write('\n');
+    console.log(`${label} finished in ${formatDuration(Date.now() - startedAt)}`);
+  }
+
+  return { advance, finish };
+}
@@ -0,0 +1,357 @@
+// Offline prosody for verse study: verse or prose lines, syllable counts, a proposed iambic
+// scansion and the rhyme scheme. Everything is worked out from spelling alone, so the
+// scansion is a proposal for a reader to check rather than an authority.
+
+// Words whose stress yields to the metre, so they never count against a scansion
+const FLEXIBLE_WORDS = new Set([
+  'any', 'many', 'very', 'into', 'unto', 'upon', 'over', 'under', 'after', 'ever', 'never',
+  'every', 'only', 'being', 'doing', 'even', 'often', 'either', 'neither', 'other', 'whether',
+  'until', 'about', 'again', 'against', 'before', 'behind', 'between', 'within', 'without',
+  'sometime', 'sometimes'
+]);
+
+const FUNCTION_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'nor', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'from',
+  'with', 'as', 'than', 'that', 'if', 'so', 'is', 'am', 'are', 'was', 'be', 'it', 'its', 'i',
+  'my', 'thy', 'his', 'her', 'our', 'your', 'their', 'me', 'thee', 'him', 'us', 'them', 'do',
+  'doth', 'hath', 'shall', 'will', 'would', 'should', 'can', 'may', 'must', 'th'
+]);
+
+// Suffixes that fix where a word is stressed, counted back from the end of the word
+const STRESS_FROM_END = [
+  { pattern: /(tion|sion|cion|tial|cial|cian|ient|ience|ious|eous|uous|ian|ernal|ental)s?$/, syllablesFromEnd: 2 },
+  { pattern: /(self|selves)$/, syllablesFromEnd: 1 },
+  { pattern: /(ity|ical|ify|ogy|ular)$/, syllablesFromEnd: 3 },
+  { pattern: /(ic|ish)$/, syllablesFromEnd: 2, minSyllables: 3 }
+];
+
+// Prefixes that push the stress to the syllable after them ("desire", "compare", "abundance").
+// The short ones only count before a single consonant, so "better" and "render" keep theirs;
+// a Latin prefix run into a doubled consonant ("appear", "offend", "oppose") does the same.
+const LONG_PREFIXES = /^(un|con|com|dis|mis|pre|pro|ex)(?=[^aeiouy])(?!([^aeiouy])\2)/;
+const SHORT_PREFIXES = /^(be|de|re)(?=[^aeiouy][aeiouyrl])(?!([^aeiouy])\2)|^a(?=[^aeiouy][aeiouy])/;
+const DOUBLED_PREFIXES = /^[aeo]([^aeiouyr])\1/;
+
+// A silent "e" inside a word: the end of the first part of a compound ("thereby", "somewhere")
+// or before a suffix ("lovely", "careless")
+const COMPOUND_STARTS = /^(there|where|here|some)(?=[a-z])/;
+const SILENT_E_SUFFIXES = /([^aeiouy])e(ly|ful|less|ness|ment)(s?)$/;
+
+// Lines longer than this are prose however they are printed
+const MAX_VERSE_SYLLABLES = 14;
+
+// Metre names by number of feet
+const LINE_LENGTHS = { 2: 'dimeter', 3: 'trimeter', 4: 'tetrameter', 5: 'pentameter', 6: 'hexameter' };
+
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/[‘’]/g, '\'').replace(/[^a-z']/g, '').replace(/^'+|'+$/g, '');
+}
+
+function splitWords(line) {
+  return line.replace(/[‘’]/g, '\'').split(/\s+|—|--/).filter(word => /[a-zA-Z]/.test(word));
+}
+
+// Syllables a word can take in verse: { min, max, spoken } where spoken is the everyday
+// count. "-ed" may be sounded or not, "heaven" and "flower" may contract, "-tion" and "fire"
+// may be drawn out; written elisions ("lov'd", "o'er", "th'") are taken as spelled.
+export function syllableRange(word) {
+  const spelled = normalizeWord(word).replace(/'/g, '');
+  const sounded = spelled
+    .replace(/^y/, '')
+    .replace(COMPOUND_STARTS, start => start.slice(0, -1))
+    .replace(SILENT_E_SUFFIXES, '$1$2$3');
+  const groups = (sounded.match(/[aeiouy]+/g) || []).length;
+  if (groups === 0) {
+    return { min: 0, max: 0, spoken: 0 };
+  }
+
+  let syllables = groups;
+  if (syllables > 1 && /[^aeiouy]e$/.test(spelled) && !/[^aeiouy]le$/.test(spelled)) {
+    syllables--;
+  }
+  if (syllables > 1 && /[^aeiouy]es$/.test(spelled) && !/(s|x|z|ch|sh|c|g)es$/.test(spelled)) {
+    syllables--;
+  }
+
+  let min = syllables;
+  let max = syllables;
+  if (syllables > 1 && /[^aeiouytd]ed$/.test(spelled)) {
+    min--;
+  }
+  if (/[aeiou][vw]e[nr]s?$/.test(spelled) || /[^aeiouy]er(ing|y|ed|est)$/.test(spelled)) {
+    min = Math.max(1, min - 1);
+  }
+  if (/[^aeiouy](ion|ious|ian|ial|ience|ient)s?$/.test(spelled) || /[^aeiouy](ire|our)s?$/.test(spelled)) {
+    max++;
+  }
+  return { min, max, spoken: syllables };
+}
+
+// Index of the stressed syllable of a word read with `syllables` syllables, or null when its
+// stress can go either way (monosyllables and the FLEXIBLE_WORDS). Contractions and drawn-out
+// endings come after the stress, so suffix rules count back from the everyday pronunciation.
+function primaryStress(word, syllables) {
+  const spelled = normalizeWord(word).replace(/'/g, '');
+  if (syllables < 2 || FLEXIBLE_WORDS.has(spelled)) {
+    return null;
+  }
+
+  const { spoken } = syllableRange(word);
+  const rule = STRESS_FROM_END.find(({ pattern, minSyllables = 2 }) => spoken >= minSyllables && pattern.test(spelled));
+  if (rule) {
+    return Math.min(syllables - 1, Math.max(0, spoken - rule.syllablesFromEnd));
+  }
+  return [LONG_PREFIXES, SHORT_PREFIXES, DOUBLED_PREFIXES].some(prefix => prefix.test(spelled)) ? 1 : 0;
+}
+
+// Syllables of a line's words: { words: [{ word, min, max }], min, max }
+function measureLine(line) {
+  const words = splitWords(line).map(word => ({ word, ...syllableRange(word) }));
+  return {
+    words,
+    min: words.reduce((total, word) => total + word.min, 0),
+    max: words.reduce((total, word) => total + word.max, 0)
+  };
+}
+
+// Choose how many syllables a line is read with: ten if it can be, then eleven (a feminine
+// ending), then nine (a headless line), otherwise as near ten as its words allow. Words that
+// can contract are contracted from the start of the line until the count is reached.
+function fitSyllables(measured) {
+  const target = [10, 11, 9].find(count => count >= measured.min && count <= measured.max) ??
+    (measured.min > 10 ? measured.min : measured.max);
+
+  let excess = measured.max - target;
+  return {
+    target,
+    counts: measured.words.map(word => {
+      const contraction = Math.min(excess, word.max - word.min);
+      excess -= contraction;
+      return word.max - contraction;
+    })
+  };
+}
+
+function metricalTemplate(syllables) {
+  // A headless line drops the opening unstressed syllable
+  const startStressed = syllables === 9;
+  return Array.from({ length: syllables }, (_, position) => ((position % 2 === 0) === startStressed ? '/' : 'x'));
+}
+
+// "x / | x / | ..." with a headless line's first foot a lone stress and an extra final
+// syllable (a feminine ending) joined to the last foot
+function formatFeet(marks, headless) {
+  const feet = headless ? [[marks[0]]] : [];
+  for (let position = headless ? 1 : 0; position < marks.length; position += 2) {
+    feet.push(marks.slice(position, position + 2));
+  }
+  if (feet.length > 1 && feet[feet.length - 1].length === 1) {
+    feet[feet.length - 2].push(...feet.pop());
+  }
+  return feet.map(foot => foot.join(' ')).join(' | ');
+}
+
+// Propose an iambic scansion of a verse line. Stressed syllables of longer words that fall
+// in an unstressed position are inversions: allowed in the first foot or after a pause,
+// irregular anywhere else.
+// Returns { syllables, scansion, feminineEnding, irregular, notes }.
+function scanLine(line) {
+  const measured = measureLine(line);
+  const { target, counts } = fitSyllables(measured);
+  const marks = metricalTemplate(target);
+  const notes = [];
+  let irregular = false;
+
+  let position = 0;
+  measured.words.forEach((word, wordIndex) => {
+    const stress = primaryStress(word.word, counts[wordIndex]);
+    if (stress !== null) {
+      const stressPosition = position + stress;
+      if (marks[stressPosition] === 'x') {
+        const afterPause = wordIndex > 0 && /[,;:.!?]["”’)]*$/.test(measured.words[wordIndex - 1].word);
+        if (stressPosition === 0 || afterPause) {
+          notes.push(stressPosition === 0 ? 'initial inversion' : `inversion after a pause at "${word.word}"`);
+        } else {
+          irregular = true;
+          notes.push(`stress on "${word.word}" against the metre`);
+        }
+        if (marks[stressPosition + 1] === '/') {
+          marks[stressPosition] = '/';
+          marks[stressPosition + 1] = 'x';
+        }
+      }
+    }
+    position += counts[wordIndex];
+  });
+
+  // Eleven syllables scan as pentameter when the last one is unstressed: the weak ending of a
+  // longer word ("question") or a monosyllable such as "it" or "him"
+  const lastIndex = counts.findLastIndex(count => count > 0);
+  const lastWord = measured.words[lastIndex];
+  const lastStress = lastWord ? primaryStress(lastWord.word, counts[lastIndex]) : null;
+  const feminineEnding = target === 11 && lastWord !== undefined && (
+    lastStress !== null
+      ? lastStress < counts[lastIndex] - 1
+      : counts[lastIndex] === 1 && FUNCTION_WORDS.has(normalizeWord(lastWord.word).replace(/'/g, ''))
+  );
+  if (target === 11 && !feminineEnding) {
+    irregular = true;
+    notes.push('11 syllables with a stressed ending');
+  } else if (target === 9) {
+    notes.push('headless line');
+  } else if (target < 9 || target > 11) {
+    irregular = true;
+    notes.push(target < 9 ? `short line of ${target} syllables` : `long line of ${target} syllables`);
+  }
+  if (feminineEnding) {
+    notes.push('feminine ending');
+  }
+
+  return {
+    syllables: target,
+    scansion: formatFeet(marks, target === 9),
+    feminineEnding,
+    irregular,
+    notes
+  };
+}
+
+function startsLowercase(line) {
+  return /^[^A-Za-z]*[a-z]/.test(line);
+}
+
+// Mark each line as verse or prose. Verse is printed a line at a time with a capital at the
+// start of every line; prose runs on, so a wrapped line is followed by one starting in lower
+// case, and very long lines are prose however they are printed.
+function classifyLines(lines) {
+  const types = lines.map((line, index) => {
+    const next = lines[index + 1];
+    if (startsLowercase(line) || (next && startsLowercase(next))) return 'prose';
+    return measureLine(line).min > MAX_VERSE_SYLLABLES ? 'prose' : 'verse';
+  });
+
+  // The last line of a prose speech does not wrap onto anything
+  if (types.length > 1 && types[types.length - 2] === 'prose') {
+    types[types.length - 1] = 'prose';
+  }
+  return types;
+}
+
+// The sound a line ends on, from the last stressed vowel of its final word: "increase" and
+// "decease" both end "ease", "die" and "memory" both "y", "eyes" and "lies" both "ys", and
+// "face" is spelled as "chase" is.
+export function rhymeKey(line) {
+  const words = splitWords(line);
+  if (words.length === 0) return null;
+
+  let word = normalizeWord(words[words.length - 1]).replace(/'/g, '');
+  word = word.replace(/(eye|ie|ye|y)(s?)$/, 'y$2').replace(/ce$/, 'se');
+  if (!/[aeiouy]/.test(word)) return word;
+
+  // A monosyllable ending in a single "e" has a long vowel: "be", "thee" and "me" rhyme
+  if (/^[^aeiouy]+e$/.test(word)) return 'ee';
+
+  const vowelGroups = [...word.matchAll(/[aeiouy]+/g)];
+  let start = vowelGroups[vowelGroups.length - 1].index;
+  if (/[^aeiouy]e$/.test(word) && vowelGroups.length > 1) {
+    start = vowelGroups[vowelGroups.length - 2].index;
+  }
+  return word.slice(start);
+}
+
+// Letters for the rhymes of the verse lines. A line rhymes with one at most RHYME_WINDOW lines
+// before it (far enough for ABBA and rhyme royal); otherwise its sound gets a new letter, so a
+// sonnet that comes back to a sound in a later quatrain still reads as ABAB CDCD.
+// A scheme of quatrains and a closing couplet is written in groups: "ABAB CDCD EFEF GG".
+const RHYME_WINDOW = 4;
+
+function rhymeScheme(keys) {
+  const lastSeen = new Map();
+  let letterCount = 0;
+  const scheme = [];
+  keys.forEach((key, index) => {
+    const previous = lastSeen.get(key);
+    const letter = key !== null && previous !== undefined && index - previous.index <= RHYME_WINDOW
+      ? previous.letter
+      : String.fromCharCode(65 + (letterCount++ % 26));
+    lastSeen.set(key, { index, letter });
+    scheme.push(letter);
+  });
+
+  const counts = new Map();
+  scheme.forEach(letter => counts.set(letter, (counts.get(letter) || 0) + 1));
+  const rhymed = scheme.filter(letter => counts.get(letter) > 1).length;
+
+  let text = scheme.join('');
+  if (scheme.length >= 6 && scheme.length % 4 === 2) {
+    text = (text.slice(0, -2).match(/.{4}/g) || []).concat(text.slice(-2)).join(' ');
+  }
+  return { letters: scheme, text, rhymed };
+}
+
+// Half-lines shorter than this ("Who's there?") are too short to name a metre from
+const MIN_METRICAL_SYLLABLES = 6;
+
+function meterName(verseLines) {
+  if (!verseLines.some(line => line.syllables >= MIN_METRICAL_SYLLABLES)) return null;
+
+  // Feminine endings and headless lines count as the length they vary
+  const lengths = new Map();
+  verseLines.forEach(line => {
+    const length = line.feminineEnding ? line.syllables - 1 : line.syllables === 9 ? 10 : line.syllables;
+    lengths.set(length, (lengths.get(length) || 0) + 1);
+  });
+  const [modalLength, count] = [...lengths].sort((a, b) => b[1] - a[1])[0];
+  const name = LINE_LENGTHS[Math.round(modalLength / 2)];
+
+  return name && count / verseLines.length >= 0.6 ? `iambic ${name}` : 'irregular verse';
+}
+
+// Analyze a passage line by line. Returns { summary, lines } where each line is
+// { line, text, type ('verse' or 'prose'), syllables, and for verse lines scansion,
+// feminineEnding, irregular, notes and rhyme (its letter in the scheme) }.
+// The summary has line counts, the meter ('prose' when most lines are prose, null for a
+// fragment) and the rhyme scheme, which is null unless at least half the verse lines rhyme.
+export function analyzeProsody(text) {
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  const types = classifyLines(lines);
+
+  const analyzed = lines.map((line, index) => {
+    if (types[index] === 'prose') {
+      return { line: index + 1, text: line, type: 'prose', syllables: measureLine(line).min };
+    }
+    return { line: index + 1, text: line, type: 'verse', ...scanLine(line) };
+  });
+
+  const verseLines = analyzed.filter(line => line.type === 'verse');
+  const scheme = rhymeScheme(verseLines.map(line => rhymeKey(line.text)));
+  verseLines.forEach((line, index) => {
+    line.rhyme = scheme.letters[index];
+  });
+
+  const proseLineCount = analyzed.length - verseLines.length;
+  return {
+    summary: {
+      lineCount: analyzed.length,
+      verseLineCount: verseLines.length,
+      proseLineCount,
+      meter: proseLineCount > verseLines.length ? 'prose' : meterName(verseLines),
+      feminineEndings: verseLines.filter(line => line.feminineEnding).length,
+      irregularLines: verseLines.filter(line => line.irregular).length,
+      rhymeScheme: verseLines.length > 1 && scheme.rhymed >= verseLines.length / 2 ? scheme.text : null,
+      rhymedLines: scheme.rhymed
+    },
+    lines: analyzed
+  };
+}
+
+// The parts of the analysis kept with each chunk at ingest (see collections.json `prosody`)
+export function prosodyMetadata(text) {
+  const { summary } = analyzeProsody(text);
+  return {
+    meter: summary.meter,
+    rhymeScheme: summary.rhymeScheme,
+    verseLineCount: summary.verseLineCount,
+    proseLineCount: summary.proseLineCount
+  };
+}
@@ -0,0 +1,102 @@
+import { tokenize } from './text-utils.js';
+import { shortTitle } from './citations.js';
+
+// Number of earlier turns shown to the rewriter
+const HISTORY_TURNS = 3;
+
+const REWRITE_PROMPT = [
+  'You rewrite follow-up messages from a conversation about the works of Shakespeare and his contemporaries into standalone search queries.',
+  'Resolve pronouns and references such as "she", "that speech" or "after that" using the earlier turns.',
+  'Reply with the rewritten query only, without quotes or explanation.'
+].join(' ');
+
+// Words that suggest a message depends on earlier turns
+const REFERENCE_WORDS = new Set([
+  'he', 'she', 'they', 'him', 'her', 'them', 'his', 'hers', 'their', 'it', 'its',
+  'this', 'that', 'these', 'those', 'there', 'then', 'after', 'before', 'again', 'else'
+]);
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'what', 'does', 'did', 'who', 'how', 'why', 'when', 'where', 'which', 'say', 'says',
+  'about', 'with', 'from', 'into', 'for', 'are', 'was', 'were', 'can', 'you', 'show', 'find', 'tell'
+]);
+
+function needsContext(message) {
+  const words = tokenize(message);
+  return words.length <= 3 || words.some(word => REFERENCE_WORDS.has(word));
+}
+
+// Offline rewrite: append the key terms of the previous query and the speaker and
+// work of its best passage to a message that looks like a follow-up
+export function heuristicRewrite(message, history) {
+  const previous = history[history.length - 1];
+  if (!previous || !needsContext(message)) {
+    return message;
+  }
+
+  const messageTerms = new Set(tokenize(message));
+  const contextTerms = [];
+  const addTerm = (term) => {
+    const key = term.toLowerCase();
+    if (!messageTerms.has(key) && !contextTerms.some(existing => existing.toLowerCase() === key)) {
+      contextTerms.push(term);
+    }
+  };
+
+  tokenize(previous.rewrittenQuery || previous.message)
+    .filter(term => term.length > 2 && !STOP_WORDS.has(term) && !REFERENCE_WORDS.has(term))
+    .forEach(addTerm);
+
+  const topResult = previous.results?.[0];
+  if (topResult?.speaker) addTerm(topResult.speaker);
+  if (topResult?.work) addTerm(shortTitle(topResult.work));
+
+  return contextTerms.length > 0 ? `${message} ${contextTerms.join(' ')}` : message;
+}
+
+function describeTurn(turn) {
+  const lines = [`User: ${turn.message}`];
+  if (turn.rewrittenQuery && turn.rewrittenQuery !== turn.message) {
+    lines.push(`Search query: ${turn.rewrittenQuery}`);
+  }
+  (turn.results || []).slice(0, 2).forEach(result => {
+    lines.push(`Passage found: ${result.speaker || 'Unknown speaker'} (${result.citation || result.work})`);
+  });
+  if (turn.answer) {
+    lines.push(`Assistant: ${turn.answer}`);
+  }
+  return lines.join('\n');
+}
+
+// Rewrite a follow-up message into a standalone retrieval query using the earlier turns.
+// The offline local LLM cannot rewrite, so it (and any failed LLM call) falls back to heuristicRewrite.
+export async function rewriteQuery(message, history, llm) {
+  if (history.length === 0) {
+    return message;
+  }
+
+  if (llm.type === 'local') {
+    return heuristicRewrite(message, history);
+  }
+
+  try {
+    const conversation = history.slice(-HISTORY_TURNS).map(describeTurn).join('\n\n');
+    const rewritten = await llm.complete({
+      system: REWRITE_PROMPT,
+      messages: [
+        {
+          role: 'user',
+          content: `Conversation so far:\n\n${conversation}\n\nFollow-up: ${message}\n\nStandalone query:`
+        }
+      ],
+      temperature: 0,
+      maxTokens: 100
+    });
+
+    const query = rewritten.trim().replace(/^["']|["']$/g, '');
+    return query || message;
+  } catch (error) {
+    console.error('Error rewriting query, falling back to heuristic rewrite:', error);
+    return heuristicRewrite(message, history);
+  }
+}
@@ -0,0 +1,257 @@
+import { tokenize } from './text-utils.js';
+import { formatCitation } from './citations.js';
+
+// Find where a quotation comes from. The text of every chunk is read as one stream of words
+// per work, indexed by word pairs; a quote's pairs vote for the places it may start, and each
+// place is aligned word by word against the quote. Words are compared without case,
+// punctuation or the commonest spelling differences, and a misremembered word ("glitters"
+// for "glisters") costs less than a missing or extra one.
+
+// Smallest score (1 minus the alignment cost per quoted word) reported as a match
+export const DEFAULT_MIN_QUOTE_SCORE = 0.8;
+
+// Most lines of context returned on each side of a match
+export const MAX_QUOTE_CONTEXT_LINES = 10;
+
+// Longest quote, in words, the locator aligns
+export const MAX_QUOTE_WORDS = 200;
+
+// Places a quote may start that are aligned in full, most votes first
+const CANDIDATE_LIMIT = 50;
+
+// Word pairs more frequent than this ("of the", "i am") carry no information about where a
+// quote starts and are skipped, unless the quote has nothing else
+const MAX_PAIR_POSTINGS = 2000;
+
+// Two different words count as the same word misspelled when they differ in at most this
+// share of their letters
+const MAX_WORD_DIFFERENCE = 0.34;
+
+// Fold spelling differences that do not change the word: apostrophes (o'er, oer), doubled
+// letters (fellowe, fellow), a final e (olde) and a final -ie for -y (merrie)
+export function spellingKey(word) {
+  return word
+    .replace(/'/g, '')
+    .replace(/(.)\1+/g, '$1')
+    .replace(/ie$/, 'y')
+    .replace(/(..)e$/, '$1');
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+        previous[j] + 1,
+        current[j - 1] + 1
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Cost of reading quoted word a as text word b: 0 for the same word, the share of letters
+// that differ for a near spelling and 1 (as for a missing word) otherwise
+function wordCost(a, b) {
+  if (a === b) return 0;
+  const difference = editDistance(a, b) / Math.max(a.length, b.length);
+  return difference <= MAX_WORD_DIFFERENCE ? difference : 1;
+}
+
+// Align the quote against text[from..to), letting the match start and end anywhere in it.
+// Returns { cost, start, end } with end exclusive.
+function alignQuote(quote, text, from, to) {
+  const width = to - from;
+  let costs = new Array(width + 1).fill(0);
+  let starts = Array.from({ length: width + 1 }, (_, j) => from + j);
+
+  for (let i = 1; i <= quote.length; i++) {
+    const rowCosts = [i];
+    const rowStarts = [from];
+    for (let j = 1; j <= width; j++) {
+      // Substitute, skip a quoted word or skip a word of the text
+      let cost = costs[j - 1] + wordCost(quote[i - 1], text[from + j - 1]);
+      let start = starts[j - 1];
+      if (costs[j] + 1 < cost) {
+        cost = costs[j] + 1;
+        start = starts[j];
+      }
+      if (rowCosts[j - 1] + 1 < cost) {
+        cost = rowCosts[j - 1] + 1;
+        start = rowStarts[j - 1];
+      }
+      rowCosts.push(cost);
+      rowStarts.push(start);
+    }
+    costs = rowCosts;
+    starts = rowStarts;
+  }
+
+  let end = 0;
+  for (let j = 1; j <= width; j++) {
+    if (costs[j] < costs[end]) end = j;
+  }
+  return { cost: costs[end], start: starts[end], end: from + end };
+}
+
+// The chunks of each work in reading order, works in the order they first appear
+function readingOrder(chunks) {
+  const works = new Map();
+  chunks.forEach(chunk => {
+    if (!works.has(chunk.work)) {
+      works.set(chunk.work, []);
+    }
+    works.get(chunk.work).push(chunk);
+  });
+  return [...works.values()].flatMap(workChunks =>
+    [...workChunks].sort((a, b) => (a.sequence ?? 0) - (b.sequence ?? 0))
+  );
+}
+
+// Build the quotation index over a collection's chunks
+export function createQuoteIndex(chunks) {
+  const lines = [];      // { chunk, line, text } for every non-blank line, in reading order
+  const words = [];      // spelling keys of every word, in reading order
+  const wordLines = [];  // index into lines of each word
+  const wordWorks = [];  // index of each word's work, so matches never cross works
+  const pairs = new Map();
+  let workIndex = -1;
+  let previousWork;
+
+  readingOrder(chunks).forEach(chunk => {
+    if (chunk.work !== previousWork) {
+      workIndex++;
+      previousWork = chunk.work;
+    }
+
+    chunk.text.split('\n').forEach((text, offset) => {
+      const lineWords = tokenize(text).map(spellingKey);
+      if (lineWords.length === 0) return;
+
+      lines.push({ chunk, line: chunk.startLine != null ? chunk.startLine + offset : null, text: text.trim() });
+      lineWords.forEach(word => {
+        const position = words.length;
+        if (position > 0 && wordWorks[position - 1] === workIndex) {
+          const pair = `${words[position - 1]} ${word}`;
+          if (!pairs.has(pair)) {
+            pairs.set(pair, []);
+          }
+          pairs.get(pair).push(position - 1);
+        }
+        words.push(word);
+        wordLines.push(lines.length - 1);
+        wordWorks.push(workIndex);
+      });
+    });
+  });
+
+  // The positions where the quote may start, with the number of its word pairs found there
+  function candidateStarts(quote) {
+    const postings = quote.slice(0, -1).map((word, offset) => ({
+      offset,
+      positions: pairs.get(`${word} ${quote[offset + 1]}`) || []
+    }));
+    const informative = postings.filter(({ positions }) => positions.length > 0 && positions.length <= MAX_PAIR_POSTINGS);
+    const used = informative.length > 0 ? informative : postings;
+
+    const votes = new Map();
+    used.forEach(({ offset, positions }) => {
+      positions.forEach(position => {
+        const start = position - offset;
+        votes.set(start, (votes.get(start) || 0) + 1);
+      });
+    });
+
+    return [...votes.entries()]
+      .sort(([startA, a], [startB, b]) => b - a || startA - startB)
+      .slice(0, CANDIDATE_LIMIT)
+      .map(([start]) => start);
+  }
+
+  function contextLines(from, to) {
+    return lines.slice(Math.max(0, from), Math.max(0, to)).map(({ chunk, line, text }) => ({
+      line,
+      speaker: chunk.speaker || null,
+      text
+    }));
+  }
+
+  // The lines of one match and up to `context` lines either side of it from the same scene,
+  // sonnet or poem
+  function describeMatch({ cost, start, end }, quoteLength, context) {
+    const firstLine = wordLines[start];
+    const lastLine = wordLines[end - 1];
+    const first = lines[firstLine];
+    const last = lines[lastLine];
+    const samePlace = index => {
+      const other = lines[index]?.chunk;
+      return Boolean(other) &&
+        other.work === first.chunk.work &&
+        other.act === first.chunk.act &&
+        other.scene === first.chunk.scene &&
+        other.sonnetNumber === first.chunk.sonnetNumber;
+    };
+
+    let before = firstLine;
+    while (before > firstLine - context && samePlace(before - 1)) before--;
+    let after = lastLine + 1;
+    while (after < lastLine + 1 + context && samePlace(after)) after++;
+
+    const { chunk } = first;
+    return {
+      id: String(chunk.id),
+      work: chunk.work,
+      speaker: chunk.speaker || null,
+      act: chunk.act ?? null,
+      scene: chunk.scene ?? null,
+      sonnetNumber: chunk.sonnetNumber ?? null,
+      startLine: first.line,
+      endLine: last.line,
+      citation: formatCitation({ ...chunk, startLine: first.line, endLine: last.line }),
+      score: Math.round(Math.max(0, 1 - cost / quoteLength) * 1000) / 1000,
+      exact: cost === 0,
+      lines: contextLines(firstLine, lastLine + 1),
+      before: contextLines(before, firstLine),
+      after: contextLines(lastLine + 1, after)
+    };
+  }
+
+  // Locate a quote. Returns up to topK matches scoring at least minScore, best first, with
+  // `exact` true when every word matched after folding case, punctuation and spelling.
+  function locate(quote, { topK = 3, minScore = DEFAULT_MIN_QUOTE_SCORE, context = 2 } = {}) {
+    const quoteWords = tokenize(quote).map(spellingKey);
+    if (quoteWords.length < 2) return [];
+
+    // Room either side of a start for words the quote misses or adds
+    const slack = Math.ceil(quoteWords.length * (1 - minScore)) + 1;
+    const alignments = candidateStarts(quoteWords).map(start => {
+      let from = Math.max(0, start - slack);
+      let to = Math.min(words.length, start + quoteWords.length + slack);
+      const anchor = Math.min(Math.max(start, 0), words.length - 1);
+      while (wordWorks[from] !== wordWorks[anchor]) from++;
+      while (wordWorks[to - 1] !== wordWorks[anchor]) to--;
+      return alignQuote(quoteWords, words, from, to);
+    });
+
+    // Nearby candidates usually align to the same words; keep the best of overlapping ones
+    const kept = [];
+    alignments
+      .filter(({ cost, start, end }) => end > start && 1 - cost / quoteWords.length >= minScore)
+      .sort((a, b) => a.cost - b.cost || a.start - b.start)
+      .forEach(alignment => {
+        if (!kept.some(other => alignment.start < other.end && other.start < alignment.end)) {
+          kept.push(alignment);
+        }
+      });
+
+    return kept.slice(0, topK).map(alignment => describeMatch(alignment, quoteWords.length, context));
+  }
+
+  return {
+    size: words.length,
+    locate
+  };
+}
@@ -0,0 +1,18 @@
+// Reciprocal rank fusion: merges several ranked lists of { id, ... } into one.
+// Each list contributes 1 / (k + rank) for every id it contains (rank starts at 1).
+export function reciprocalRankFusion(rankedLists, { k = 60 } = {}) {
+  const fused = new Map();
+
+  rankedLists.forEach((list, listIndex) => {
+    list.forEach((item, position) => {
+      if (!fused.has(item.id)) {
+        fused.set(item.id, { id: item.id, score: 0, ranks: new Array(rankedLists.length).fill(null) });
+      }
+      const entry = fused.get(item.id);
+      entry.score += 1 / (k + position + 1);
+      entry.ranks[listIndex] = position + 1;
+    });
+  });
+
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,53 @@
+import { createLexicalReranker } from './rerankers/lexical-reranker.js';
+import { createLLMReranker } from './rerankers/llm-reranker.js';
+import { createCrossEncoderReranker } from './rerankers/cross-encoder-reranker.js';
+
+export const RERANKERS = ['lexical', 'llm', 'cross-encoder'];
+
+// Default number of first-stage candidates fetched for re-ranking
+export const DEFAULT_RERANK_CANDIDATES = 50;
+
+// Every reranker exposes { type, rerank(query, passages) } resolving to one score per
+// passage (higher is better). The offline local LLM cannot grade passages, so the llm
+// reranker falls back to the lexical one when LLM_PROVIDER=local.
+export function createReranker(type, { llm } = {}) {
+  switch (type) {
+    case 'lexical':
+      return createLexicalReranker();
+    case 'llm':
+      if (!llm || llm.type === 'local') {
+        console.warn('LLM reranking needs a chat model, using the lexical reranker instead');
+        return createLexicalReranker();
+      }
+      return createLLMReranker({ llm });
+    case 'cross-encoder':
+      return createCrossEncoderReranker({
+        url: process.env.CROSS_ENCODER_URL,
+        apiKey: process.env.CROSS_ENCODER_API_KEY,
+        model: process.env.CROSS_ENCODER_MODEL
+      });
+    default:
+      throw new Error(`Unknown reranker "${type}". Expected one of: ${RERANKERS.join(', ')}`);
+  }
+}
+
+// Re-score first-stage results and keep the best topK. Each result keeps its first-stage
+// `score` and gains originalRank, rerankScore and rerankRank so the two can be compared.
+export async function rerankResults(query, results, reranker, topK) {
+  const scores = await reranker.rerank(query, results);
+
+  return results
+    .map((result, position) => ({
+      ...result,
+      originalScore: result.score,
+      originalRank: position + 1,
+      rerankScore: scores[position]
+    }))
+    .sort((a, b) => b.rerankScore - a.rerankScore || a.originalRank - b.originalRank)
+    .slice(0, topK)
+    .map((result, position) => ({
+      ...result,
+      rerankRank: position + 1,
+      reranker: reranker.type
+    }));
+}
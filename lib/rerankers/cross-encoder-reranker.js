@@ -0,0 +1,41 @@
+// Reranker adapter for a cross-encoder served over HTTP. It posts
+// { query, texts, model } and accepts either the Hugging Face text-embeddings-inference
+// reply ([{ index, score }]) or the Cohere/Jina style ({ results: [{ index, relevance_score }] }).
+export function createCrossEncoderReranker({ url, apiKey, model }) {
+  if (!url) {
+    throw new Error('CROSS_ENCODER_URL must be set to use the cross-encoder reranker');
+  }
+
+  async function rerank(query, passages) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        query,
+        texts: passages.map(passage => passage.text),
+        documents: passages.map(passage => passage.text),
+        ...(model ? { model } : {})
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Cross-encoder service returned ${response.status}: ${await response.text()}`);
+    }
+
+    const body = await response.json();
+    const entries = Array.isArray(body) ? body : body.results || [];
+    const scores = new Array(passages.length).fill(0);
+    entries.forEach(entry => {
+      scores[entry.index] = entry.score ?? entry.relevance_score ?? 0;
+    });
+    return scores;
+  }
+
+  return {
+    type: 'cross-encoder',
+    rerank
+  };
+}
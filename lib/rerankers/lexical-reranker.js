@@ -0,0 +1,49 @@
+import { tokenize } from '../text-utils.js';
+
+// Passages shorter than this many words are scored down proportionally
+const MIN_USEFUL_WORDS = 8;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'that', 'this', 'with', 'for', 'not', 'but', 'are', 'was', 'what', 'who', 'how', 'why'
+]);
+
+function bigrams(terms) {
+  const pairs = new Set();
+  for (let i = 1; i < terms.length; i++) {
+    pairs.add(`${terms[i - 1]} ${terms[i]}`);
+  }
+  return pairs;
+}
+
+// Offline reranker scoring passages by how much of the query they contain: query term
+// coverage, matching word pairs and match density, discounted for very short passages
+export function createLexicalReranker() {
+  function scorePassage(queryTerms, queryBigrams, text) {
+    const terms = tokenize(text);
+    if (terms.length === 0 || queryTerms.size === 0) return 0;
+
+    const matchedTerms = new Set(terms.filter(term => queryTerms.has(term)));
+    const matchCount = terms.filter(term => queryTerms.has(term)).length;
+    const passageBigrams = bigrams(terms);
+    const matchedBigrams = [...queryBigrams].filter(pair => passageBigrams.has(pair)).length;
+
+    const coverage = matchedTerms.size / queryTerms.size;
+    const phrase = queryBigrams.size > 0 ? matchedBigrams / queryBigrams.size : 0;
+    const density = Math.min(1, (matchCount / terms.length) * 5);
+    const lengthFactor = Math.min(1, terms.length / MIN_USEFUL_WORDS);
+
+    return (0.6 * coverage + 0.25 * phrase + 0.15 * density) * lengthFactor;
+  }
+
+  async function rerank(query, passages) {
+    const allTerms = tokenize(query);
+    const queryTerms = new Set(allTerms.filter(term => term.length > 2 && !STOP_WORDS.has(term)));
+    const queryBigrams = bigrams(allTerms);
+    return passages.map(passage => scorePassage(queryTerms, queryBigrams, passage.text));
+  }
+
+  return {
+    type: 'lexical',
+    rerank
+  };
+}
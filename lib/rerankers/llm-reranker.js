@@ -0,0 +1,50 @@
+// Longest passage excerpt shown to the model
+const MAX_PASSAGE_CHARS = 500;
+
+const RERANK_PROMPT = [
+  'You judge how relevant passages from Shakespeare and his contemporaries are to a search query.',
+  'Rate every passage from 0 (irrelevant) to 10 (exactly what the query is looking for).',
+  'Reply with one line per passage in the form "<id>: <score>" and nothing else.'
+].join(' ');
+
+// Reranker that asks the chat model to grade every candidate in a single prompt.
+// Scores are returned on a 0-1 scale; passages the model skipped score 0.
+export function createLLMReranker({ llm }) {
+  async function rerank(query, passages) {
+    const listing = passages
+      .map(passage => {
+        const text = passage.text.length > MAX_PASSAGE_CHARS
+          ? `${passage.text.substring(0, MAX_PASSAGE_CHARS)}...`
+          : passage.text;
+        return `[${passage.id}] ${passage.speaker || 'Unknown speaker'} (${passage.citation || passage.work}):\n${text}`;
+      })
+      .join('\n\n');
+
+    const reply = await llm.complete({
+      system: RERANK_PROMPT,
+      messages: [
+        {
+          role: 'user',
+          content: `Query: ${query}\n\nPassages:\n\n${listing}\n\nScores:`
+        }
+      ],
+      temperature: 0,
+      maxTokens: passages.length * 12 + 20
+    });
+
+    const scores = new Map();
+    reply.split('\n').forEach(line => {
+      const match = line.match(/^\s*\[?([^\]:\s]+)\]?\s*[:=-]\s*(\d+(?:\.\d+)?)/);
+      if (match) {
+        scores.set(match[1], Math.min(10, parseFloat(match[2])) / 10);
+      }
+    });
+
+    return passages.map(passage => scores.get(String(passage.id)) ?? 0);
+  }
+
+  return {
+    type: 'llm',
+    rerank
+  };
+}
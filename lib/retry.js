@@ -0,0 +1,74 @@
+// Pinecone SDK errors carry no status code, so transient ones are recognised by name
+const RETRYABLE_ERROR_NAMES = ['PineconeInternalServerError', 'PineconeConnectionError', 'PineconeUnmappedHttpError'];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'UND_ERR_SOCKET'];
+
+function errorStatus(error) {
+  return error.status ?? error.statusCode ?? error.response?.status ?? null;
+}
+
+// Rate limits (429), server errors (5xx) and dropped connections are worth retrying;
+// anything else (bad request, auth) will fail the same way again
+export function isRetryableError(error) {
+  const status = errorStatus(error);
+  if (status !== null) {
+    return status === 429 || status === 408 || status >= 500;
+  }
+  if (RETRYABLE_ERROR_NAMES.includes(error.name)) {
+    return error.name !== 'PineconeUnmappedHttpError' || /\b429\b|rate limit/i.test(error.message);
+  }
+  const code = error.code || error.cause?.code;
+  return RETRYABLE_ERROR_CODES.includes(code) || error.name === 'APIConnectionError';
+}
+
+// Milliseconds the server asked us to wait (Retry-After as seconds or an HTTP date), or null
+export function retryAfterMs(error) {
+  const headers = error.headers || error.response?.headers;
+  if (!headers) return null;
+
+  const value = typeof headers.get === 'function'
+    ? headers.get('retry-after')
+    : headers['retry-after'] ?? headers['Retry-After'];
+  if (value === null || value === undefined) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run `operation` and retry transient failures with exponential backoff and full jitter
+// (a random delay up to baseDelayMs * 2^attempt, capped at maxDelayMs). A Retry-After
+// from the server replaces the computed delay, with a little jitter so parallel callers
+// do not all come back at the same moment.
+export async function withRetry(operation, {
+  retries = 5,
+  baseDelayMs = 500,
+  maxDelayMs = 30000,
+  label = 'Request'
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryableError(error)) {
+        throw error;
+      }
+
+      const requested = retryAfterMs(error);
+      const delay = requested !== null
+        ? requested + Math.random() * baseDelayMs
+        : Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+
+      const status = errorStatus(error);
+      console.warn(
+        `${label} failed${status ? ` (${status})` : ''}: ${error.message}. ` +
+        `Retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 2}/${retries + 1})`
+      );
+      await sleep(delay);
+    }
+  }
+}
@@ -0,0 +1,220 @@
+import { reciprocalRankFusion } from './rank-fusion.js';
+import { vectorMagnitude, isVectorNormalized } from './vector-utils.js';
+import { matchesFilter } from './metadata-filter.js';
+import { formatCitation } from './citations.js';
+import { rerankResults, DEFAULT_RERANK_CANDIDATES } from './reranker.js';
+import { maximalMarginalRelevance } from './mmr.js';
+
+export const SEARCH_MODES = ['semantic', 'lexical', 'hybrid'];
+
+// Maximum number of results a single query may return
+export const MAX_TOP_K = 100;
+
+// Shape a stored chunk (vector metadata or vectors.json entry) into an API result
+export function formatResult(id, metadata = {}) {
+  return {
+    id: String(id),
+    work: metadata.work,
+    speaker: metadata.speaker,
+    part: metadata.part ?? null,
+    text: metadata.text,
+    textLength: metadata.textLength,
+    wordCount: metadata.wordCount,
+    act: metadata.act ?? null,
+    scene: metadata.scene ?? null,
+    sceneLocation: metadata.sceneLocation ?? null,
+    sonnetNumber: metadata.sonnetNumber ?? null,
+    stanzaNumber: metadata.stanzaNumber ?? null,
+    verseForm: metadata.verseForm ?? null,
+    meter: metadata.meter ?? null,
+    rhymeScheme: metadata.rhymeScheme ?? null,
+    startLine: metadata.startLine ?? null,
+    endLine: metadata.endLine ?? null,
+    sequence: metadata.sequence ?? null,
+    prevId: metadata.prevId ?? null,
+    nextId: metadata.nextId ?? null,
+    citation: formatCitation(metadata)
+  };
+}
+
+async function embedQuery(query, embedder) {
+  // Generate embedding for the query using the configured provider
+  const queryVector = await embedder.generateEmbedding(query);
+  
+  // Verify query vector is normalized
+  if (!isVectorNormalized(queryVector)) {
+    console.warn(`Query vector is not normalized! Magnitude: ${vectorMagnitude(queryVector)}`);
+  }
+  return queryVector;
+}
+
+async function semanticSearch(queryVector, topK, filter, { index }, includeValues = false) {
+  const queryResponse = await index.query({
+    vector: queryVector,
+    topK,
+    ...(filter ? { filter } : {}),
+    includeMetadata: true,
+    includeValues
+  });
+  
+  return queryResponse.matches.map(match => ({
+    id: match.id,
+    score: match.score,
+    metadata: match.metadata,
+    values: match.values
+  }));
+}
+
+function lexicalSearch(query, topK, filter, { corpus }) {
+  const predicate = filter ? id => matchesFilter(corpus.chunksById.get(id), filter) : null;
+  return corpus.keywordIndex.search(query, topK, predicate).map(hit => ({
+    id: hit.id,
+    score: hit.score,
+    metadata: corpus.chunksById.get(hit.id)
+  }));
+}
+
+// Run a query in one of SEARCH_MODES. Every result carries the score and rank from each
+// side that found it (null when that side did not), plus the combined `score` used for ordering.
+// `filter` is a metadata filter from buildMetadataFilter().
+// `context` holds { embedder, collections } where each collection is { name, index, corpus }:
+// its vector store namespace and its chunks (lexical and hybrid modes need the corpus).
+// Every collection is searched and the results merged; each result names its `collection`,
+// and its semantic and lexical ranks are ranks within that collection.
+// With a `reranker` the search over-fetches `rerankCandidates` results and returns the
+// topK after re-scoring, each with its original score and rank alongside the rerank score.
+// `diversity` ({ lambda, maxPerWork, maxPerSpeaker }) picks the topK from an over-fetched
+// candidate set with maximal marginal relevance over the stored vectors.
+// `searchQuery` (default: the query) is what is embedded and matched against the keyword
+// index, e.g. the query expanded with archaic words; rerankers score the query itself.
+export async function searchPassages({
+  query,
+  searchQuery = query,
+  topK = 5,
+  mode = 'semantic',
+  filter = null,
+  reranker = null,
+  rerankCandidates = DEFAULT_RERANK_CANDIDATES,
+  diversity = null
+}, context) {
+  const limit = Math.min(topK, MAX_TOP_K);
+
+  if (!reranker && !diversity) {
+    return firstStageSearch(searchQuery, limit, mode, filter, context);
+  }
+
+  const candidateCount = reranker
+    ? Math.min(Math.max(rerankCandidates, limit), MAX_TOP_K)
+    : Math.min(Math.max(limit * 4, 20), MAX_TOP_K);
+  let results = await firstStageSearch(searchQuery, candidateCount, mode, filter, context, Boolean(diversity));
+
+  if (reranker) {
+    results = await rerankResults(query, results, reranker, diversity ? candidateCount : limit);
+  }
+
+  if (diversity) {
+    results = await diversifyResults(results, limit, diversity, context);
+  }
+
+  return results;
+}
+
+// Apply MMR to first-stage (or reranked) results, fetching vectors the search did not return
+// from each result's collection. Results gain mmrScore and mmrRank; the vectors are dropped
+// again before returning.
+async function diversifyResults(results, limit, diversity, { collections }) {
+  const missing = results.filter(result => !result.values);
+  if (missing.length > 0) {
+    const fetched = new Map();
+    await Promise.all(collections.map(async ({ name, index }) => {
+      const ids = missing.filter(result => result.collection === name).map(result => result.id);
+      if (ids.length === 0) return;
+
+      const { records } = await index.fetch(ids);
+      Object.values(records).forEach(record => fetched.set(`${name}:${record.id}`, record.values));
+    }));
+    results = results.map(result => ({
+      ...result,
+      values: result.values || fetched.get(`${result.collection}:${result.id}`)
+    }));
+  }
+
+  const candidates = results.map(result => ({
+    ...result,
+    relevance: result.rerankScore ?? result.score
+  }));
+
+  return maximalMarginalRelevance(candidates, { topK: limit, ...diversity })
+    .map(({ values, relevance, ...result }, position) => ({
+      ...result,
+      mmrRank: position + 1
+    }));
+}
+
+// Search every collection with the same query vector and keep the best `limit` results overall.
+// Semantic and fused scores compare across collections; BM25 scores are only roughly comparable,
+// since each collection's keyword index has its own term statistics.
+async function firstStageSearch(query, limit, mode, filter, { embedder, collections }, includeValues = false) {
+  const queryVector = mode === 'lexical' ? null : await embedQuery(query, embedder);
+
+  const perCollection = await Promise.all(collections.map(async collection => {
+    const results = await searchCollection(query, queryVector, limit, mode, filter, collection, includeValues);
+    return results.map(result => ({ ...result, collection: collection.name }));
+  }));
+
+  if (perCollection.length === 1) {
+    return perCollection[0];
+  }
+  return perCollection.flat().sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+async function searchCollection(query, queryVector, limit, mode, filter, collection, includeValues) {
+  if (mode === 'semantic') {
+    const hits = await semanticSearch(queryVector, limit, filter, collection, includeValues);
+    return hits.map((hit, position) => ({
+      ...formatResult(hit.id, hit.metadata),
+      ...(includeValues ? { values: hit.values } : {}),
+      score: hit.score,
+      semanticScore: hit.score,
+      semanticRank: position + 1,
+      lexicalScore: null,
+      lexicalRank: null
+    }));
+  }
+
+  if (mode === 'lexical') {
+    const hits = lexicalSearch(query, limit, filter, collection);
+    return hits.map((hit, position) => ({
+      ...formatResult(hit.id, hit.metadata),
+      score: hit.score,
+      semanticScore: null,
+      semanticRank: null,
+      lexicalScore: hit.score,
+      lexicalRank: position + 1
+    }));
+  }
+
+  // Hybrid: over-fetch from both sides and merge with reciprocal rank fusion
+  const candidateCount = Math.min(Math.max(limit * 4, 20), MAX_TOP_K);
+  const [semanticHits, lexicalHits] = await Promise.all([
+    semanticSearch(queryVector, candidateCount, filter, collection, includeValues),
+    lexicalSearch(query, candidateCount, filter, collection)
+  ]);
+
+  const hitsById = new Map();
+  [...lexicalHits, ...semanticHits].forEach(hit => hitsById.set(hit.id, hit));
+  const semanticById = new Map(semanticHits.map(hit => [hit.id, hit]));
+  const lexicalById = new Map(lexicalHits.map(hit => [hit.id, hit]));
+
+  return reciprocalRankFusion([semanticHits, lexicalHits])
+    .slice(0, limit)
+    .map(fused => ({
+      ...formatResult(fused.id, hitsById.get(fused.id).metadata),
+      ...(includeValues ? { values: semanticById.get(fused.id)?.values } : {}),
+      score: fused.score,
+      semanticScore: semanticById.get(fused.id)?.score ?? null,
+      semanticRank: fused.ranks[0],
+      lexicalScore: lexicalById.get(fused.id)?.score ?? null,
+      lexicalRank: fused.ranks[1]
+    }));
+}
@@ -0,0 +1,46 @@
+// Server-Sent Events helpers
+
+// Interval for comment lines that keep idle proxies from closing the connection
+const HEARTBEAT_MS = 15000;
+
+// Switch an Express response into an event stream. The returned signal is aborted
+// when the client disconnects, so long-running work can stop early.
+export function openEventStream(req, res) {
+  const controller = new AbortController();
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) {
+      console.log(`Client closed event stream: ${req.method} ${req.originalUrl}`);
+      controller.abort();
+    }
+  });
+
+  function send(event, data) {
+    if (controller.signal.aborted || res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function close() {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) {
+      res.end();
+    }
+  }
+
+  return {
+    send,
+    close,
+    signal: controller.signal
+  };
+}
@@ -0,0 +1,267 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { cosineSimilarity, dotProduct } from '../vector-utils.js';
+import { matchesFilter } from '../metadata-filter.js';
+
+// How long to wait after the last write before persisting to disk
+const SAVE_DELAY_MS = 1000;
+
+// In-process vector store with exact (brute force) search, persisted to disk.
+// Metadata lives in <indexName>.json and the vector values in <indexName>.vectors.bin
+// as packed float32s, in the same record order.
+export function createLocalStore({ directory, indexName }) {
+  const metadataPath = join(directory, `${indexName}.json`);
+  const vectorsPath = join(directory, `${indexName}.vectors.bin`);
+
+  let state = null;
+  let loaded = false;
+  let saveTimer = null;
+
+  function load() {
+    if (loaded) return state;
+    loaded = true;
+
+    if (!existsSync(metadataPath)) {
+      return state;
+    }
+
+    console.log(`Loading local vector store from ${metadataPath}`);
+    const saved = JSON.parse(readFileSync(metadataPath, 'utf-8'));
+    const buffer = existsSync(vectorsPath) ? readFileSync(vectorsPath) : Buffer.alloc(0);
+    const allValues = new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4);
+
+    state = {
+      dimension: saved.dimension,
+      metric: saved.metric,
+      namespaces: {}
+    };
+
+    saved.records.forEach((record, position) => {
+      const start = position * saved.dimension;
+      getNamespace(record.namespace).set(record.id, {
+        values: allValues.slice(start, start + saved.dimension),
+        metadata: record.metadata
+      });
+    });
+
+    return state;
+  }
+
+  function requireState() {
+    const current = load();
+    if (!current) {
+      throw new Error(`Local index ${indexName} does not exist`);
+    }
+    return current;
+  }
+
+  function getNamespace(namespace = '') {
+    if (!state.namespaces[namespace]) {
+      state.namespaces[namespace] = new Map();
+    }
+    return state.namespaces[namespace];
+  }
+
+  function save() {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+    if (!state) return;
+
+    mkdirSync(directory, { recursive: true });
+
+    const records = [];
+    const allValues = [];
+    Object.entries(state.namespaces).forEach(([namespace, entries]) => {
+      entries.forEach((record, id) => {
+        records.push({ namespace, id, metadata: record.metadata });
+        allValues.push(record.values);
+      });
+    });
+
+    const packed = new Float32Array(records.length * state.dimension);
+    allValues.forEach((values, position) => packed.set(values, position * state.dimension));
+
+    // Write to temporary files first so a crash never leaves a half-written store
+    writeFileSync(`${vectorsPath}.tmp`, Buffer.from(packed.buffer));
+    writeFileSync(`${metadataPath}.tmp`, JSON.stringify({
+      indexName,
+      dimension: state.dimension,
+      metric: state.metric,
+      savedAt: new Date().toISOString(),
+      records
+    }));
+    renameSync(`${vectorsPath}.tmp`, vectorsPath);
+    renameSync(`${metadataPath}.tmp`, metadataPath);
+  }
+
+  function scheduleSave() {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+    }
+    saveTimer = setTimeout(save, SAVE_DELAY_MS);
+  }
+
+  function score(queryVector, values) {
+    if (state.metric === 'dotproduct') {
+      return dotProduct(queryVector, values);
+    }
+    if (state.metric === 'euclidean') {
+      let sum = 0;
+      for (let i = 0; i < values.length; i++) {
+        const diff = queryVector[i] - values[i];
+        sum += diff * diff;
+      }
+      return -Math.sqrt(sum);
+    }
+    return cosineSimilarity(queryVector, values);
+  }
+
+  async function create({ dimension, metric = 'cosine' }) {
+    if (load()) {
+      console.log('Index already exists');
+      return false;
+    }
+
+    console.log(`Creating local index: ${indexName}`);
+    state = { dimension, metric, namespaces: {} };
+    save();
+    return true;
+  }
+
+  async function describe() {
+    const current = load();
+    if (!current) {
+      return null;
+    }
+    return {
+      name: indexName,
+      dimension: current.dimension,
+      metric: current.metric,
+      ready: true
+    };
+  }
+
+  // The store interface scoped to one namespace; create, describe and stats cover the whole index
+  function namespaceStore(namespace) {
+    async function upsert(vectors) {
+      const current = requireState();
+      const records = getNamespace(namespace);
+
+      vectors.forEach(vector => {
+        if (vector.values.length !== current.dimension) {
+          throw new Error(`Vector ${vector.id} has ${vector.values.length} dimensions, index expects ${current.dimension}`);
+        }
+        records.set(vector.id, {
+          values: Float32Array.from(vector.values),
+          metadata: vector.metadata || {}
+        });
+      });
+
+      scheduleSave();
+    }
+
+    async function query({ vector, topK = 10, filter, includeMetadata = false, includeValues = false }) {
+      requireState();
+      // Same checks, and messages, as the Pinecone client
+      if (!Number.isInteger(topK)) {
+        throw new Error('You must enter an integer for the `topK` search results to be returned.');
+      }
+      if (topK < 1) {
+        throw new Error('`topK` property must be greater than 0.');
+      }
+      const records = getNamespace(namespace);
+
+      const scored = [];
+      records.forEach((record, id) => {
+        if (!matchesFilter(record.metadata, filter)) return;
+        scored.push({ id, record, score: score(vector, record.values) });
+      });
+      scored.sort((a, b) => b.score - a.score);
+
+      const matches = scored.slice(0, topK).map(({ id, record, score }) => ({
+        id,
+        score,
+        ...(includeValues ? { values: Array.from(record.values) } : {}),
+        ...(includeMetadata ? { metadata: record.metadata } : {})
+      }));
+
+      return { matches, namespace };
+    }
+
+    async function deleteAll() {
+      requireState();
+      state.namespaces[namespace] = new Map();
+      scheduleSave();
+    }
+
+    async function deleteMany(ids) {
+      requireState();
+      const records = getNamespace(namespace);
+      ids.forEach(id => records.delete(id));
+      scheduleSave();
+    }
+
+    async function fetch(ids) {
+      requireState();
+      const records = getNamespace(namespace);
+      const found = {};
+
+      ids.forEach(id => {
+        const record = records.get(id);
+        if (record) {
+          found[id] = { id, values: Array.from(record.values), metadata: record.metadata };
+        }
+      });
+
+      return { records: found, namespace };
+    }
+
+    return {
+      type: 'local',
+      name: indexName,
+      namespaceName: namespace,
+      create,
+      describe,
+      upsert,
+      query,
+      deleteAll,
+      deleteMany,
+      stats,
+      fetch,
+      flush
+    };
+  }
+
+  async function stats() {
+    const current = requireState();
+    const namespaces = {};
+    let totalRecordCount = 0;
+
+    Object.entries(current.namespaces).forEach(([namespace, records]) => {
+      if (records.size === 0) return;
+      namespaces[namespace] = { recordCount: records.size };
+      totalRecordCount += records.size;
+    });
+
+    return {
+      namespaces,
+      dimension: current.dimension,
+      indexFullness: 0,
+      totalRecordCount
+    };
+  }
+
+  // Write any pending changes to disk immediately
+  async function flush() {
+    if (saveTimer) {
+      save();
+    }
+  }
+
+  return {
+    ...namespaceStore(''),
+    namespace: namespaceStore
+  };
+}
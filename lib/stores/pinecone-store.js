@@ -0,0 +1,120 @@
+import { Pinecone } from '@pinecone-database/pinecone';
+
+// Vector store adapter backed by a Pinecone serverless index
+export function createPineconeStore({ apiKey, indexName, cloud = 'aws', region = 'us-east-1' }) {
+  const pc = new Pinecone({ apiKey });
+  let index = null;
+
+  function getIndex() {
+    if (!index) {
+      index = pc.index(indexName);
+    }
+    return index;
+  }
+
+  async function indexExists() {
+    const indexList = await pc.listIndexes();
+    return indexList.indexes?.some(idx => idx.name === indexName) || false;
+  }
+
+  // Create the index if it does not exist yet and wait until it is ready
+  async function create({ dimension, metric = 'cosine' }) {
+    if (await indexExists()) {
+      console.log('Index already exists');
+      return false;
+    }
+
+    console.log(`Creating Pinecone index: ${indexName}`);
+    await pc.createIndex({
+      name: indexName,
+      dimension,
+      metric,
+      spec: {
+        serverless: {
+          cloud,
+          region
+        }
+      }
+    });
+    
+    // Wait for index to be ready
+    console.log('Waiting for index to be ready...');
+    let indexReady = false;
+    while (!indexReady) {
+      const indexDescription = await pc.describeIndex(indexName);
+      if (indexDescription.status?.ready) {
+        indexReady = true;
+        console.log('Index is ready');
+      } else {
+        console.log('Index not ready yet, waiting...');
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+    return true;
+  }
+
+  async function describe() {
+    if (!(await indexExists())) {
+      return null;
+    }
+    const description = await pc.describeIndex(indexName);
+    return {
+      name: description.name,
+      dimension: description.dimension,
+      metric: description.metric,
+      ready: Boolean(description.status?.ready)
+    };
+  }
+
+  async function stats() {
+    return getIndex().describeIndexStats();
+  }
+
+  // Pinecone writes are durable as soon as the request returns
+  async function flush() {}
+
+  // The store interface scoped to one namespace; create, describe and stats cover the whole index
+  function namespaceStore(namespace) {
+    const target = () => (namespace ? getIndex().namespace(namespace) : getIndex());
+
+    async function upsert(vectors) {
+      await target().upsert(vectors);
+    }
+
+    async function query(options) {
+      return target().query(options);
+    }
+
+    async function deleteAll() {
+      await target().deleteAll();
+    }
+
+    async function deleteMany(ids) {
+      await target().deleteMany(ids);
+    }
+
+    async function fetch(ids) {
+      return target().fetch(ids);
+    }
+
+    return {
+      type: 'pinecone',
+      name: indexName,
+      namespaceName: namespace,
+      create,
+      describe,
+      upsert,
+      query,
+      deleteAll,
+      deleteMany,
+      stats,
+      fetch,
+      flush
+    };
+  }
+
+  return {
+    ...namespaceStore(''),
+    namespace: namespaceStore
+  };
+}
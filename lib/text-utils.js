@@ -0,0 +1,48 @@
+// Text helpers shared by the embedders and the keyword index
+
+// Lowercase word tokens; curly apostrophes are folded and contractions kept whole ("'tis" -> "tis", "ne'er" -> "ne'er")
+export function tokenize(text) {
+  if (!text || typeof text !== 'string') return [];
+  return text
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .match(/[a-z0-9]+(?:'[a-z]+)*/g) || [];
+}
+
+// 32-bit FNV-1a hash of a string
+export function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+const ROMAN_VALUES = { I: 1, V: 5, X: 10, L: 50, C: 100, D: 500, M: 1000 };
+
+// Convert a Roman numeral ("XIV") or an Arabic number string to a number; null if neither
+export function romanToNumber(value) {
+  const numeral = String(value).trim().toUpperCase();
+  if (/^\d+$/.test(numeral)) {
+    return parseInt(numeral, 10);
+  }
+  if (!/^[IVXLCDM]+$/.test(numeral)) {
+    return null;
+  }
+
+  let total = 0;
+  for (let i = 0; i < numeral.length; i++) {
+    const current = ROMAN_VALUES[numeral[i]];
+    const next = ROMAN_VALUES[numeral[i + 1]] || 0;
+    total += current < next ? -current : current;
+  }
+  return total;
+}
+
+// Rough token count for batching against provider limits. BPE tokenizers average about
+// four characters per token on modern English; Early Modern spellings split into more
+// pieces, so three characters per token keeps the estimate on the safe side.
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 3);
+}
@@ -0,0 +1,78 @@
+import { createPineconeStore } from './stores/pinecone-store.js';
+import { createLocalStore } from './stores/local-store.js';
+
+// Every vector store exposes the same interface:
+//   create({ dimension, metric })  - create the index if missing, returns true when created
+//   describe()                     - { name, dimension, metric, ready } or null if missing
+//   upsert(vectors)                - [{ id, values, metadata }]
+//   query(options)                 - Pinecone-style query, returns { matches }
+//   deleteAll()                    - remove every vector
+//   deleteMany(ids)                - remove the vectors with these ids
+//   stats()                        - Pinecone-style describeIndexStats() result
+//   fetch(ids)                     - { records: { [id]: { id, values, metadata } } }
+//   flush()                        - persist pending writes
+//   namespace(name)                - the same interface with upsert, query, fetch and the deletes
+//                                    scoped to one namespace (the store itself uses the default '')
+export const VECTOR_STORE_TYPES = ['pinecone', 'local'];
+
+// Select the vector store backend from the VECTOR_STORE environment variable
+export function createVectorStore(type = process.env.VECTOR_STORE || 'pinecone') {
+  const indexName = process.env.PINECONE_INDEX_NAME || 'shakespeare-rag';
+
+  switch (type) {
+    case 'pinecone':
+      return createPineconeStore({
+        apiKey: process.env.PINECONE_API_KEY,
+        indexName,
+        cloud: process.env.PINECONE_CLOUD || 'aws',
+        region: process.env.PINECONE_REGION || 'us-east-1'
+      });
+    case 'local':
+      return createLocalStore({
+        directory: process.env.LOCAL_VECTOR_STORE_DIR || './.vector-store',
+        indexName
+      });
+    default:
+      throw new Error(`Unknown vector store "${type}". Expected one of: ${VECTOR_STORE_TYPES.join(', ')}`);
+  }
+}
+
+// Number of vectors in one namespace of a stats() result
+export function countNamespaceVectors(stats, namespace) {
+  const entry = stats.namespaces?.[namespace];
+  return entry ? entry.vectorCount || entry.recordCount || 0 : 0;
+}
+
+// Total number of vectors across all namespaces of a stats() result
+export function countVectors(stats) {
+  let totalVectors = 0;
+  if (stats.namespaces) {
+    Object.values(stats.namespaces).forEach(namespace => {
+      // Check for both possible field names: vectorCount or recordCount
+      totalVectors += namespace.vectorCount || namespace.recordCount || 0;
+    });
+  }
+  
+  // Also check if totalVectorCount or totalRecordCount is available at the top level
+  if (stats.totalVectorCount) {
+    totalVectors = Math.max(totalVectors, stats.totalVectorCount);
+  }
+  if (stats.totalRecordCount) {
+    totalVectors = Math.max(totalVectors, stats.totalRecordCount);
+  }
+  return totalVectors;
+}
+
+// Create the index if needed and make sure its dimension matches the embedding provider
+export async function ensureIndex(store, dimension, metric = 'cosine') {
+  await store.create({ dimension, metric });
+
+  const description = await store.describe();
+  if (description && description.dimension !== dimension) {
+    throw new Error(
+      `Index ${store.name} has dimension ${description.dimension} but the embedding provider produces ${dimension}. ` +
+      'Use a different index name or recreate the index.'
+    );
+  }
+  return description;
+}
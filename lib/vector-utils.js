@@ -0,0 +1,42 @@
+// Vector normalization utilities shared by the server, ingest and the vector stores
+
+export function normalizeVector(vector) {
+  const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
+  if (magnitude === 0) {
+    throw new Error('Cannot normalize zero vector');
+  }
+  return vector.map(val => val / magnitude);
+}
+
+export function vectorMagnitude(vector) {
+  return Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
+}
+
+export function isVectorNormalized(vector, tolerance = 1e-6) {
+  const magnitude = vectorMagnitude(vector);
+  return Math.abs(magnitude - 1.0) < tolerance;
+}
+
+export function generateNormalizedRandomVector(dimension) {
+  // Generate random vector with normal distribution
+  const vector = Array.from({ length: dimension }, () => 
+    Math.random() * 2 - 1 // Random between -1 and 1
+  );
+  
+  // Normalize it
+  return normalizeVector(vector);
+}
+
+export function dotProduct(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+export function cosineSimilarity(a, b) {
+  const denominator = vectorMagnitude(a) * vectorMagnitude(b);
+  if (denominator === 0) return 0;
+  return dotProduct(a, b) / denominator;
+}
@@ -0,0 +1,97 @@
+// OpenAI-compatible fake embeddings endpoint for exercising ingest's batching, retries and
+// concurrency without an API key. Point ingest at it with
+//   OPENAI_BASE_URL=http://localhost:4010/v1 OPENAI_API_KEY=fake node ingest.js
+// and tune the injected failures with the environment variables below.
+import http from 'http';
+import { createHash } from 'crypto';
+
+const port = parseInt(process.env.FAKE_PORT || '4010');
+const dimension = parseInt(process.env.FAKE_DIMENSION || '1536');
+// Fraction of requests answered with 429 and a Retry-After header
+const throttleRate = parseFloat(process.env.FAKE_THROTTLE_RATE || '0.2');
+const retryAfterSeconds = process.env.FAKE_RETRY_AFTER || '1';
+// Fraction of requests answered with 500
+const errorRate = parseFloat(process.env.FAKE_ERROR_RATE || '0.05');
+// Requests beyond this many in flight get a 429
+const maxConcurrent = parseInt(process.env.FAKE_MAX_CONCURRENT || '4');
+// Requests whose input exceeds this many tokens (4 characters each) get a 400
+const maxRequestTokens = parseInt(process.env.FAKE_MAX_REQUEST_TOKENS || '300000');
+const latencyMs = parseInt(process.env.FAKE_LATENCY_MS || '100');
+
+const stats = { requests: 0, ok: 0, throttled: 0, errors: 0, tooLarge: 0, inputs: 0 };
+let inFlight = 0;
+
+// Deterministic unit vector for a text, so repeated runs produce the same embeddings
+function fakeEmbedding(text) {
+  const seed = createHash('sha256').update(text).digest();
+  const values = Array.from({ length: dimension }, (_, i) => Math.sin(seed[i % seed.length] * (i + 1)));
+  const magnitude = Math.sqrt(values.reduce((sum, value) => sum + value * value, 0));
+  return values.map(value => value / magnitude);
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST' || !req.url.endsWith('/embeddings')) {
+    return sendJson(res, 404, { error: { message: `Unknown route ${req.method} ${req.url}` } });
+  }
+
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    stats.requests++;
+    inFlight++;
+
+    setTimeout(() => {
+      try {
+        const { input, model } = JSON.parse(body);
+        const inputs = Array.isArray(input) ? input : [input];
+        const tokens = inputs.reduce((sum, text) => sum + Math.ceil(text.length / 4), 0);
+
+        if (inFlight > maxConcurrent || Math.random() < throttleRate) {
+          stats.throttled++;
+          return sendJson(res, 429, { error: { message: 'Rate limit reached (simulated)', type: 'rate_limit_error' } }, {
+            'Retry-After': retryAfterSeconds
+          });
+        }
+        if (Math.random() < errorRate) {
+          stats.errors++;
+          return sendJson(res, 500, { error: { message: 'Internal server error (simulated)' } });
+        }
+        if (tokens > maxRequestTokens) {
+          stats.tooLarge++;
+          return sendJson(res, 400, { error: { message: `Request has ${tokens} tokens, the limit is ${maxRequestTokens}` } });
+        }
+
+        stats.ok++;
+        stats.inputs += inputs.length;
+        sendJson(res, 200, {
+          object: 'list',
+          model,
+          data: inputs.map((text, index) => ({ object: 'embedding', index, embedding: fakeEmbedding(text) })),
+          usage: { prompt_tokens: tokens, total_tokens: tokens }
+        });
+      } finally {
+        inFlight--;
+      }
+    }, latencyMs);
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Fake embedding server on http://localhost:${port}/v1 (${dimension} dimensions)`);
+  console.log(`Throttle rate ${throttleRate}, error rate ${errorRate}, max ${maxConcurrent} concurrent, ${maxRequestTokens} tokens per request`);
+});
+
+// Print what was injected when stopped
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    console.log('\nRequests:', JSON.stringify(stats));
+    process.exit(0);
+  });
+});
@@ -1,15 +1,42 @@
 import express from 'express';
+import { existsSync, readFileSync } from 'fs';
 import cors from 'cors';
-import { Pinecone } from '@pinecone-database/pinecone';
-import { readFileSync } from 'fs';
-import OpenAI from 'openai';
 import 'dotenv/config';
+import { createVectorStore, countVectors, countNamespaceVectors, ensureIndex } from './lib/vector-store.js';
+import { createEmbedder } from './lib/embeddings.js';
+import { loadCorpus, addChunksToCorpus, removeWorkFromCorpus, setWorkCharacters, saveCorpus } from './lib/corpus.js';
+import { searchPassages, formatResult, SEARCH_MODES, MAX_TOP_K } from './lib/search.js';
+import { buildMetadataFilter, getFilterOptions } from './lib/filters.js';
+import { createLLMClient } from './lib/llm.js';
+import { generateAnswer, streamAnswer } from './lib/answer.js';
+import { openEventStream } from './lib/sse.js';
+import { createConversationStore } from './lib/conversations.js';
+import { rewriteQuery } from './lib/query-rewriter.js';
+import { createReranker, RERANKERS } from './lib/reranker.js';
+import { DEFAULT_MMR_LAMBDA } from './lib/mmr.js';
+import { expandContext, MAX_CONTEXT_CHUNKS } from './lib/context-window.js';
+import { loadCollections, DEFAULT_COLLECTION } from './lib/collections.js';
+import { chunkText, chunkSource, buildVectorMetadata } from './lib/chunking.js';
+import { normalizeTitle } from './lib/gutenberg.js';
+import { parseVerseNumber } from './lib/poems.js';
+import { shortTitle } from './lib/citations.js';
+import { analyzeProsody } from './lib/prosody.js';
+import { countCharacterLines } from './lib/characters.js';
+import { buildInteractionNetwork, findExchanges, toGraphML } from './lib/network.js';
+import { DEFAULT_MIN_QUOTE_SCORE, MAX_QUOTE_CONTEXT_LINES, MAX_QUOTE_WORDS } from './lib/quotes.js';
+import { tokenize } from './lib/text-utils.js';
+import { expandQuery } from './lib/normalization.js';
+import { paraphraseChunk, createParaphraseCache } from './lib/paraphrase.js';
+import { loadManifest, saveManifest, manifestPath, manifestMatches, replaceWorkInManifest } from './lib/ingest-manifest.js';
+import { vectorMagnitude, generateNormalizedRandomVector } from './lib/vector-utils.js';
 
 const app = express();
 const port = 3001;
 
 app.use(cors());
-app.use(express.json());
+
+// Pasted documents for /api/upsert can be a whole play
+app.use(express.json({ limit: '5mb' }));
 
 // Log all incoming requests
 app.use((req, res, next) => {
@@ -17,121 +44,87 @@ app.use((req, res, next) => {
   next();
 });
 
-console.log('Initializing Pinecone...');
-const pc = new Pinecone({
-  apiKey: process.env.PINECONE_API_KEY
-});
-console.log('Pinecone initialized');
+console.log('Initializing vector store...');
+const vectorStore = createVectorStore();
+console.log(`Vector store initialized (${vectorStore.type})`);
 
-console.log('Initializing OpenAI...');
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-console.log('OpenAI initialized');
+console.log('Initializing embedding provider...');
+const embedder = createEmbedder();
+console.log(`Embedding provider initialized (${embedder.type}: ${embedder.model}, ${embedder.dimension} dimensions)`);
 
-const INDEX_NAME = process.env.PINECONE_INDEX_NAME || 'shakespeare-rag';
-let index;
+console.log('Initializing LLM client...');
+const llm = createLLMClient();
+console.log(`LLM client initialized (${llm.type}: ${llm.model})`);
 
-// Vector normalization utilities
-function normalizeVector(vector) {
-  const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
-  if (magnitude === 0) {
-    throw new Error('Cannot normalize zero vector');
+// Conversation sessions for multi-turn search, kept in memory
+const conversations = createConversationStore();
+
+// Modern-English paraphrases, kept on disk per chunk, and the ones being generated so that
+// requests for the same chunk share one LLM call
+const paraphraseCache = createParaphraseCache(process.env.PARAPHRASE_CACHE_PATH || './paraphrase-cache.json');
+const pendingParaphrases = new Map();
+
+// Rerankers are created on first use, one per type
+const rerankers = new Map();
+
+function getReranker(type) {
+  if (!rerankers.has(type)) {
+    console.log(`Initializing ${type} reranker...`);
+    rerankers.set(type, createReranker(type, { llm }));
   }
-  return vector.map(val => val / magnitude);
+  return rerankers.get(type);
 }
 
-function vectorMagnitude(vector) {
-  return Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
-}
+let index;
 
-function isVectorNormalized(vector, tolerance = 1e-6) {
-  const magnitude = vectorMagnitude(vector);
-  return Math.abs(magnitude - 1.0) < tolerance;
-}
+// Named collections from collections.json, each with its chunks file and the BM25 keyword
+// index built over it (corpus is null until the collection has been ingested)
+console.log('Loading collections...');
+const collections = loadCollections().map(collection => ({
+  ...collection,
+  corpus: loadCorpus(collection.chunksPath)
+}));
+const collectionsByName = new Map(collections.map(collection => [collection.name, collection]));
+console.log(`Collections: ${collections.map(collection => collection.name).join(', ')}`);
 
-function generateNormalizedRandomVector(dimension) {
-  // Generate random vector with normal distribution
-  const vector = Array.from({ length: dimension }, () => 
-    Math.random() * 2 - 1 // Random between -1 and 1
-  );
-  
-  // Normalize it
-  return normalizeVector(vector);
-}
+// Chunks of every ingested collection, used to validate filters and list filter options
+let corpus = null;
 
-// Function to generate embeddings using OpenAI
-async function generateEmbedding(text) {
-  try {
-    const response = await openai.embeddings.create({
-      model: 'text-embedding-ada-002',
-      input: text.trim(),
-      encoding_format: 'float'
-    });
-    
-    const embedding = response.data[0].embedding;
-    
-    // Verify the embedding is the expected dimension
-    if (embedding.length !== 1536) {
-      throw new Error(`Expected 1536 dimensions, got ${embedding.length}`);
-    }
-    
-    // Check if it's already normalized (OpenAI embeddings are usually normalized)
-    const isNormalized = isVectorNormalized(embedding);
-    if (!isNormalized) {
-      console.log('Normalizing embedding...');
-      return normalizeVector(embedding);
-    }
-    
-    return embedding;
-  } catch (error) {
-    console.error('Error generating embedding:', error);
-    throw error;
-  }
+// Searches without a `collections` list cover every ingested collection
+let defaultCollections = [DEFAULT_COLLECTION];
+
+// Recompute the combined chunks and default collections after a collection's corpus changes
+function updateCombinedCorpus() {
+  const ingestedCollections = collections.filter(collection => collection.corpus);
+  corpus = ingestedCollections.length > 0
+    ? { chunks: ingestedCollections.flatMap(collection => collection.corpus.chunks) }
+    : null;
+  defaultCollections = ingestedCollections.length > 0
+    ? ingestedCollections.map(collection => collection.name)
+    : [DEFAULT_COLLECTION];
 }
+updateCombinedCorpus();
+
+// Kinds of pasted documents: plays are split by speaker, sonnets by sonnet number and
+// poems by stanza
+const DOCUMENT_CATEGORIES = ['Play', 'Sonnet', 'Poem'];
+
+// Most quotes checked in one /api/quote request
+const MAX_QUOTES = 50;
+
+// Formats of GET /api/works/:work/network
+const NETWORK_FORMATS = ['json', 'graphml'];
+
+// Largest topK Pinecone accepts, used to find every vector of a work
+const MAX_QUERY_TOP_K = 10000;
 
 async function initializeIndex() {
   try {
-    console.log('Checking if Pinecone index exists...');
-    
-    // Check if index exists
-    const indexList = await pc.listIndexes();
-    const indexExists = indexList.indexes?.some(idx => idx.name === INDEX_NAME);
-    
-    if (!indexExists) {
-      console.log(`Creating Pinecone index: ${INDEX_NAME}`);
-      await pc.createIndex({
-        name: INDEX_NAME,
-        dimension: 1536,
-        metric: 'cosine',
-        spec: {
-          serverless: {
-            cloud: 'aws',
-            region: 'us-east-1'
-          }
-        }
-      });
-      
-      // Wait for index to be ready
-      console.log('Waiting for index to be ready...');
-      let indexReady = false;
-      while (!indexReady) {
-        const indexDescription = await pc.describeIndex(INDEX_NAME);
-        if (indexDescription.status?.ready) {
-          indexReady = true;
-          console.log('Index is ready');
-        } else {
-          console.log('Index not ready yet, waiting...');
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-      }
-    } else {
-      console.log('Index already exists');
-    }
+    console.log(`Checking if index ${vectorStore.name} exists...`);
+    await ensureIndex(vectorStore, embedder.dimension);
     
-    console.log('Getting Pinecone index...');
-    index = pc.index(INDEX_NAME);
     console.log('Index connection established');
+    index = vectorStore;
   } catch (error) {
     console.error('Error initializing index:', error);
     process.exit(1);
@@ -153,32 +146,21 @@ app.get('/api/metrics', async (req, res) => {
       return res.status(503).json({ error: 'Database not initialized' });
     }
     
-    const stats = await index.describeIndexStats();
-    console.log('Raw Pinecone stats:', JSON.stringify(stats, null, 2));
+    const stats = await index.stats();
+    console.log(`Raw ${index.type} stats:`, JSON.stringify(stats, null, 2));
     
     // Calculate total vectors across all namespaces
-    let totalVectors = 0;
-    if (stats.namespaces) {
-      Object.values(stats.namespaces).forEach(namespace => {
-        // Check for both possible field names: vectorCount or recordCount
-        totalVectors += namespace.vectorCount || namespace.recordCount || 0;
-      });
-    }
-    
-    // Also check if totalVectorCount or totalRecordCount is available at the top level
-    if (stats.totalVectorCount) {
-      totalVectors = Math.max(totalVectors, stats.totalVectorCount);
-    }
-    if (stats.totalRecordCount) {
-      totalVectors = Math.max(totalVectors, stats.totalRecordCount);
-    }
+    const totalVectors = countVectors(stats);
     
     res.json({
       totalVectors: totalVectors,
-      dimension: stats.dimension || 1536,
+      dimension: stats.dimension || embedder.dimension,
       indexFullness: stats.indexFullness || 0,
       namespaces: stats.namespaces || {},
       rawStats: stats,
+      vectorStore: index.type,
+      embeddingProvider: embedder.type,
+      embeddingModel: embedder.model,
       status: 'Server running'
     });
   } catch (error) {
@@ -188,54 +170,1259 @@ app.get('/api/metrics', async (req, res) => {
 });
 console.log('Metrics route registered');
 
+// Validate the search parameters shared by /api/query and /api/answer.
+// Returns { params } on success or { status, error } to send back.
+// `collections` may be one collection name or a list of them (default: every ingested collection).
+// `rerank` may be false, true (use RERANKER, default lexical) or one of RERANKERS.
+// `diversity` may be false, true (MMR with the default lambda) or { lambda, maxPerWork, maxPerSpeaker }.
+// `expandArchaic` adds the archaic equivalents of the query's modern words before embedding and
+// keyword matching; the expansion is returned as `expansion` ({ query, expansions }, or null).
+function parseSearchRequest(body) {
+  const {
+    query,
+    topK = 5,
+    mode = 'semantic',
+    filters = {},
+    rerank = false,
+    rerankCandidates,
+    diversity = false,
+    expandArchaic = false,
+    contextBefore = 0,
+    contextAfter = 0,
+    collections: requestedCollections = defaultCollections
+  } = body;
+  
+  if (typeof query !== 'string' || !query.trim()) {
+    return { status: 400, error: 'Query is required' };
+  }
+  
+  if (!(Number.isInteger(topK) && topK > 0 && topK <= MAX_TOP_K)) {
+    return { status: 400, error: `topK must be an integer from 1 to ${MAX_TOP_K}` };
+  }
+  
+  const collectionNames = typeof requestedCollections === 'string' ? [requestedCollections] : requestedCollections;
+  if (!Array.isArray(collectionNames) || collectionNames.length === 0 || collectionNames.some(name => typeof name !== 'string')) {
+    return { status: 400, error: 'collections must be a collection name or a non-empty array of them' };
+  }
+  
+  const unknownCollections = collectionNames.filter(name => !collectionsByName.has(name));
+  if (unknownCollections.length > 0) {
+    return { status: 400, error: `Unknown collections: ${unknownCollections.join(', ')}. Expected one of: ${[...collectionsByName.keys()].join(', ')}` };
+  }
+  
+  if (!SEARCH_MODES.includes(mode)) {
+    return { status: 400, error: `Invalid mode "${mode}". Expected one of: ${SEARCH_MODES.join(', ')}` };
+  }
+  
+  const { filter, errors } = buildMetadataFilter(filters, corpus);
+  if (errors.length > 0) {
+    return { status: 400, error: `Invalid filters: ${errors.join('; ')}` };
+  }
+  
+  if (mode !== 'lexical' && !index) {
+    return { status: 503, error: 'Database not initialized' };
+  }
+  
+  const missingCorpus = collectionNames.find(name => !collectionsByName.get(name).corpus);
+  if (mode !== 'semantic' && missingCorpus) {
+    const { chunksPath } = collectionsByName.get(missingCorpus);
+    return { status: 503, error: `Keyword index not available. Run "node ingest.js ${missingCorpus}" to generate ${chunksPath}` };
+  }
+  
+  const rerankType = rerank === true ? (process.env.RERANKER || 'lexical') : rerank || null;
+  if (rerankType && !RERANKERS.includes(rerankType)) {
+    return { status: 400, error: `Invalid rerank "${rerankType}". Expected one of: ${RERANKERS.join(', ')}` };
+  }
+  
+  if (rerankCandidates !== undefined && !(Number.isInteger(rerankCandidates) && rerankCandidates > 0)) {
+    return { status: 400, error: 'rerankCandidates must be a positive integer' };
+  }
+  
+  for (const [name, value] of [['contextBefore', contextBefore], ['contextAfter', contextAfter]]) {
+    if (!(Number.isInteger(value) && value >= 0 && value <= MAX_CONTEXT_CHUNKS)) {
+      return { status: 400, error: `${name} must be an integer from 0 to ${MAX_CONTEXT_CHUNKS}` };
+    }
+  }
+  
+  const { diversityOptions, diversityError } = parseDiversity(diversity);
+  if (diversityError) {
+    return { status: 400, error: diversityError };
+  }
+  
+  if (typeof expandArchaic !== 'boolean') {
+    return { status: 400, error: 'expandArchaic must be true or false' };
+  }
+  const expansion = expandArchaic ? expandQuery(query) : null;
+  
+  if (diversityOptions && !index) {
+    return { status: 503, error: 'Database not initialized' };
+  }
+  
+  let reranker = null;
+  if (rerankType) {
+    try {
+      reranker = getReranker(rerankType);
+    } catch (error) {
+      return { status: 503, error: error.message };
+    }
+  }
+  
+  return {
+    params: {
+      query,
+      searchQuery: expansion ? expansion.query : query,
+      expansion,
+      collections: [...new Set(collectionNames)],
+      topK,
+      mode,
+      filters,
+      filter,
+      rerank: rerankType,
+      reranker,
+      rerankCandidates,
+      diversity: diversityOptions,
+      contextBefore,
+      contextAfter
+    }
+  };
+}
+
+// Validate the MMR options. Returns { diversityOptions } (null when diversity is off)
+// or { diversityError }.
+function parseDiversity(diversity) {
+  if (!diversity) {
+    return { diversityOptions: null };
+  }
+  
+  const { lambda = DEFAULT_MMR_LAMBDA, maxPerWork = null, maxPerSpeaker = null } = diversity === true ? {} : diversity;
+  
+  if (typeof lambda !== 'number' || lambda < 0 || lambda > 1) {
+    return { diversityError: 'diversity.lambda must be a number between 0 and 1' };
+  }
+  
+  for (const [name, value] of [['maxPerWork', maxPerWork], ['maxPerSpeaker', maxPerSpeaker]]) {
+    if (value !== null && !(Number.isInteger(value) && value > 0)) {
+      return { diversityError: `diversity.${name} must be a positive integer` };
+    }
+  }
+  
+  return { diversityOptions: { lambda, maxPerWork, maxPerSpeaker } };
+}
+
+// Whole numbers in the query string are converted; anything else ("abc", "5.5") is passed on
+// as it is for parseSearchRequest to reject
+function integerFromQueryString(value) {
+  return /^-?\d+$/.test(value) ? Number(value) : value;
+}
+
+// EventSource can only send GET requests, so streaming endpoints take the search
+// parameters from the query string, with filters (and diversity options) as JSON strings
+// and collections as a comma-separated list
+function searchBodyFromQueryString(queryString) {
+  const body = {
+    query: queryString.query,
+    mode: queryString.mode,
+    filters: {}
+  };
+  
+  if (queryString.collections) {
+    body.collections = queryString.collections.split(',').map(name => name.trim()).filter(Boolean);
+  }
+  
+  if (queryString.topK !== undefined) {
+    body.topK = integerFromQueryString(queryString.topK);
+  }
+  
+  if (queryString.filters) {
+    body.filters = JSON.parse(queryString.filters);
+  }
+  
+  if (queryString.rerank) {
+    body.rerank = queryString.rerank === 'true' ? true : queryString.rerank;
+  }
+  
+  if (queryString.rerankCandidates !== undefined) {
+    body.rerankCandidates = integerFromQueryString(queryString.rerankCandidates);
+  }
+  
+  ['contextBefore', 'contextAfter'].forEach(name => {
+    if (queryString[name] !== undefined) {
+      body[name] = integerFromQueryString(queryString[name]);
+    }
+  });
+  
+  if (queryString.diversity) {
+    body.diversity = queryString.diversity === 'true' ? true : JSON.parse(queryString.diversity);
+  }
+  
+  if (queryString.expandArchaic) {
+    body.expandArchaic = queryString.expandArchaic === 'true';
+  }
+  
+  return body;
+}
+
+// Search context for the collections a request selected: the namespace of the index each
+// one was ingested into and its chunks
+function searchContext(params) {
+  return {
+    embedder,
+    collections: params.collections.map(name => {
+      const collection = collectionsByName.get(name);
+      return {
+        name,
+        index: index ? index.namespace(collection.namespace) : null,
+        corpus: collection.corpus
+      };
+    })
+  };
+}
+
+// Works ingested from a collection's source: those ingest.js found in the book's Contents,
+// or the configured titles before the collection has been ingested
+function collectionWorks(collection) {
+  return collection.corpus?.metadata?.works || collection.works;
+}
+
+// Validate a pasted document for /api/upsert and split it into chunks the way ingest.js
+// would, using the parser options of the collection it is added to (default shakespeare).
+// The document becomes a work named after documentName; a sonnet document is read as a
+// sonnet sequence starting at the number in its name ("Sonnet 18", "Sonnet XVIII", or 1)
+// unless the text numbers them, and a poem document is split into stanzas.
+// Returns { document: { collection, work, chunks } } or { status, error }.
+function parseUpsertRequest(body) {
+  const { documentName, text, category, collection: collectionName = DEFAULT_COLLECTION } = body;
+  
+  if ([documentName, text, category].some(value => typeof value !== 'string' || !value.trim())) {
+    return { status: 400, error: 'documentName, text and category are required' };
+  }
+  
+  if (!DOCUMENT_CATEGORIES.includes(category)) {
+    return { status: 400, error: `Invalid category "${category}". Expected one of: ${DOCUMENT_CATEGORIES.join(', ')}` };
+  }
+  
+  const collection = collectionsByName.get(collectionName);
+  if (!collection) {
+    return { status: 400, error: `Unknown collection "${collectionName}". Expected one of: ${[...collectionsByName.keys()].join(', ')}` };
+  }
+  
+  const work = documentName.trim().toUpperCase();
+  if (collectionWorks(collection).includes(work)) {
+    return { status: 409, error: `${work} is ingested from ${collection.source}; choose a different document name` };
+  }
+  
+  const parser = {
+    ...collection.parser,
+    sonnetSequence: category === 'Sonnet' ? work : collection.parser.sonnetSequence,
+    poems: category === 'Poem' ? [work] : collection.parser.poems
+  };
+  const { chunks, characters } = chunkText(text.replace(/\r\n/g, '\n'), { works: [work], parser, prosody: collection.prosody }, {
+    work,
+    sonnet: category === 'Sonnet' ? parseVerseNumber(work.split(' ').pop()) ?? 1 : null
+  });
+  
+  if (chunks.length === 0) {
+    const hint = category === 'Play' ? ' Plays need speaker names in capitals, e.g. "HAMLET."' : '';
+    return { status: 400, error: `No passages found in the text.${hint}` };
+  }
+  
+  return { document: { collection, work, chunks, characters: characters[work] || null } };
+}
+
+// Look up an ingested chunk by id in `collectionName` when one is named and otherwise in every
+// ingested collection. Returns { chunk, collection } or { status, error }.
+function findChunk(chunkId, collectionName) {
+  let searched = collections;
+  if (collectionName !== undefined) {
+    const named = collectionsByName.get(collectionName);
+    if (!named) {
+      return { status: 400, error: `Unknown collection "${collectionName}". Expected one of: ${[...collectionsByName.keys()].join(', ')}` };
+    }
+    searched = [named];
+  }
+  
+  const collection = searched.find(candidate => candidate.corpus?.chunksById.has(String(chunkId)));
+  if (!collection) {
+    return { status: 404, error: `No chunk "${chunkId}" in ${searched.map(candidate => candidate.name).join(', ')}` };
+  }
+  
+  return { chunk: collection.corpus.chunksById.get(String(chunkId)), collection };
+}
+
+// Validate a prosody request: pasted `text`, or the `chunkId` of an ingested chunk (see findChunk).
+// Returns { params: { text, chunk } } with chunk null for pasted text, or { status, error }.
+function parseProsodyRequest(body) {
+  const { text, chunkId, collection: collectionName } = body;
+  
+  if (typeof text === 'string' && text.trim()) {
+    return { params: { text: text.replace(/\r\n/g, '\n'), chunk: null } };
+  }
+  
+  if (chunkId === undefined || chunkId === null || chunkId === '') {
+    return { status: 400, error: 'text or chunkId is required' };
+  }
+  
+  const { chunk, status, error } = findChunk(chunkId, collectionName);
+  if (error) {
+    return { status, error };
+  }
+  
+  return { params: { text: chunk.text, chunk } };
+}
+
+// Validate a paraphrase request: the `chunkId` of an ingested chunk (see findChunk).
+// Returns { params: { chunk, collection } } or { status, error }.
+function parseParaphraseRequest(body) {
+  const { chunkId, collection: collectionName } = body;
+  
+  if (chunkId === undefined || chunkId === null || chunkId === '') {
+    return { status: 400, error: 'chunkId is required' };
+  }
+  
+  const { chunk, collection, status, error } = findChunk(chunkId, collectionName);
+  if (error) {
+    return { status, error };
+  }
+  
+  return { params: { chunk, collection } };
+}
+
+// Validate a quotation request: one `quote` or a list of `quotes` (pasted quotations to check),
+// looked up in `collections` (default: every ingested collection).
+// Returns { params } or { status, error }.
+function parseQuoteRequest(body) {
+  const {
+    quote,
+    quotes: requestedQuotes,
+    topK = 3,
+    minScore = DEFAULT_MIN_QUOTE_SCORE,
+    contextLines = 2,
+    collections: requestedCollections = defaultCollections
+  } = body;
+  
+  const quotes = requestedQuotes !== undefined ? requestedQuotes : (quote !== undefined ? [quote] : []);
+  if (!Array.isArray(quotes) || quotes.length === 0 || quotes.some(text => typeof text !== 'string')) {
+    return { status: 400, error: 'quote or a non-empty array of quotes is required' };
+  }
+  
+  if (quotes.length > MAX_QUOTES) {
+    return { status: 400, error: `At most ${MAX_QUOTES} quotes can be checked at once` };
+  }
+  
+  const wrongLength = quotes.find(text => {
+    const words = tokenize(text).length;
+    return words < 2 || words > MAX_QUOTE_WORDS;
+  });
+  if (wrongLength !== undefined) {
+    return { status: 400, error: `Quotes must have from 2 to ${MAX_QUOTE_WORDS} words: "${wrongLength}"` };
+  }
+  
+  if (!(Number.isInteger(topK) && topK > 0)) {
+    return { status: 400, error: 'topK must be a positive integer' };
+  }
+  
+  if (!(typeof minScore === 'number' && minScore > 0 && minScore <= 1)) {
+    return { status: 400, error: 'minScore must be a number above 0 and at most 1' };
+  }
+  
+  if (!(Number.isInteger(contextLines) && contextLines >= 0 && contextLines <= MAX_QUOTE_CONTEXT_LINES)) {
+    return { status: 400, error: `contextLines must be an integer from 0 to ${MAX_QUOTE_CONTEXT_LINES}` };
+  }
+  
+  const collectionNames = typeof requestedCollections === 'string' ? [requestedCollections] : requestedCollections;
+  if (!Array.isArray(collectionNames) || collectionNames.length === 0 || collectionNames.some(name => typeof name !== 'string')) {
+    return { status: 400, error: 'collections must be a collection name or a non-empty array of them' };
+  }
+  
+  const unknownCollections = collectionNames.filter(name => !collectionsByName.has(name));
+  if (unknownCollections.length > 0) {
+    return { status: 400, error: `Unknown collections: ${unknownCollections.join(', ')}. Expected one of: ${[...collectionsByName.keys()].join(', ')}` };
+  }
+  
+  const missingCorpus = collectionNames.find(name => !collectionsByName.get(name).corpus);
+  if (missingCorpus) {
+    const { chunksPath } = collectionsByName.get(missingCorpus);
+    return { status: 503, error: `Quotation index not available. Run "node ingest.js ${missingCorpus}" to generate ${chunksPath}` };
+  }
+  
+  return {
+    params: {
+      quotes,
+      collections: [...new Set(collectionNames)],
+      topK,
+      minScore,
+      contextLines
+    }
+  };
+}
+
+// Embed chunks and upsert them to a collection's namespace in batches of 100
+async function embedAndUpsertChunks(store, chunks) {
+  const embeddings = await embedder.generateEmbeddingsBatch(chunks.map(chunk => chunk.text));
+  const vectors = chunks.map((chunk, position) => ({
+    id: chunk.id,
+    values: embeddings[position],
+    metadata: buildVectorMetadata(chunk, embeddings[position])
+  }));
+  
+  const batchSize = 100;
+  for (let i = 0; i < vectors.length; i += batchSize) {
+    await store.upsert(vectors.slice(i, i + batchSize));
+  }
+}
+
+// Look up the collection (and work) named in a document management route.
+// Returns { collection, work } or { status, error }; work is null when the route has none.
+function parseWorkRoute(routeParams) {
+  const collection = collectionsByName.get(routeParams.collection);
+  if (!collection) {
+    return { status: 404, error: `Unknown collection "${routeParams.collection}". Expected one of: ${[...collectionsByName.keys()].join(', ')}` };
+  }
+  
+  if (routeParams.work === undefined) {
+    return { collection, work: null };
+  }
+  
+  const work = normalizeTitle(routeParams.work);
+  const known = collectionWorks(collection).includes(work) ||
+    (collection.corpus?.chunks || []).some(chunk => chunk.work === work);
+  if (!known) {
+    return { status: 404, error: `No work "${work}" in collection ${collection.name}` };
+  }
+  
+  return { collection, work };
+}
+
+// Look up the work named in a /api/works route by its full or short title ("Hamlet"), in
+// `collectionName` when one is given and otherwise in the first collection that has it.
+// Returns { collection, work } or { status, error }.
+function findWork(workName, collectionName) {
+  let searched = collections;
+  if (collectionName !== undefined) {
+    const collection = collectionsByName.get(collectionName);
+    if (!collection) {
+      return { status: 400, error: `Unknown collection "${collectionName}". Expected one of: ${[...collectionsByName.keys()].join(', ')}` };
+    }
+    searched = [collection];
+  }
+  
+  const requested = normalizeTitle(workName);
+  for (const collection of searched) {
+    const works = new Set([...collectionWorks(collection), ...(collection.corpus?.chunks || []).map(chunk => chunk.work)]);
+    const work = [...works].find(candidate => candidate === requested || normalizeTitle(shortTitle(candidate)) === requested);
+    if (work) {
+      return { collection, work };
+    }
+  }
+  
+  return { status: 404, error: `No work "${workName}" in ${searched.map(collection => collection.name).join(', ')}` };
+}
+
+// The speeches of a work (sonnets aside) and its stored character registry, for the
+// /api/works routes. Counts come from the chunks, so uploads and deletions are reflected.
+function workSpeeches(collection, work) {
+  return {
+    chunks: (collection.corpus?.chunks || []).filter(chunk => chunk.work === work && chunk.sonnetNumber == null),
+    registry: collection.corpus?.metadata?.characters?.[work] || null
+  };
+}
+
+// Chunk, word and speaker counts for every work of a collection: the works ingested from its
+// source (with no chunks once deleted) followed by documents added through /api/upsert
+function summarizeWorks(collection) {
+  const sourceWorks = collectionWorks(collection);
+  const chunksByWork = new Map(sourceWorks.map(work => [work, []]));
+  (collection.corpus?.chunks || []).forEach(chunk => {
+    if (!chunksByWork.has(chunk.work)) {
+      chunksByWork.set(chunk.work, []);
+    }
+    chunksByWork.get(chunk.work).push(chunk);
+  });
+  
+  return [...chunksByWork].map(([work, chunks]) => ({
+    work,
+    title: shortTitle(work),
+    origin: sourceWorks.includes(work) ? 'source' : 'upload',
+    totalChunks: chunks.length,
+    totalWords: chunks.reduce((total, chunk) => total + (chunk.wordCount || 0), 0),
+    totalSpeakers: new Set(chunks.map(chunk => chunk.speaker).filter(Boolean)).size
+  }));
+}
+
+// Ids of every vector of one work in a collection's namespace. Vector stores cannot list
+// vectors by metadata, so this is a filtered query with a random vector.
+async function findWorkVectorIds(store, work) {
+  const response = await store.query({
+    vector: generateNormalizedRandomVector(embedder.dimension),
+    topK: MAX_QUERY_TOP_K,
+    filter: { work: { $eq: work } }
+  });
+  return response.matches.map(match => match.id);
+}
+
+// Chunks and character registry of a work as ingest.js would produce them now: parsed from
+// the collection's source for works ingested from it, otherwise the chunks added through
+// /api/upsert. Returns { chunks, characters } with characters null for works without speakers.
+function chunksForWork(collection, work) {
+  if (collectionWorks(collection).includes(work) && existsSync(collection.source)) {
+    const { chunks, characters } = chunkSource(readFileSync(collection.source, 'utf-8'), collection);
+    return { chunks: chunks.filter(chunk => chunk.work === work), characters: characters[work] || null };
+  }
+  return {
+    chunks: (collection.corpus?.chunks || []).filter(chunk => chunk.work === work),
+    characters: collection.corpus?.metadata?.characters?.[work] || null
+  };
+}
+
+// Record that a work's vectors were deleted (no chunks) or re-embedded: update the keyword
+// index, the character registries and the chunks file, and the ingest manifest for works
+// from the collection's source so the next ingest.js run knows what the namespace holds
+function replaceWorkChunks(collection, work, chunks, characters = null) {
+  const withoutWork = collection.corpus ? removeWorkFromCorpus(collection.corpus, work) : null;
+  const replaced = chunks.length > 0 ? addChunksToCorpus(withoutWork, chunks) : withoutWork;
+  collection.corpus = replaced ? setWorkCharacters(replaced, work, characters) : null;
+  updateCombinedCorpus();
+  if (collection.corpus) {
+    saveCorpus(collection.chunksPath, collection.corpus);
+  }
+  
+  const path = manifestPath(collection.name);
+  const manifest = loadManifest(path);
+  const target = {
+    vectorStore: vectorStore.type,
+    indexName: vectorStore.name,
+    namespace: collection.namespace,
+    embedding: {
+      provider: embedder.type,
+      model: embedder.model,
+      dimension: embedder.dimension
+    }
+  };
+  if (collectionWorks(collection).includes(work) && manifestMatches(manifest, target)) {
+    saveManifest(path, replaceWorkInManifest(manifest, work, chunks));
+  }
+}
+
+// Run a search and attach the neighbouring chunks requested with contextBefore/contextAfter
+async function searchWithContext(params) {
+  const context = searchContext(params);
+  const results = await searchPassages(params, context);
+  
+  if (params.contextBefore === 0 && params.contextAfter === 0) {
+    return results;
+  }
+  
+  return expandContext(results, { before: params.contextBefore, after: params.contextAfter }, context);
+}
+
 app.post('/api/query', async (req, res) => {
   console.log('Query endpoint called');
   try {
-    const { query, topK = 5 } = req.body;
+    const { params, status, error } = parseSearchRequest(req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
     
-    if (!query) {
-      return res.status(400).json({ error: 'Query is required' });
+    const { query, collections: searched, mode, filters, rerank, diversity, expansion } = params;
+    const results = await searchWithContext(params);
+    
+    res.json({
+      query,
+      expansion,
+      collections: searched,
+      mode,
+      filters,
+      rerank,
+      diversity,
+      results,
+      totalResults: results.length
+    });
+  } catch (error) {
+    console.error('Error querying database:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+console.log('Query route registered');
+
+app.post('/api/upsert/preview', (req, res) => {
+  console.log('Upsert preview endpoint called');
+  try {
+    const { document, status, error } = parseUpsertRequest(req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    const { collection, work, chunks, characters } = document;
+    res.json({
+      collection: collection.name,
+      work,
+      totalChunks: chunks.length,
+      chunks: chunks.map(chunk => formatResult(chunk.id, chunk)),
+      characters: characters || []
+    });
+  } catch (error) {
+    console.error('Error previewing document:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+console.log('Upsert preview route registered');
+
+app.post('/api/upsert', async (req, res) => {
+  console.log('Upsert endpoint called');
+  try {
+    const { document, status, error } = parseUpsertRequest(req.body);
+    if (error) {
+      return res.status(status).json({ error });
     }
     
     if (!index) {
       return res.status(503).json({ error: 'Database not initialized' });
     }
     
-    // Generate embedding for the query using OpenAI
-    const queryVector = await generateEmbedding(query);
+    const { collection, work, chunks, characters } = document;
+    console.log(`Processing ${chunks.length} chunks for ${work}`);
+    
+    const store = index.namespace(collection.namespace);
+    const previousIds = await findWorkVectorIds(store, work);
+    await embedAndUpsertChunks(store, chunks);
+    
+    // Vectors of an earlier upload under the same name that the new text no longer produces
+    const chunkIds = new Set(chunks.map(chunk => String(chunk.id)));
+    const staleIds = previousIds.filter(id => !chunkIds.has(id));
+    if (staleIds.length > 0) {
+      await store.deleteMany(staleIds);
+    }
+    await store.flush();
+    
+    // Make the new chunks available to keyword search, filters and context windows, in place
+    // of any earlier upload's
+    const withoutWork = collection.corpus ? removeWorkFromCorpus(collection.corpus, work) : null;
+    collection.corpus = setWorkCharacters(addChunksToCorpus(withoutWork, chunks), work, characters);
+    updateCombinedCorpus();
+    saveCorpus(collection.chunksPath, collection.corpus);
     
-    // Verify query vector is normalized
-    if (!isVectorNormalized(queryVector)) {
-      console.warn(`Query vector is not normalized! Magnitude: ${vectorMagnitude(queryVector)}`);
+    res.json({
+      success: true,
+      message: `Successfully processed ${chunks.length} chunks for ${work}`,
+      collection: collection.name,
+      work,
+      chunksProcessed: chunks.length,
+      chunkIds: chunks.map(chunk => chunk.id),
+      vectorsDeleted: staleIds.length
+    });
+  } catch (error) {
+    console.error('Error upserting document:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+console.log('Upsert route registered');
+
+app.post('/api/analyze/prosody', (req, res) => {
+  console.log('Prosody endpoint called');
+  try {
+    const { params, status, error } = parseProsodyRequest(req.body);
+    if (error) {
+      return res.status(status).json({ error });
     }
     
-    const queryResponse = await index.query({
-      vector: queryVector,
-      topK: Math.min(topK, 100), // Limit to max 100 results
-      includeMetadata: true
+    const { text, chunk } = params;
+    res.json({
+      chunk: chunk ? formatResult(chunk.id, chunk) : null,
+      ...analyzeProsody(text)
+    });
+  } catch (error) {
+    console.error('Error analyzing prosody:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+console.log('Prosody route registered');
+
+app.post('/api/paraphrase', async (req, res) => {
+  console.log('Paraphrase endpoint called');
+  try {
+    const { params, status, error } = parseParaphraseRequest(req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    const { chunk, collection } = params;
+    const result = formatResult(chunk.id, chunk);
+    
+    let paraphrase = paraphraseCache.get(collection.name, chunk, llm.model);
+    const cached = Boolean(paraphrase);
+    if (!paraphrase) {
+      const key = `${collection.name}:${chunk.id}`;
+      if (!pendingParaphrases.has(key)) {
+        pendingParaphrases.set(key, paraphraseChunk(chunk, result.citation, llm)
+          .then(generated => {
+            paraphraseCache.set(collection.name, chunk, llm.model, generated);
+            return generated;
+          })
+          .finally(() => pendingParaphrases.delete(key)));
+      }
+      paraphrase = await pendingParaphrases.get(key);
+    }
+    
+    res.json({
+      chunk: { ...result, collection: collection.name },
+      model: paraphrase.method === 'llm' ? llm.model : null,
+      cached,
+      ...paraphrase
+    });
+  } catch (error) {
+    console.error('Error paraphrasing chunk:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+console.log('Paraphrase route registered');
+
+app.post('/api/quote', (req, res) => {
+  console.log('Quote endpoint called');
+  try {
+    const { params, status, error } = parseQuoteRequest(req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    const { quotes, collections: searched, topK, minScore, contextLines } = params;
+    const startTime = Date.now();
+    
+    // Every collection's matches compete for the quote's topK places
+    const results = quotes.map(quote => {
+      const matches = searched
+        .flatMap(name => collectionsByName.get(name).corpus.quoteIndex
+          .locate(quote, { topK, minScore, context: contextLines })
+          .map(match => ({ ...match, collection: name })))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+      
+      const status = matches.length === 0 ? 'not_found' : (matches[0].exact ? 'exact' : 'close');
+      return { quote, status, matches };
     });
     
-    const results = queryResponse.matches.map(match => ({
-      id: match.id,
-      score: match.score,
-      work: match.metadata.work,
-      speaker: match.metadata.speaker,
-      text: match.metadata.text,
-      textLength: match.metadata.textLength,
-      wordCount: match.metadata.wordCount
-    }));
+    const notFound = results.filter(result => result.status === 'not_found').length;
+    console.log(`Located ${quotes.length - notFound} of ${quotes.length} quotes in ${Date.now() - startTime}ms`);
+    
+    res.json({
+      collections: searched,
+      minScore,
+      totalQuotes: quotes.length,
+      totalNotFound: notFound,
+      results
+    });
+  } catch (error) {
+    console.error('Error locating quotes:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+console.log('Quote route registered');
+
+app.post('/api/answer', async (req, res) => {
+  console.log('Answer endpoint called');
+  try {
+    const { params, status, error } = parseSearchRequest(req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    const { query, collections: searched, mode, filters, rerank, diversity, expansion } = params;
+    const startTime = Date.now();
+    
+    // Retrieve supporting passages exactly as /api/query would
+    const passages = await searchPassages(params, searchContext(params));
+    const retrievalMs = Date.now() - startTime;
+    
+    const answer = await generateAnswer({ question: query, passages }, llm);
+    if (answer.unknownIds.length > 0) {
+      console.warn(`Answer cited unknown passage ids: ${answer.unknownIds.join(', ')}`);
+    }
     
     res.json({
       query,
+      expansion,
+      collections: searched,
+      mode,
+      filters,
+      rerank,
+      diversity,
+      ...answer,
+      model: llm.model,
+      passages,
+      timing: {
+        retrievalMs,
+        totalMs: Date.now() - startTime
+      }
+    });
+  } catch (error) {
+    console.error('Error generating answer:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+console.log('Answer route registered');
+
+app.post('/api/conversations', (req, res) => {
+  console.log('Create conversation endpoint called');
+  const session = conversations.create();
+  res.status(201).json(session);
+});
+console.log('Create conversation route registered');
+
+app.get('/api/conversations/:id', (req, res) => {
+  console.log('Conversation history endpoint called');
+  const session = conversations.get(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: `Conversation ${req.params.id} not found` });
+  }
+  res.json(session);
+});
+console.log('Conversation history route registered');
+
+app.post('/api/conversations/:id/turns', async (req, res) => {
+  console.log('Conversation turn endpoint called');
+  try {
+    const session = conversations.get(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: `Conversation ${req.params.id} not found` });
+    }
+    
+    const { message, answer: includeAnswer = false, ...searchOptions } = req.body;
+    if (typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+    
+    // Check the search options before spending a model call on the rewrite
+    const options = parseSearchRequest({ ...searchOptions, query: message });
+    if (options.error) {
+      return res.status(options.status).json({ error: options.error });
+    }
+    
+    // Turn the follow-up into a standalone query before retrieval
+    const rewrittenQuery = await rewriteQuery(message, session.turns, llm);
+    console.log(`Rewrote "${message}" as "${rewrittenQuery}"`);
+    
+    const { params, status, error } = parseSearchRequest({ ...searchOptions, query: rewrittenQuery });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    const results = await searchWithContext(params);
+    const answer = includeAnswer ? await generateAnswer({ question: rewrittenQuery, passages: results }, llm) : null;
+    
+    const turn = conversations.addTurn(session.id, {
+      message,
+      rewrittenQuery,
+      expansion: params.expansion,
+      collections: params.collections,
+      mode: params.mode,
+      filters: params.filters,
       results,
-      totalResults: results.length
+      ...(answer ? { answer: answer.answer, claims: answer.claims, citedIds: answer.citedIds } : {})
+    });
+    
+    res.json({
+      conversationId: session.id,
+      turn
     });
   } catch (error) {
-    console.error('Error querying database:', error);
+    console.error('Error processing conversation turn:', error);
     res.status(500).json({ error: error.message });
   }
 });
-console.log('Query route registered');
+console.log('Conversation turn route registered');
+
+app.get('/api/query/stream', async (req, res) => {
+  console.log('Query stream endpoint called');
+  let body;
+  try {
+    body = searchBodyFromQueryString(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: `Invalid query parameters: ${error.message}` });
+  }
+  
+  const { params, status, error } = parseSearchRequest(body);
+  if (error) {
+    return res.status(status).json({ error });
+  }
+  
+  const stream = openEventStream(req, res);
+  try {
+    const startTime = Date.now();
+    const results = await searchWithContext(params);
+    
+    results.forEach((result, position) => stream.send('result', { rank: position + 1, result }));
+    stream.send('done', {
+      query: params.query,
+      expansion: params.expansion,
+      collections: params.collections,
+      mode: params.mode,
+      rerank: params.rerank,
+      diversity: params.diversity,
+      totalResults: results.length,
+      timing: { totalMs: Date.now() - startTime }
+    });
+  } catch (error) {
+    console.error('Error streaming query results:', error);
+    stream.send('error', { error: error.message });
+  } finally {
+    stream.close();
+  }
+});
+console.log('Query stream route registered');
+
+app.get('/api/answer/stream', async (req, res) => {
+  console.log('Answer stream endpoint called');
+  let body;
+  try {
+    body = searchBodyFromQueryString(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: `Invalid query parameters: ${error.message}` });
+  }
+  
+  const { params, status, error } = parseSearchRequest(body);
+  if (error) {
+    return res.status(status).json({ error });
+  }
+  
+  const stream = openEventStream(req, res);
+  try {
+    const startTime = Date.now();
+    let firstTokenMs = null;
+    
+    // 1. The retrieved passages
+    const passages = await searchPassages(params, searchContext(params));
+    const retrievalMs = Date.now() - startTime;
+    stream.send('passages', {
+      query: params.query,
+      expansion: params.expansion,
+      collections: params.collections,
+      mode: params.mode,
+      passages
+    });
+    
+    // 2. The answer, token by token
+    const answer = await streamAnswer({ question: params.query, passages }, llm, {
+      signal: stream.signal,
+      onToken: (token) => {
+        if (firstTokenMs === null) {
+          firstTokenMs = Date.now() - startTime;
+        }
+        stream.send('token', { token });
+      }
+    });
+    
+    if (stream.signal.aborted) {
+      console.log('Answer generation cancelled by client');
+      return;
+    }
+    
+    // 3. Citations and timing
+    stream.send('done', {
+      ...answer,
+      model: llm.model,
+      timing: {
+        retrievalMs,
+        firstTokenMs,
+        totalMs: Date.now() - startTime
+      }
+    });
+  } catch (error) {
+    console.error('Error streaming answer:', error);
+    stream.send('error', { error: error.message });
+  } finally {
+    stream.close();
+  }
+});
+console.log('Answer stream route registered');
+
+app.get('/api/filters', (req, res) => {
+  console.log('Filters endpoint called');
+  try {
+    if (!corpus) {
+      return res.status(503).json({ error: 'Chunk metadata not available. Run "node ingest.js <collection>" to generate it' });
+    }
+    
+    res.json(getFilterOptions(corpus));
+  } catch (error) {
+    console.error('Error building filter options:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+console.log('Filters route registered');
+
+app.get('/api/collections', async (req, res) => {
+  console.log('Collections endpoint called');
+  try {
+    // Vector counts come from the index stats, so they are null until the index is connected
+    const stats = index ? await index.stats() : null;
+    
+    res.json({
+      collections: collections.map(collection => ({
+        name: collection.name,
+        title: collection.title,
+        author: collection.author,
+        namespace: collection.namespace,
+        source: collection.source,
+        works: collectionWorks(collection),
+        ingested: Boolean(collection.corpus),
+        ingestedAt: collection.corpus?.metadata?.processedAt || null,
+        totalChunks: collection.corpus ? collection.corpus.chunks.length : 0,
+        totalVectors: stats ? countNamespaceVectors(stats, collection.namespace) : null
+      })),
+      defaultCollections
+    });
+  } catch (error) {
+    console.error('Error listing collections:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+console.log('Collections route registered');
+
+app.get('/api/collections/:collection/works', (req, res) => {
+  console.log('Works endpoint called');
+  try {
+    const { collection, status, error } = parseWorkRoute(req.params);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    res.json({
+      collection: collection.name,
+      ingested: Boolean(collection.corpus),
+      works: summarizeWorks(collection)
+    });
+  } catch (error) {
+    console.error('Error listing works:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+console.log('Works route registered');
+
+app.get('/api/collections/:collection/works/:work', async (req, res) => {
+  console.log('Work chunks endpoint called');
+  try {
+    const { collection, work, status, error } = parseWorkRoute(req.params);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    const chunks = (collection.corpus?.chunks || [])
+      .filter(chunk => chunk.work === work)
+      .sort((a, b) => (a.sequence ?? 0) - (b.sequence ?? 0));
+    
+    // The vector count shows whether the namespace still matches the chunks
+    const vectorIds = index ? await findWorkVectorIds(index.namespace(collection.namespace), work) : null;
+    
+    res.json({
+      collection: collection.name,
+      work,
+      title: shortTitle(work),
+      totalChunks: chunks.length,
+      totalVectors: vectorIds ? vectorIds.length : null,
+      chunks: chunks.map(chunk => formatResult(chunk.id, chunk))
+    });
+  } catch (error) {
+    console.error('Error fetching work chunks:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+console.log('Work chunks route registered');
+
+app.delete('/api/collections/:collection/works/:work', async (req, res) => {
+  console.log('Delete work endpoint called');
+  try {
+    const { collection, work, status, error } = parseWorkRoute(req.params);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    if (!index) {
+      return res.status(503).json({ error: 'Database not initialized' });
+    }
+    
+    // Vectors the chunks file no longer knows about are found by their work metadata
+    const store = index.namespace(collection.namespace);
+    const ids = new Set(await findWorkVectorIds(store, work));
+    (collection.corpus?.chunks || []).forEach(chunk => {
+      if (chunk.work === work) ids.add(String(chunk.id));
+    });
+    
+    const deleteBatchSize = 1000;
+    const idList = [...ids];
+    for (let i = 0; i < idList.length; i += deleteBatchSize) {
+      await store.deleteMany(idList.slice(i, i + deleteBatchSize));
+    }
+    await store.flush();
+    
+    replaceWorkChunks(collection, work, []);
+    console.log(`Deleted ${idList.length} vectors of ${work} from ${collection.namespace}`);
+    
+    res.json({
+      success: true,
+      message: `Deleted ${idList.length} vectors of ${work}`,
+      collection: collection.name,
+      work,
+      vectorsDeleted: idList.length
+    });
+  } catch (error) {
+    console.error('Error deleting work:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+console.log('Delete work route registered');
+
+app.post('/api/collections/:collection/works/:work/reembed', async (req, res) => {
+  console.log('Re-embed work endpoint called');
+  try {
+    const { collection, work, status, error } = parseWorkRoute(req.params);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    if (!index) {
+      return res.status(503).json({ error: 'Database not initialized' });
+    }
+    
+    const { chunks, characters } = chunksForWork(collection, work);
+    if (chunks.length === 0) {
+      return res.status(404).json({ error: `No chunks found for ${work} in ${collection.source}` });
+    }
+    
+    const store = index.namespace(collection.namespace);
+    const previousIds = await findWorkVectorIds(store, work);
+    
+    console.log(`Re-embedding ${chunks.length} chunks of ${work}`);
+    await embedAndUpsertChunks(store, chunks);
+    
+    // Vectors of chunks the source no longer produces
+    const chunkIds = new Set(chunks.map(chunk => String(chunk.id)));
+    const staleIds = previousIds.filter(id => !chunkIds.has(id));
+    if (staleIds.length > 0) {
+      await store.deleteMany(staleIds);
+    }
+    await store.flush();
+    
+    replaceWorkChunks(collection, work, chunks, characters);
+    
+    res.json({
+      success: true,
+      message: `Re-embedded ${chunks.length} chunks of ${work}`,
+      collection: collection.name,
+      work,
+      chunksEmbedded: chunks.length,
+      vectorsDeleted: staleIds.length
+    });
+  } catch (error) {
+    console.error('Error re-embedding work:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+console.log('Re-embed work route registered');
+
+app.get('/api/works/:work/characters', (req, res) => {
+  console.log('Characters endpoint called');
+  try {
+    const { collection, work, status, error } = findWork(req.params.work, req.query.collection);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    // The registry adds the Dramatis Personae descriptions, aliases and characters who never speak
+    const { chunks, registry } = workSpeeches(collection, work);
+    const characters = countCharacterLines(registry, chunks).sort((a, b) => b.lines - a.lines);
+    
+    res.json({
+      collection: collection.name,
+      work,
+      title: shortTitle(work),
+      ingested: Boolean(collection.corpus),
+      dramatisPersonae: Boolean(registry?.some(character => character.listed)),
+      totalCharacters: characters.length,
+      characters
+    });
+  } catch (error) {
+    console.error('Error listing characters:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+console.log('Characters route registered');
+
+app.get('/api/works/:work/network', (req, res) => {
+  console.log('Network endpoint called');
+  try {
+    const { format = 'json' } = req.query;
+    if (!NETWORK_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format "${format}". Expected one of: ${NETWORK_FORMATS.join(', ')}` });
+    }
+    
+    const { collection, work, status, error } = findWork(req.params.work, req.query.collection);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    const { chunks, registry } = workSpeeches(collection, work);
+    const network = buildInteractionNetwork(chunks, registry);
+    
+    if (format === 'graphml') {
+      const filename = `${shortTitle(work).toLowerCase().replace(/[^a-z0-9]+/g, '-')}-network.graphml`;
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.type('application/graphml+xml').send(toGraphML(network, shortTitle(work)));
+    }
+    
+    res.json({
+      collection: collection.name,
+      work,
+      title: shortTitle(work),
+      totalNodes: network.nodes.length,
+      totalEdges: network.edges.length,
+      ...network
+    });
+  } catch (error) {
+    console.error('Error building network:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+console.log('Network route registered');
+
+app.get('/api/works/:work/network/exchanges', (req, res) => {
+  console.log('Network exchanges endpoint called');
+  try {
+    const { source, target } = req.query;
+    if (!source || !target || source === target) {
+      return res.status(400).json({ error: 'source and target must name two different characters' });
+    }
+    
+    const { collection, work, status, error } = findWork(req.params.work, req.query.collection);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    const { chunks } = workSpeeches(collection, work);
+    const unknown = [source, target].filter(name => !chunks.some(chunk => chunk.speaker === name));
+    if (unknown.length > 0) {
+      return res.status(404).json({ error: `No speeches by ${unknown.join(', ')} in ${work}` });
+    }
+    
+    const exchanges = findExchanges(chunks, source, target);
+    res.json({
+      collection: collection.name,
+      work,
+      source,
+      target,
+      totalExchanges: exchanges.length,
+      exchanges: exchanges.map(exchange => ({
+        ...exchange,
+        turns: exchange.turns.map(turn => ({
+          speaker: turn.speaker,
+          chunks: turn.chunks.map(chunk => formatResult(chunk.id, chunk))
+        }))
+      }))
+    });
+  } catch (error) {
+    console.error('Error finding exchanges:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+console.log('Network exchanges route registered');
 
 app.get('/api/validate-vectors', async (req, res) => {
   console.log('Vector validation endpoint called');
@@ -244,11 +1431,16 @@ app.get('/api/validate-vectors', async (req, res) => {
       return res.status(503).json({ error: 'Database not initialized' });
     }
     
+    const collection = collectionsByName.get(req.query.collection || defaultCollections[0]);
+    if (!collection) {
+      return res.status(400).json({ error: `Unknown collection "${req.query.collection}"` });
+    }
+    
     // Query a sample of vectors to check their normalization
     const sampleSize = parseInt(req.query.sampleSize) || 10;
-    const queryVector = generateNormalizedRandomVector(1536);
+    const queryVector = generateNormalizedRandomVector(embedder.dimension);
     
-    const queryResponse = await index.query({
+    const queryResponse = await index.namespace(collection.namespace).query({
       vector: queryVector,
       topK: sampleSize,
       includeMetadata: true,
@@ -273,6 +1465,7 @@ app.get('/api/validate-vectors', async (req, res) => {
     const totalCount = validationResults.length;
     
     res.json({
+      collection: collection.name,
       sampleSize: totalCount,
       normalizedVectors: normalizedCount,
       normalizationRate: totalCount > 0 ? (normalizedCount / totalCount * 100).toFixed(2) : 0,
@@ -301,6 +1494,26 @@ app.listen(port, async () => {
   console.log('- GET /api/health');
   console.log('- GET /api/metrics');
   console.log('- POST /api/query');
+  console.log('- POST /api/upsert/preview');
+  console.log('- POST /api/upsert');
+  console.log('- POST /api/analyze/prosody');
+  console.log('- POST /api/quote');
+  console.log('- POST /api/paraphrase');
+  console.log('- POST /api/answer');
+  console.log('- POST /api/conversations');
+  console.log('- GET /api/conversations/:id');
+  console.log('- POST /api/conversations/:id/turns');
+  console.log('- GET /api/query/stream');
+  console.log('- GET /api/answer/stream');
+  console.log('- GET /api/filters');
+  console.log('- GET /api/collections');
+  console.log('- GET /api/collections/:collection/works');
+  console.log('- GET /api/collections/:collection/works/:work');
+  console.log('- DELETE /api/collections/:collection/works/:work');
+  console.log('- POST /api/collections/:collection/works/:work/reembed');
+  console.log('- GET /api/works/:work/characters');
+  console.log('- GET /api/works/:work/network');
+  console.log('- GET /api/works/:work/network/exchanges');
   console.log('- GET /api/validate-vectors');
   
   // Initialize index connection on startup
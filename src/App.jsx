@@ -1,9 +1,21 @@
 import React, { useState } from 'react';
 import QueryForm from './components/QueryForm';
 import DatabaseMetrics from './components/DatabaseMetrics';
+import ConversationView from './components/ConversationView';
+import UpsertForm from './components/UpsertForm';
+import DocumentManager from './components/DocumentManager';
+import CharacterNetwork from './components/CharacterNetwork';
+
+const VIEWS = [
+  { value: 'search', label: 'Search' },
+  { value: 'conversation', label: 'Conversation' },
+  { value: 'characters', label: 'Characters' },
+  { value: 'upsert', label: 'Add Document' }
+];
 
 function App() {
   const [refreshTrigger, setRefreshTrigger] = useState(0);
+  const [view, setView] = useState('search');
 
   const handleResetSuccess = () => {
     // Trigger a refresh of the metrics
@@ -23,11 +35,45 @@ function App() {
         </header>
 
         <div className="space-y-8">
-          {/* Database Metrics */}
-          <DatabaseMetrics refreshTrigger={refreshTrigger} />
+          {/* Database Metrics and the works in each collection */}
+          <div className="grid grid-cols-1 xl:grid-cols-2 gap-8">
+            <DatabaseMetrics refreshTrigger={refreshTrigger} />
+            <DocumentManager refreshTrigger={refreshTrigger} onChange={handleResetSuccess} />
+          </div>
+
+          {/* View switcher */}
+          <div className="flex space-x-2 border-b border-gray-300">
+            {VIEWS.map(option => (
+              <button
+                key={option.value}
+                onClick={() => setView(option.value)}
+                className={`px-4 py-2 text-sm font-medium -mb-px border-b-2 ${
+                  view === option.value
+                    ? 'border-green-500 text-green-700'
+                    : 'border-transparent text-gray-600 hover:text-gray-800'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          {/* All views stay mounted so switching tabs keeps their state */}
+          <div className={view === 'search' ? '' : 'hidden'}>
+            <QueryForm onResetSuccess={handleResetSuccess} />
+          </div>
+
+          <div className={view === 'conversation' ? '' : 'hidden'}>
+            <ConversationView />
+          </div>
+
+          <div className={view === 'characters' ? '' : 'hidden'}>
+            <CharacterNetwork refreshTrigger={refreshTrigger} />
+          </div>
 
-          {/* Query Form */}
-          <QueryForm onResetSuccess={handleResetSuccess} />
+          <div className={view === 'upsert' ? '' : 'hidden'}>
+            <UpsertForm onSuccess={handleResetSuccess} />
+          </div>
         </div>
 
         <footer className="mt-12 text-center text-gray-500 text-sm">
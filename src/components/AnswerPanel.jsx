@@ -0,0 +1,100 @@
+import React from 'react';
+
+// A chunk id, e.g. "hamlet-3f9a1c0b7d2e" (see CHUNK_ID in lib/answer.js)
+const CHUNK_ID = '[a-z0-9-]*-[0-9a-f]{12}';
+
+// Splits answer text into plain text and citation markers such as "[hamlet-3f9a1c0b7d2e]" or
+// "[hamlet-3f9a1c0b7d2e, hamlet-08b2e4d1c9a7]"; other bracketed text ("[Exit]") stays text
+const splitCitations = (text) => {
+  const segments = [];
+  const markerPattern = new RegExp(`\\[(${CHUNK_ID}(?:\\s*,\\s*${CHUNK_ID})*)\\]`, 'g');
+  let lastIndex = 0;
+  let match;
+
+  while ((match = markerPattern.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      segments.push({ type: 'text', value: text.slice(lastIndex, match.index) });
+    }
+    match[1].split(',').map(id => id.trim()).filter(Boolean).forEach(id => {
+      segments.push({ type: 'citation', id });
+    });
+    lastIndex = markerPattern.lastIndex;
+  }
+
+  if (lastIndex < text.length) {
+    segments.push({ type: 'text', value: text.slice(lastIndex) });
+  }
+  return segments;
+};
+
+const AnswerPanel = ({ answer, passages, onCitationClick }) => {
+  const passageNumber = (id) => {
+    const position = passages.findIndex(passage => passage.id === id);
+    return position === -1 ? null : position + 1;
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-md">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold text-gray-800">Answer</h3>
+        {answer.model && (
+          <span className="text-xs text-gray-500">{answer.model}</span>
+        )}
+      </div>
+
+      <div className="text-gray-800 text-sm leading-relaxed whitespace-pre-line">
+        {splitCitations(answer.answer).map((segment, index) => {
+          if (segment.type === 'text') {
+            return <React.Fragment key={index}>{segment.value}</React.Fragment>;
+          }
+
+          const number = passageNumber(segment.id);
+          if (number === null) {
+            return (
+              <sup key={index} className="text-red-500" title="This citation does not match a retrieved passage">
+                [?]
+              </sup>
+            );
+          }
+
+          const passage = passages[number - 1];
+          return (
+            <sup key={index}>
+              <button
+                type="button"
+                onClick={() => onCitationClick(segment.id)}
+                title={passage.citation || passage.work}
+                className="text-blue-600 hover:text-blue-800 font-medium px-0.5"
+              >
+                [{number}]
+              </button>
+            </sup>
+          );
+        })}
+        {answer.streaming && (
+          <span className="inline-block w-2 h-4 ml-0.5 align-middle bg-gray-500 animate-pulse" />
+        )}
+      </div>
+
+      {answer.stopped && (
+        <p className="mt-2 text-xs text-gray-500">Generation stopped.</p>
+      )}
+
+      {answer.timing && (
+        <p className="mt-2 text-xs text-gray-500">
+          Retrieved in {answer.timing.retrievalMs} ms
+          {answer.timing.firstTokenMs !== null && answer.timing.firstTokenMs !== undefined && `, first token after ${answer.timing.firstTokenMs} ms`}
+          , finished in {answer.timing.totalMs} ms
+        </p>
+      )}
+
+      {answer.unknownIds?.length > 0 && (
+        <p className="mt-2 text-xs text-red-600">
+          Some citations did not match any retrieved passage and may be unreliable.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default AnswerPanel;
@@ -0,0 +1,314 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+const WIDTH = 800;
+const HEIGHT = 500;
+const MARGIN = 30;
+const LAYOUT_STEPS = 300;
+
+// Start the characters evenly spaced on a circle
+const initialPositions = (nodes) => new Map(nodes.map((node, index) => {
+  const angle = (2 * Math.PI * index) / nodes.length;
+  return [node.name, {
+    x: WIDTH / 2 + (WIDTH / 3) * Math.cos(angle),
+    y: HEIGHT / 2 + (HEIGHT / 3) * Math.sin(angle)
+  }];
+}));
+
+// One step of a simple force layout: every pair of characters pushes apart, linked characters
+// pull together more strongly the more they interact, and everything drifts to the centre.
+// The `fixed` character (being dragged) stays where it is.
+const layoutStep = (positions, nodes, edges, fixed = null) => {
+  const forces = new Map(nodes.map(node => [node.name, { x: 0, y: 0 }]));
+
+  nodes.forEach((a, i) => {
+    nodes.slice(i + 1).forEach(b => {
+      const pa = positions.get(a.name);
+      const pb = positions.get(b.name);
+      const dx = pa.x - pb.x || 0.1;
+      const dy = pa.y - pb.y || 0.1;
+      const distanceSquared = Math.max(dx * dx + dy * dy, 100);
+      const push = 4000 / distanceSquared;
+      const distance = Math.sqrt(distanceSquared);
+      forces.get(a.name).x += (dx / distance) * push;
+      forces.get(a.name).y += (dy / distance) * push;
+      forces.get(b.name).x -= (dx / distance) * push;
+      forces.get(b.name).y -= (dy / distance) * push;
+    });
+  });
+
+  edges.forEach(edge => {
+    const ps = positions.get(edge.source);
+    const pt = positions.get(edge.target);
+    if (!ps || !pt) return;
+    const dx = pt.x - ps.x;
+    const dy = pt.y - ps.y;
+    const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 1);
+    const pull = (distance - 90) * 0.01 * (1 + Math.log(edge.weight));
+    forces.get(edge.source).x += (dx / distance) * pull;
+    forces.get(edge.source).y += (dy / distance) * pull;
+    forces.get(edge.target).x -= (dx / distance) * pull;
+    forces.get(edge.target).y -= (dy / distance) * pull;
+  });
+
+  const next = new Map();
+  nodes.forEach(node => {
+    const position = positions.get(node.name);
+    if (node.name === fixed) {
+      next.set(node.name, position);
+      return;
+    }
+    const force = forces.get(node.name);
+    force.x += (WIDTH / 2 - position.x) * 0.005;
+    force.y += (HEIGHT / 2 - position.y) * 0.005;
+
+    // Cap each move so the layout settles instead of oscillating
+    const length = Math.sqrt(force.x * force.x + force.y * force.y);
+    const scale = length > 10 ? 10 / length : 1;
+    next.set(node.name, {
+      x: Math.min(WIDTH - MARGIN, Math.max(MARGIN, position.x + force.x * scale)),
+      y: Math.min(HEIGHT - MARGIN, Math.max(MARGIN, position.y + force.y * scale))
+    });
+  });
+  return next;
+};
+
+const CharacterNetwork = ({ refreshTrigger }) => {
+  const [works, setWorks] = useState([]);
+  const [work, setWork] = useState('');
+  const [network, setNetwork] = useState(null);
+  const [positions, setPositions] = useState(new Map());
+  const [dragging, setDragging] = useState(null);
+  const [selectedEdge, setSelectedEdge] = useState(null);
+  const [exchanges, setExchanges] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState('');
+  const svgRef = useRef(null);
+
+  useEffect(() => {
+    const fetchWorks = async () => {
+      try {
+        // Works with speakers are the plays
+        const response = await fetch('/api/filters');
+        if (response.ok) {
+          const data = await response.json();
+          const plays = Object.keys(data.speakersByWork || {}).filter(play => data.speakersByWork[play].length > 0).sort();
+          setWorks(plays);
+          setWork(prev => prev || plays[0] || '');
+        }
+      } catch (error) {
+        console.error('Error fetching works:', error);
+      }
+    };
+
+    fetchWorks();
+  }, [refreshTrigger]);
+
+  const networkUrl = (path = '') => `/api/works/${encodeURIComponent(work)}/network${path}`;
+
+  useEffect(() => {
+    if (!work) return;
+
+    const fetchNetwork = async () => {
+      setIsLoading(true);
+      setMessage('');
+      setSelectedEdge(null);
+      setExchanges(null);
+
+      try {
+        const response = await fetch(networkUrl());
+        const data = await response.json();
+
+        if (response.ok) {
+          let layout = initialPositions(data.nodes);
+          for (let step = 0; step < LAYOUT_STEPS; step++) {
+            layout = layoutStep(layout, data.nodes, data.edges);
+          }
+          setNetwork(data);
+          setPositions(layout);
+        } else {
+          setNetwork(null);
+          setMessage(`❌ Error: ${data.error}`);
+        }
+      } catch (error) {
+        setMessage(`❌ Error: ${error.message}`);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchNetwork();
+  }, [work]);
+
+  const handleEdgeClick = async (edge) => {
+    setSelectedEdge(edge);
+    setExchanges(null);
+
+    try {
+      const params = new URLSearchParams({ source: edge.source, target: edge.target });
+      const response = await fetch(`${networkUrl('/exchanges')}?${params}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setExchanges(data.exchanges);
+      } else {
+        setMessage(`❌ Error: ${data.error}`);
+      }
+    } catch (error) {
+      setMessage(`❌ Error: ${error.message}`);
+    }
+  };
+
+  // Dragging a character moves it and lets the others settle around it
+  const handlePointerMove = (e) => {
+    if (!dragging || !svgRef.current) return;
+
+    const point = svgRef.current.createSVGPoint();
+    point.x = e.clientX;
+    point.y = e.clientY;
+    const { x, y } = point.matrixTransform(svgRef.current.getScreenCTM().inverse());
+
+    let layout = new Map(positions);
+    layout.set(dragging, { x, y });
+    for (let step = 0; step < 3; step++) {
+      layout = layoutStep(layout, network.nodes, network.edges, dragging);
+    }
+    setPositions(layout);
+  };
+
+  const maxLines = network ? Math.max(1, ...network.nodes.map(node => node.lines)) : 1;
+  const maxWeight = network ? Math.max(1, ...network.edges.map(edge => edge.weight)) : 1;
+  const isSelected = (edge) => selectedEdge?.source === edge.source && selectedEdge?.target === edge.target;
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-bold text-gray-800">Character Network</h2>
+        <div className="flex items-center space-x-3">
+          <select
+            value={work}
+            onChange={(e) => setWork(e.target.value)}
+            className="px-3 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            {works.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+          {network && (
+            <a href={networkUrl('?format=graphml')} className="text-sm text-blue-600 hover:text-blue-800 underline">
+              GraphML
+            </a>
+          )}
+        </div>
+      </div>
+
+      {works.length === 0 ? (
+        <p className="text-sm text-gray-500">No plays ingested yet. Run "node ingest.js" first.</p>
+      ) : isLoading ? (
+        <div className="flex items-center justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+          <span className="ml-2 text-gray-600">Building network...</span>
+        </div>
+      ) : network && (
+        <>
+          <p className="text-sm text-gray-600 mb-2">
+            {network.totalNodes} characters, {network.totalEdges} links. Thicker links mean more replies and
+            shared scenes; click one to read the exchanges, drag a character to move it.
+          </p>
+          <svg
+            ref={svgRef}
+            viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+            className="w-full border border-gray-200 rounded-md bg-gray-50 select-none"
+            onPointerMove={handlePointerMove}
+            onPointerUp={() => setDragging(null)}
+            onPointerLeave={() => setDragging(null)}
+          >
+            {network.edges.map(edge => {
+              const source = positions.get(edge.source);
+              const target = positions.get(edge.target);
+              if (!source || !target) return null;
+              return (
+                <g key={`${edge.source}-${edge.target}`} onClick={() => handleEdgeClick(edge)} className="cursor-pointer">
+                  <line
+                    x1={source.x} y1={source.y} x2={target.x} y2={target.y}
+                    stroke={isSelected(edge) ? '#16a34a' : '#9ca3af'}
+                    strokeWidth={1 + (5 * edge.weight) / maxWeight}
+                    strokeOpacity={0.8}
+                  />
+                  {/* A wider invisible line makes thin links easy to click */}
+                  <line x1={source.x} y1={source.y} x2={target.x} y2={target.y} stroke="transparent" strokeWidth={12}>
+                    <title>{`${edge.source} – ${edge.target}: ${edge.replies} replies, ${edge.scenes} shared scenes`}</title>
+                  </line>
+                </g>
+              );
+            })}
+            {network.nodes.map(node => {
+              const position = positions.get(node.name);
+              if (!position) return null;
+              const radius = 6 + 14 * Math.sqrt(node.lines / maxLines);
+              return (
+                <g
+                  key={node.name}
+                  onPointerDown={() => setDragging(node.name)}
+                  className="cursor-move"
+                >
+                  <circle
+                    cx={position.x} cy={position.y} r={radius}
+                    fill={node.listed ? '#a855f7' : '#d8b4fe'}
+                    stroke="#fff"
+                    strokeWidth={2}
+                  >
+                    <title>{`${node.name}${node.description ? `, ${node.description}` : ''}: ${node.speeches} speeches, ${node.lines} lines`}</title>
+                  </circle>
+                  <text x={position.x} y={position.y - radius - 4} textAnchor="middle" className="text-xs fill-gray-700 pointer-events-none">
+                    {node.name}
+                  </text>
+                </g>
+              );
+            })}
+          </svg>
+        </>
+      )}
+
+      {selectedEdge && (
+        <div className="mt-6">
+          <h3 className="text-lg font-semibold text-gray-800 mb-2">
+            {selectedEdge.source} and {selectedEdge.target}: {selectedEdge.replies} replies in {selectedEdge.scenes} scenes
+          </h3>
+          {exchanges === null ? (
+            <p className="text-sm text-gray-500">Loading exchanges...</p>
+          ) : exchanges.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              They share scenes but never speak one straight after the other.
+            </p>
+          ) : (
+            <div className="space-y-3 max-h-96 overflow-y-auto">
+              {exchanges.map(exchange => (
+                <div key={exchange.turns[0].chunks[0].id} className="border border-gray-200 rounded-md p-3">
+                  <div className="text-xs font-mono text-gray-600 mb-2">{exchange.citation}</div>
+                  <div className="space-y-2">
+                    {exchange.turns.map(turn => (
+                      <div key={turn.chunks[0].id} className="text-sm">
+                        <span className="text-xs font-medium text-purple-800 uppercase mr-2">{turn.speaker}</span>
+                        <span className="text-gray-700 whitespace-pre-line">
+                          {turn.chunks.map(chunk => chunk.text).join('\n')}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {message && (
+        <div className="mt-4 p-3 rounded-md bg-gray-50 border">
+          <p className="text-sm">{message}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CharacterNetwork;
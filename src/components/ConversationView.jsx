@@ -0,0 +1,177 @@
+import React, { useState, useRef, useEffect } from 'react';
+
+const ConversationView = () => {
+  const [conversationId, setConversationId] = useState(null);
+  const [turns, setTurns] = useState([]);
+  const [message, setMessage] = useState('');
+  const [pendingMessage, setPendingMessage] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const bottomRef = useRef(null);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: 'smooth', block: 'end' });
+  }, [turns, pendingMessage]);
+
+  const startConversation = async () => {
+    const response = await fetch('/api/conversations', { method: 'POST' });
+    const session = await response.json();
+    if (!response.ok) {
+      throw new Error(session.error || 'Failed to start conversation');
+    }
+    setConversationId(session.id);
+    return session.id;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const text = message.trim();
+    if (!text) return;
+
+    setIsLoading(true);
+    setError('');
+    setPendingMessage(text);
+    setMessage('');
+
+    try {
+      const id = conversationId || await startConversation();
+      const response = await fetch(`/api/conversations/${id}/turns`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ message: text, mode: 'hybrid', topK: 3, answer: true }),
+      });
+
+      const result = await response.json();
+
+      if (response.ok) {
+        setTurns(prev => [...prev, result.turn]);
+      } else {
+        setError(result.error || 'Failed to send message');
+        setMessage(text);
+      }
+    } catch (error) {
+      setError(`Error: ${error.message}`);
+      setMessage(text);
+    } finally {
+      setPendingMessage('');
+      setIsLoading(false);
+    }
+  };
+
+  const handleNewConversation = () => {
+    setConversationId(null);
+    setTurns([]);
+    setError('');
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-2xl font-bold text-gray-800">Conversation</h2>
+        {turns.length > 0 && (
+          <button
+            onClick={handleNewConversation}
+            className="text-sm text-blue-600 hover:text-blue-800 underline"
+          >
+            New conversation
+          </button>
+        )}
+      </div>
+
+      <div className="space-y-4 mb-4 max-h-[32rem] overflow-y-auto">
+        {turns.length === 0 && !pendingMessage && (
+          <div className="text-center py-8 text-gray-500">
+            <p>Ask about a passage, then follow up naturally.</p>
+            <p className="text-sm mt-1">e.g. "Ophelia returns Hamlet's gifts", then "what does he say after that?"</p>
+          </div>
+        )}
+
+        {turns.map(turn => (
+          <div key={turn.id} className="space-y-2">
+            <div className="flex justify-end">
+              <div className="bg-green-500 text-white text-sm px-4 py-2 rounded-lg max-w-[80%]">
+                {turn.message}
+              </div>
+            </div>
+
+            <div className="flex justify-start">
+              <div className="bg-gray-100 text-gray-800 text-sm px-4 py-3 rounded-lg max-w-[90%] space-y-2">
+                {turn.rewrittenQuery !== turn.message && (
+                  <div className="text-xs text-gray-500">
+                    Searched for: <span className="italic">{turn.rewrittenQuery}</span>
+                  </div>
+                )}
+
+                {turn.answer && (
+                  <p className="whitespace-pre-line">{turn.answer}</p>
+                )}
+
+                {turn.results.length > 0 ? (
+                  <div className="space-y-2 pt-1">
+                    {turn.results.map(result => (
+                      <div key={result.id} className="border-l-2 border-purple-300 pl-2">
+                        <div className="text-xs text-gray-600">
+                          <span className="font-medium">[{result.id}]</span>{' '}
+                          {result.speaker && <span className="text-purple-800">{result.speaker}</span>}{' '}
+                          <span className="font-mono">{result.citation || result.work}</span>
+                        </div>
+                        <div className="text-xs text-gray-700 whitespace-pre-line">
+                          {result.text.length > 240 ? `${result.text.substring(0, 240)}...` : result.text}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="text-xs text-gray-500">No passages found.</p>
+                )}
+              </div>
+            </div>
+          </div>
+        ))}
+
+        {pendingMessage && (
+          <div className="space-y-2">
+            <div className="flex justify-end">
+              <div className="bg-green-300 text-white text-sm px-4 py-2 rounded-lg max-w-[80%]">
+                {pendingMessage}
+              </div>
+            </div>
+            <div className="flex items-center text-sm text-gray-500">
+              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-green-500"></div>
+              <span className="ml-2">Searching...</span>
+            </div>
+          </div>
+        )}
+        <div ref={bottomRef} />
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md">
+          <p className="text-red-600 text-sm">❌ {error}</p>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="flex items-center space-x-2">
+        <input
+          type="text"
+          value={message}
+          onChange={(e) => setMessage(e.target.value)}
+          disabled={isLoading}
+          placeholder={turns.length > 0 ? 'Ask a follow-up...' : 'Ask about a passage...'}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500"
+        />
+        <button
+          type="submit"
+          disabled={isLoading || !message.trim()}
+          className="bg-green-500 hover:bg-green-600 disabled:bg-green-300 text-white font-medium py-2 px-4 rounded-md transition-colors duration-200"
+        >
+          Send
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ConversationView;
@@ -0,0 +1,274 @@
+import React, { useState, useEffect } from 'react';
+
+const DocumentManager = ({ refreshTrigger, onChange }) => {
+  const [collections, setCollections] = useState([]);
+  const [collection, setCollection] = useState('');
+  const [works, setWorks] = useState([]);
+  const [selectedWork, setSelectedWork] = useState(null);
+  const [busyWork, setBusyWork] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    const fetchCollections = async () => {
+      try {
+        const response = await fetch('/api/collections');
+        if (response.ok) {
+          const data = await response.json();
+          setCollections(data.collections || []);
+          setCollection(prev => prev || data.collections?.[0]?.name || '');
+        }
+      } catch (error) {
+        console.error('Error fetching collections:', error);
+      }
+    };
+
+    fetchCollections();
+  }, []);
+
+  const worksUrl = (work) => {
+    const base = `/api/collections/${encodeURIComponent(collection)}/works`;
+    return work ? `${base}/${encodeURIComponent(work)}` : base;
+  };
+
+  const fetchWorks = async () => {
+    if (!collection) return;
+
+    try {
+      setIsLoading(true);
+      const response = await fetch(worksUrl());
+      const data = await response.json();
+
+      if (response.ok) {
+        setWorks(data.works || []);
+      } else {
+        setWorks([]);
+        setMessage(`❌ Error: ${data.error}`);
+      }
+    } catch (error) {
+      setMessage(`❌ Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setSelectedWork(null);
+    fetchWorks();
+  }, [collection, refreshTrigger]);
+
+  const handleView = async (work) => {
+    if (selectedWork?.work === work) {
+      setSelectedWork(null);
+      return;
+    }
+
+    setBusyWork(work);
+    setMessage('');
+
+    try {
+      const response = await fetch(worksUrl(work));
+      const data = await response.json();
+
+      if (response.ok) {
+        setSelectedWork(data);
+      } else {
+        setMessage(`❌ Error: ${data.error}`);
+      }
+    } catch (error) {
+      setMessage(`❌ Error: ${error.message}`);
+    } finally {
+      setBusyWork(null);
+    }
+  };
+
+  // Deleting and re-embedding change the index, so both ask first
+  const runAction = async (work, { confirmation, url, method }) => {
+    if (!window.confirm(confirmation)) return;
+
+    setBusyWork(work);
+    setMessage('');
+
+    try {
+      const response = await fetch(url, { method });
+      const result = await response.json();
+
+      if (response.ok) {
+        setMessage(`✅ ${result.message}`);
+        setSelectedWork(null);
+        await fetchWorks();
+        if (onChange) onChange();
+      } else {
+        setMessage(`❌ Error: ${result.error}`);
+      }
+    } catch (error) {
+      setMessage(`❌ Error: ${error.message}`);
+    } finally {
+      setBusyWork(null);
+    }
+  };
+
+  const handleDelete = (work) => runAction(work.work, {
+    confirmation: `Delete all ${work.totalChunks} chunks of ${work.title} from the ${collection} index? ` +
+      (work.origin === 'source'
+        ? 'Re-embed it or run ingest.js to add it back.'
+        : 'The uploaded document will have to be added again.'),
+    url: worksUrl(work.work),
+    method: 'DELETE'
+  });
+
+  const handleReembed = (work) => runAction(work.work, {
+    confirmation: work.origin === 'source'
+      ? `Re-parse ${work.title} from the collection's source and embed it again?`
+      : `Embed the ${work.totalChunks} chunks of ${work.title} again?`,
+    url: `${worksUrl(work.work)}/reembed`,
+    method: 'POST'
+  });
+
+  const formatNumber = (num) => {
+    return new Intl.NumberFormat().format(num);
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-bold text-gray-800">Documents</h2>
+        <div className="flex items-center space-x-3">
+          {collections.length > 1 && (
+            <select
+              value={collection}
+              onChange={(e) => setCollection(e.target.value)}
+              className="px-3 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              {collections.map(option => (
+                <option key={option.name} value={option.name}>{option.title}</option>
+              ))}
+            </select>
+          )}
+          <button
+            onClick={fetchWorks}
+            className="text-sm text-blue-600 hover:text-blue-800 underline"
+          >
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {isLoading && works.length === 0 ? (
+        <div className="flex items-center justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+          <span className="ml-2 text-gray-600">Loading works...</span>
+        </div>
+      ) : works.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          No works yet. Run "node ingest.js {collection}" or add a document.
+        </p>
+      ) : (
+        <div className="max-h-96 overflow-y-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2 font-medium">Work</th>
+                <th className="py-2 font-medium text-right">Chunks</th>
+                <th className="py-2 font-medium text-right">Words</th>
+                <th className="py-2 font-medium text-right">Speakers</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {works.map(work => (
+                <tr key={work.work} className="border-b border-gray-100">
+                  <td className="py-2 text-gray-800">
+                    {work.title}
+                    {work.origin === 'upload' && (
+                      <span className="ml-2 bg-yellow-100 text-yellow-800 text-xs px-2 py-0.5 rounded">uploaded</span>
+                    )}
+                  </td>
+                  <td className={`py-2 text-right ${work.totalChunks === 0 ? 'text-red-600' : 'text-gray-700'}`}>
+                    {formatNumber(work.totalChunks)}
+                  </td>
+                  <td className="py-2 text-right text-gray-700">{formatNumber(work.totalWords)}</td>
+                  <td className="py-2 text-right text-gray-700">{formatNumber(work.totalSpeakers)}</td>
+                  <td className="py-2 text-right space-x-3 whitespace-nowrap">
+                    {busyWork === work.work ? (
+                      <span className="text-gray-500">Working...</span>
+                    ) : (
+                      <>
+                        <button
+                          onClick={() => handleView(work.work)}
+                          disabled={Boolean(busyWork) || work.totalChunks === 0}
+                          className="text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+                        >
+                          {selectedWork?.work === work.work ? 'Hide' : 'View'}
+                        </button>
+                        <button
+                          onClick={() => handleReembed(work)}
+                          disabled={Boolean(busyWork)}
+                          className="text-green-600 hover:text-green-800 disabled:text-gray-400"
+                        >
+                          Re-embed
+                        </button>
+                        <button
+                          onClick={() => handleDelete(work)}
+                          disabled={Boolean(busyWork) || work.totalChunks === 0}
+                          className="text-red-600 hover:text-red-800 disabled:text-gray-400"
+                        >
+                          Delete
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {selectedWork && (
+        <div className="mt-6">
+          <h3 className="text-lg font-semibold text-gray-800 mb-2">
+            {selectedWork.title}: {selectedWork.totalChunks} chunks
+            {selectedWork.totalVectors !== null && `, ${selectedWork.totalVectors} vectors`}
+          </h3>
+          {selectedWork.totalVectors !== null && selectedWork.totalVectors !== selectedWork.totalChunks && (
+            <p className="text-sm text-orange-600 mb-2">
+              The index does not match the chunks file. Re-embed the work to bring it up to date.
+            </p>
+          )}
+          <div className="space-y-2 max-h-96 overflow-y-auto">
+            {selectedWork.chunks.map(chunk => (
+              <div key={chunk.id} className="border border-gray-200 rounded-md p-3">
+                <div className="flex items-center space-x-2 mb-1 text-xs">
+                  {chunk.speaker && (
+                    <span className="bg-purple-100 text-purple-800 font-medium px-2 py-0.5 rounded">
+                      {chunk.speaker}
+                      {chunk.part && ` (Part ${chunk.part})`}
+                    </span>
+                  )}
+                  <span className="bg-gray-100 text-gray-700 font-mono px-2 py-0.5 rounded">
+                    {chunk.citation}
+                  </span>
+                  <span className="text-gray-500">{chunk.wordCount} words</span>
+                  {chunk.verseForm && (
+                    <span className="text-gray-500">{chunk.verseForm}</span>
+                  )}
+                  <span className="text-gray-400 font-mono">{chunk.id}</span>
+                </div>
+                <p className="text-sm text-gray-700 whitespace-pre-line">{chunk.text}</p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {message && (
+        <div className="mt-4 p-3 rounded-md bg-gray-50 border">
+          <p className="text-sm">{message}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DocumentManager;
@@ -1,17 +1,293 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import AnswerPanel from './AnswerPanel';
+
+const SEARCH_MODES = [
+  { value: 'semantic', label: 'Semantic', description: 'Match by meaning using vector embeddings' },
+  { value: 'lexical', label: 'Keyword', description: 'Match exact words with BM25 keyword search' },
+  { value: 'hybrid', label: 'Hybrid', description: 'Combine both rankings with reciprocal rank fusion' }
+];
+
+const RERANK_OPTIONS = [
+  { value: '', label: 'Off' },
+  { value: 'lexical', label: 'Lexical overlap (offline)' },
+  { value: 'llm', label: 'LLM judge' },
+  { value: 'cross-encoder', label: 'Cross-encoder service' }
+];
+
+const CATEGORY_OPTIONS = [
+  { value: 'all', label: 'All works' },
+  { value: 'plays', label: 'Plays only' },
+  { value: 'sonnets', label: 'Sonnets only' }
+];
+
+const EMPTY_FILTERS = {
+  works: [],
+  speakers: [],
+  minWordCount: '',
+  maxWordCount: '',
+  category: 'all'
+};
+
+const DEFAULT_DIVERSITY = {
+  enabled: false,
+  lambda: 0.5,
+  maxPerWork: '',
+  maxPerSpeaker: ''
+};
+
+// Neighbouring chunks shown around a search hit, greyed out
+const ContextChunks = ({ chunks }) => (
+  <div className="space-y-2">
+    {chunks.map(chunk => (
+      <div key={chunk.id} className="text-gray-400 text-sm leading-relaxed">
+        {chunk.speaker && (
+          <span className="text-xs font-medium uppercase mr-2">{chunk.speaker}</span>
+        )}
+        <span className="whitespace-pre-line">{chunk.text}</span>
+      </div>
+    ))}
+  </div>
+);
+
+// A passage and its modern-English paraphrase side by side, line by line
+const ParaphraseLines = ({ paraphrase }) => {
+  if (paraphrase.loading) {
+    return <p className="text-sm text-gray-500">Modernising...</p>;
+  }
+  if (paraphrase.error) {
+    return <p className="text-sm text-red-600">{paraphrase.error}</p>;
+  }
+
+  return (
+    <div>
+      <div className="grid grid-cols-2 gap-x-6 text-sm leading-relaxed">
+        {paraphrase.lines.map((line, position) => (
+          <React.Fragment key={position}>
+            <div className="text-gray-700">{line.original || '\u00a0'}</div>
+            <div className={line.method === 'llm' ? 'text-green-800' : 'text-gray-500'}>{line.modern || '\u00a0'}</div>
+          </React.Fragment>
+        ))}
+      </div>
+      {paraphrase.method === 'normalized' && (
+        <p className="text-xs text-gray-500 mt-1">
+          Archaic words modernised only; a full paraphrase needs an LLM provider
+        </p>
+      )}
+    </div>
+  );
+};
 
 const QueryForm = () => {
   const [query, setQuery] = useState('');
   const [topK, setTopK] = useState(5);
+  const [contextSize, setContextSize] = useState(1);
+  const [expandedContext, setExpandedContext] = useState([]);
+  const [modernised, setModernised] = useState([]);
+  const [paraphrases, setParaphrases] = useState({});
+  const [mode, setMode] = useState('hybrid');
+  const [rerank, setRerank] = useState('');
+  const [diversity, setDiversity] = useState(DEFAULT_DIVERSITY);
+  const [expandArchaic, setExpandArchaic] = useState(false);
+  const [expansion, setExpansion] = useState(null);
+  const [resultMode, setResultMode] = useState('hybrid');
+  const [action, setAction] = useState('search');
   const [results, setResults] = useState([]);
+  const [answer, setAnswer] = useState(null);
+  const [highlightedId, setHighlightedId] = useState(null);
+  const [isStreaming, setIsStreaming] = useState(false);
+  const eventSourceRef = useRef(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
+  const [filterOptions, setFilterOptions] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [collectionOptions, setCollectionOptions] = useState([]);
+  const [collections, setCollections] = useState([]);
+
+  useEffect(() => {
+    const fetchFilterOptions = async () => {
+      try {
+        const response = await fetch('/api/filters');
+        if (response.ok) {
+          setFilterOptions(await response.json());
+        }
+      } catch (error) {
+        console.error('Error fetching filter options:', error);
+      }
+    };
+
+    fetchFilterOptions();
+  }, []);
+
+  useEffect(() => {
+    const fetchCollections = async () => {
+      try {
+        const response = await fetch('/api/collections');
+        if (response.ok) {
+          const data = await response.json();
+          setCollectionOptions(data.collections || []);
+          setCollections(data.defaultCollections || []);
+        }
+      } catch (error) {
+        console.error('Error fetching collections:', error);
+      }
+    };
+
+    fetchCollections();
+  }, []);
+
+  // Close any open answer stream when the form unmounts
+  useEffect(() => () => eventSourceRef.current?.close(), []);
+
+  // Speakers of the selected works, or of every work when none is selected
+  const availableSpeakers = () => {
+    if (!filterOptions) return [];
+    if (filters.works.length === 0) return filterOptions.speakers;
+
+    const speakers = new Set();
+    filters.works.forEach(work => {
+      (filterOptions.speakersByWork[work] || []).forEach(speaker => speakers.add(speaker));
+    });
+    return [...speakers].sort();
+  };
+
+  const buildFilters = () => {
+    const requestFilters = { category: filters.category };
+    if (filters.works.length > 0) requestFilters.works = filters.works;
+    if (filters.speakers.length > 0) requestFilters.speakers = filters.speakers;
+    if (filters.minWordCount !== '') requestFilters.minWordCount = parseInt(filters.minWordCount);
+    if (filters.maxWordCount !== '') requestFilters.maxWordCount = parseInt(filters.maxWordCount);
+    return requestFilters;
+  };
+
+  const buildDiversity = () => {
+    if (!diversity.enabled) return false;
+    const requestDiversity = { lambda: diversity.lambda };
+    if (diversity.maxPerWork !== '') requestDiversity.maxPerWork = parseInt(diversity.maxPerWork);
+    if (diversity.maxPerSpeaker !== '') requestDiversity.maxPerSpeaker = parseInt(diversity.maxPerSpeaker);
+    return requestDiversity;
+  };
+
+  const handleDiversityChange = (e) => {
+    const { name, value, checked, type } = e.target;
+    setDiversity(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : name === 'lambda' ? parseFloat(value) : value
+    }));
+  };
+
+  const activeFilterCount = () => {
+    return (filters.works.length > 0 ? 1 : 0) +
+      (filters.speakers.length > 0 ? 1 : 0) +
+      (filters.minWordCount !== '' ? 1 : 0) +
+      (filters.maxWordCount !== '' ? 1 : 0) +
+      (filters.category !== 'all' ? 1 : 0);
+  };
+
+  const handleMultiSelect = (name) => (e) => {
+    const values = Array.from(e.target.selectedOptions, option => option.value);
+    setFilters(prev => {
+      const updated = { ...prev, [name]: values };
+      // Drop selected speakers that do not appear in the newly selected works
+      if (name === 'works' && filterOptions && values.length > 0) {
+        const speakersInWorks = new Set(values.flatMap(work => filterOptions.speakersByWork[work] || []));
+        updated.speakers = prev.speakers.filter(speaker => speakersInWorks.has(speaker));
+      }
+      return updated;
+    });
+  };
+
+  const handleCollectionToggle = (name) => {
+    setCollections(prev => (prev.includes(name) ? prev.filter(selected => selected !== name) : [...prev, name]));
+  };
+
+  const collectionLabel = (name) => {
+    return collectionOptions.find(collection => collection.name === name)?.author || name;
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const closeStream = () => {
+    eventSourceRef.current?.close();
+    eventSourceRef.current = null;
+    setIsStreaming(false);
+    setIsLoading(false);
+  };
+
+  // Closing the EventSource tells the server to stop generating
+  const handleStop = () => {
+    closeStream();
+    setAnswer(prev => (prev ? { ...prev, streaming: false, stopped: true } : prev));
+  };
+
+  // Ask mode streams the answer: passages first, then tokens, then citations
+  const streamAnswer = () => {
+    const params = new URLSearchParams({
+      query,
+      topK: String(topK),
+      mode,
+      filters: JSON.stringify(buildFilters()),
+      ...(collections.length > 0 ? { collections: collections.join(',') } : {}),
+      ...(rerank ? { rerank } : {}),
+      ...(diversity.enabled ? { diversity: JSON.stringify(buildDiversity()) } : {}),
+      ...(expandArchaic ? { expandArchaic: 'true' } : {})
+    });
+    const source = new EventSource(`/api/answer/stream?${params}`);
+    eventSourceRef.current = source;
+    setIsStreaming(true);
+
+    source.addEventListener('passages', (event) => {
+      const data = JSON.parse(event.data);
+      setResults(data.passages || []);
+      setResultMode(data.mode || mode);
+      setExpansion(data.expansion || null);
+      setAnswer({ answer: '', streaming: true });
+    });
+
+    source.addEventListener('token', (event) => {
+      const { token } = JSON.parse(event.data);
+      setAnswer(prev => ({ ...prev, answer: (prev?.answer || '') + token }));
+    });
+
+    source.addEventListener('done', (event) => {
+      const data = JSON.parse(event.data);
+      setAnswer({ ...data, streaming: false });
+      closeStream();
+    });
+
+    source.addEventListener('error', (event) => {
+      // Errors sent by the server carry data; connection failures do not
+      if (event.data) {
+        setError(JSON.parse(event.data).error || 'Failed to generate answer');
+      } else {
+        setError('Lost connection to the server while generating the answer');
+      }
+      setAnswer(prev => (prev ? { ...prev, streaming: false } : prev));
+      closeStream();
+    });
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    closeStream();
     setIsLoading(true);
     setError('');
     setResults([]);
+    setExpandedContext([]);
+    setAnswer(null);
+    setHighlightedId(null);
+    setExpansion(null);
+
+    if (action === 'ask') {
+      streamAnswer();
+      return;
+    }
 
     try {
       const response = await fetch('/api/query', {
@@ -19,13 +295,26 @@ const QueryForm = () => {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ query, topK }),
+        body: JSON.stringify({
+          query,
+          ...(collections.length > 0 ? { collections } : {}),
+          topK,
+          mode,
+          filters: buildFilters(),
+          rerank: rerank || false,
+          diversity: buildDiversity(),
+          expandArchaic,
+          contextBefore: contextSize,
+          contextAfter: contextSize
+        }),
       });
 
       const result = await response.json();
 
       if (response.ok) {
         setResults(result.results || []);
+        setResultMode(result.mode || mode);
+        setExpansion(result.expansion || null);
       } else {
         setError(result.error || 'Failed to search');
       }
@@ -36,10 +325,56 @@ const QueryForm = () => {
     }
   };
 
+  const toggleContext = (id) => {
+    setExpandedContext(prev => (prev.includes(id) ? prev.filter(openId => openId !== id) : [...prev, id]));
+  };
+
+  // Paraphrases are fetched the first time a passage is modernised and kept for the session
+  const toggleModernise = async (result) => {
+    if (modernised.includes(result.id)) {
+      setModernised(prev => prev.filter(openId => openId !== result.id));
+      return;
+    }
+
+    setModernised(prev => [...prev, result.id]);
+    if (paraphrases[result.id] && !paraphrases[result.id].error) return;
+
+    setParaphrases(prev => ({ ...prev, [result.id]: { loading: true } }));
+    try {
+      const response = await fetch('/api/paraphrase', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          chunkId: result.id,
+          ...(result.collection ? { collection: result.collection } : {})
+        }),
+      });
+      const data = await response.json();
+
+      setParaphrases(prev => ({
+        ...prev,
+        [result.id]: response.ok ? data : { error: data.error || 'Failed to modernise the passage' }
+      }));
+    } catch (error) {
+      setParaphrases(prev => ({ ...prev, [result.id]: { error: `Error: ${error.message}` } }));
+    }
+  };
+
+  const handleCitationClick = (id) => {
+    setHighlightedId(id);
+    document.getElementById(`passage-${id}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+
   const formatScore = (score) => {
     return (score * 100).toFixed(1);
   };
 
+  const formatLexicalScore = (score) => {
+    return score.toFixed(2);
+  };
+
   const highlightQuery = (text, query) => {
     if (!query) return text;
     
@@ -59,13 +394,35 @@ const QueryForm = () => {
   return (
     <div className="bg-white p-6 rounded-lg shadow-md">
       <div className="flex items-center justify-between mb-6">
-        <h2 className="text-2xl font-bold text-gray-800">Search Database</h2>
+        <h2 className="text-2xl font-bold text-gray-800">
+          {action === 'ask' ? 'Ask a Question' : 'Search Database'}
+        </h2>
+        <div className="inline-flex rounded-md shadow-sm" role="group">
+          <button
+            type="button"
+            onClick={() => setAction('search')}
+            className={`px-3 py-1 text-sm font-medium border border-gray-300 rounded-l-md ${
+              action === 'search' ? 'bg-green-500 text-white border-green-500' : 'bg-white text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            Search
+          </button>
+          <button
+            type="button"
+            onClick={() => setAction('ask')}
+            className={`-ml-px px-3 py-1 text-sm font-medium border border-gray-300 rounded-r-md ${
+              action === 'ask' ? 'bg-green-500 text-white border-green-500' : 'bg-white text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            Ask
+          </button>
+        </div>
       </div>
       
       <form onSubmit={handleSubmit} className="space-y-4 mb-6">
         <div>
           <label htmlFor="query" className="block text-sm font-medium text-gray-700 mb-1">
-            Search Query
+            {action === 'ask' ? 'Question' : 'Search Query'}
           </label>
           <input
             type="text"
@@ -73,11 +430,301 @@ const QueryForm = () => {
             value={query}
             onChange={(e) => setQuery(e.target.value)}
             required
-            placeholder="e.g., 'to be or not to be', 'love sonnets', 'Hamlet soliloquy'"
+            placeholder={action === 'ask'
+              ? "e.g., 'Why does Hamlet hesitate to act?'"
+              : "e.g., 'to be or not to be', 'love sonnets', 'Hamlet soliloquy'"}
             className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500"
           />
         </div>
 
+        <div>
+          <span className="block text-sm font-medium text-gray-700 mb-1">
+            Search Mode
+          </span>
+          <div className="inline-flex rounded-md shadow-sm" role="group">
+            {SEARCH_MODES.map((option, index) => (
+              <button
+                key={option.value}
+                type="button"
+                title={option.description}
+                onClick={() => setMode(option.value)}
+                className={`px-3 py-2 text-sm font-medium border border-gray-300 ${
+                  index === 0 ? 'rounded-l-md' : ''
+                } ${
+                  index === SEARCH_MODES.length - 1 ? 'rounded-r-md' : ''
+                } ${
+                  index > 0 ? '-ml-px' : ''
+                } ${
+                  mode === option.value
+                    ? 'bg-green-500 text-white border-green-500'
+                    : 'bg-white text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            {SEARCH_MODES.find(option => option.value === mode)?.description}
+          </p>
+        </div>
+
+        {collectionOptions.length > 1 && (
+          <div>
+            <span className="block text-sm font-medium text-gray-700 mb-1">
+              Collections
+            </span>
+            <div className="flex flex-wrap gap-4">
+              {collectionOptions.map(collection => (
+                <label
+                  key={collection.name}
+                  className={`inline-flex items-center text-sm ${collection.ingested ? 'text-gray-700' : 'text-gray-400'}`}
+                  title={collection.ingested ? collection.title : `${collection.title} has not been ingested yet`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={collections.includes(collection.name)}
+                    disabled={!collection.ingested}
+                    onChange={() => handleCollectionToggle(collection.name)}
+                    className="mr-2 rounded border-gray-300 text-green-600 focus:ring-green-500"
+                  />
+                  {collection.author || collection.title}
+                </label>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-1">
+              Results from every selected collection are merged by score
+            </p>
+          </div>
+        )}
+
+        <div>
+          <label htmlFor="rerank" className="block text-sm font-medium text-gray-700 mb-1">
+            Re-ranking
+          </label>
+          <select
+            id="rerank"
+            value={rerank}
+            onChange={(e) => setRerank(e.target.value)}
+            className="w-full md:w-64 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500"
+          >
+            {RERANK_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">
+            Re-scores the top 50 candidates before picking the results
+          </p>
+        </div>
+
+        <div>
+          <label className="inline-flex items-center text-sm font-medium text-gray-700">
+            <input
+              type="checkbox"
+              checked={expandArchaic}
+              onChange={(e) => setExpandArchaic(e.target.checked)}
+              className="mr-2 rounded border-gray-300 text-green-600 focus:ring-green-500"
+            />
+            Add archaic words
+          </label>
+          <p className="text-xs text-gray-500 mt-1">
+            Also searches for the Early Modern forms of modern words ("you are" finds "thou art")
+          </p>
+        </div>
+
+        <div>
+          <label className="inline-flex items-center text-sm font-medium text-gray-700">
+            <input
+              type="checkbox"
+              name="enabled"
+              checked={diversity.enabled}
+              onChange={handleDiversityChange}
+              className="mr-2 rounded border-gray-300 text-green-600 focus:ring-green-500"
+            />
+            Diversify results
+          </label>
+          <p className="text-xs text-gray-500 mt-1">
+            Avoids returning several parts of the same speech (maximal marginal relevance)
+          </p>
+
+          {diversity.enabled && (
+            <div className="mt-2 flex flex-wrap items-end gap-4">
+              <div>
+                <label htmlFor="lambda" className="block text-sm font-medium text-gray-700 mb-1">
+                  Relevance vs. variety ({diversity.lambda.toFixed(2)})
+                </label>
+                <input
+                  type="range"
+                  id="lambda"
+                  name="lambda"
+                  min={0}
+                  max={1}
+                  step={0.05}
+                  value={diversity.lambda}
+                  onChange={handleDiversityChange}
+                  className="w-48"
+                />
+              </div>
+              <div>
+                <label htmlFor="maxPerWork" className="block text-sm font-medium text-gray-700 mb-1">
+                  Max per work
+                </label>
+                <input
+                  type="number"
+                  id="maxPerWork"
+                  name="maxPerWork"
+                  min={1}
+                  value={diversity.maxPerWork}
+                  onChange={handleDiversityChange}
+                  placeholder="Any"
+                  className="w-24 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500"
+                />
+              </div>
+              <div>
+                <label htmlFor="maxPerSpeaker" className="block text-sm font-medium text-gray-700 mb-1">
+                  Max per speaker
+                </label>
+                <input
+                  type="number"
+                  id="maxPerSpeaker"
+                  name="maxPerSpeaker"
+                  min={1}
+                  value={diversity.maxPerSpeaker}
+                  onChange={handleDiversityChange}
+                  placeholder="Any"
+                  className="w-24 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500"
+                />
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="border border-gray-200 rounded-md">
+          <button
+            type="button"
+            onClick={() => setShowFilters(prev => !prev)}
+            className="w-full flex items-center justify-between px-3 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50"
+          >
+            <span>
+              Filters
+              {activeFilterCount() > 0 && (
+                <span className="ml-2 bg-green-100 text-green-800 text-xs font-medium px-2 py-0.5 rounded">
+                  {activeFilterCount()} active
+                </span>
+              )}
+            </span>
+            <span className="text-gray-400">{showFilters ? '▲' : '▼'}</span>
+          </button>
+
+          {showFilters && (
+            <div className="p-3 border-t border-gray-200 space-y-4">
+              {!filterOptions && (
+                <p className="text-xs text-gray-500">
+                  Filter options are unavailable until the corpus has been ingested.
+                </p>
+              )}
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="works" className="block text-sm font-medium text-gray-700 mb-1">
+                    Works
+                  </label>
+                  <select
+                    id="works"
+                    multiple
+                    value={filters.works}
+                    onChange={handleMultiSelect('works')}
+                    disabled={!filterOptions}
+                    className="w-full h-32 px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500"
+                  >
+                    {(filterOptions?.works || []).map(work => (
+                      <option key={work} value={work}>{work}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label htmlFor="speakers" className="block text-sm font-medium text-gray-700 mb-1">
+                    Speakers
+                  </label>
+                  <select
+                    id="speakers"
+                    multiple
+                    value={filters.speakers}
+                    onChange={handleMultiSelect('speakers')}
+                    disabled={!filterOptions}
+                    className="w-full h-32 px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500"
+                  >
+                    {availableSpeakers().map(speaker => (
+                      <option key={speaker} value={speaker}>{speaker}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <p className="text-xs text-gray-500">Hold Ctrl (Cmd on Mac) to select several.</p>
+
+              <div className="flex flex-wrap items-end gap-4">
+                <div>
+                  <label htmlFor="minWordCount" className="block text-sm font-medium text-gray-700 mb-1">
+                    Min words
+                  </label>
+                  <input
+                    type="number"
+                    id="minWordCount"
+                    name="minWordCount"
+                    min={0}
+                    value={filters.minWordCount}
+                    onChange={handleFilterChange}
+                    placeholder={filterOptions ? String(filterOptions.wordCount.min) : ''}
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500"
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="maxWordCount" className="block text-sm font-medium text-gray-700 mb-1">
+                    Max words
+                  </label>
+                  <input
+                    type="number"
+                    id="maxWordCount"
+                    name="maxWordCount"
+                    min={0}
+                    value={filters.maxWordCount}
+                    onChange={handleFilterChange}
+                    placeholder={filterOptions ? String(filterOptions.wordCount.max) : ''}
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500"
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="category" className="block text-sm font-medium text-gray-700 mb-1">
+                    Type
+                  </label>
+                  <select
+                    id="category"
+                    name="category"
+                    value={filters.category}
+                    onChange={handleFilterChange}
+                    className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500"
+                  >
+                    {CATEGORY_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <button
+                  type="button"
+                  onClick={() => setFilters(EMPTY_FILTERS)}
+                  className="text-sm text-blue-600 hover:text-blue-800 underline pb-2"
+                >
+                  Clear filters
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+
         <div className="flex items-center space-x-4">
           <div>
             <label htmlFor="topK" className="block text-sm font-medium text-gray-700 mb-1">
@@ -96,14 +743,44 @@ const QueryForm = () => {
             </select>
           </div>
 
+          {action === 'search' && (
+            <div>
+              <label htmlFor="contextSize" className="block text-sm font-medium text-gray-700 mb-1">
+                Context
+              </label>
+              <select
+                id="contextSize"
+                value={contextSize}
+                onChange={(e) => setContextSize(parseInt(e.target.value))}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500"
+              >
+                <option value={0}>None</option>
+                <option value={1}>1 speech each side</option>
+                <option value={2}>2 speeches each side</option>
+                <option value={3}>3 speeches each side</option>
+              </select>
+            </div>
+          )}
+
           <div className="flex-1">
             <button
               type="submit"
-              disabled={isLoading}
+              disabled={isLoading || (collectionOptions.length > 1 && collections.length === 0)}
               className="bg-green-500 hover:bg-green-600 disabled:bg-green-300 text-white font-medium py-2 px-4 rounded-md transition-colors duration-200"
             >
-              {isLoading ? 'Searching...' : 'Search'}
+              {isLoading
+                ? (action === 'ask' ? 'Answering...' : 'Searching...')
+                : (action === 'ask' ? 'Ask' : 'Search')}
             </button>
+            {isStreaming && (
+              <button
+                type="button"
+                onClick={handleStop}
+                className="ml-2 bg-red-500 hover:bg-red-600 text-white font-medium py-2 px-4 rounded-md transition-colors duration-200"
+              >
+                Stop
+              </button>
+            )}
           </div>
         </div>
       </form>
@@ -114,51 +791,137 @@ const QueryForm = () => {
         </div>
       )}
 
+      {answer && (
+        <AnswerPanel answer={answer} passages={results} onCitationClick={handleCitationClick} />
+      )}
+
       {results.length > 0 && (
         <div className="space-y-4">
           <div className="flex items-center justify-between">
             <h3 className="text-lg font-semibold text-gray-800">
-              Search Results ({results.length})
+              {answer ? 'Supporting Passages' : 'Search Results'} ({results.length})
             </h3>
             <div className="text-sm text-gray-500">
               Query: "{query}"
             </div>
           </div>
 
+          {expansion?.expansions.length > 0 && (
+            <p className="text-sm text-gray-600">
+              Also searched for:{' '}
+              {expansion.expansions.map(({ term, archaic }) => `${archaic.join(', ')} (${term})`).join('; ')}
+            </p>
+          )}
+
           <div className="space-y-4">
             {results.map((result, index) => (
-              <div key={result.id} className="border border-gray-200 rounded-md p-4 hover:bg-gray-50">
+              <div
+                key={result.id}
+                id={`passage-${result.id}`}
+                className={`border rounded-md p-4 hover:bg-gray-50 ${
+                  highlightedId === result.id ? 'border-green-500 ring-2 ring-green-200' : 'border-gray-200'
+                }`}
+              >
                 <div className="flex items-start justify-between mb-2">
                   <div className="flex items-center space-x-3">
                     <span className="bg-blue-100 text-blue-800 text-xs font-medium px-2 py-1 rounded">
                       #{index + 1}
                     </span>
+                    {collections.length > 1 && result.collection && (
+                      <span className="bg-amber-100 text-amber-800 text-xs font-medium px-2 py-1 rounded">
+                        {collectionLabel(result.collection)}
+                      </span>
+                    )}
                     <span className="font-medium text-gray-800 text-sm">
                       {result.work}
                     </span>
                     {result.speaker && (
                       <span className="bg-purple-100 text-purple-800 text-xs font-medium px-2 py-1 rounded">
                         {result.speaker}
+                        {result.part && ` (Part ${result.part})`}
+                      </span>
+                    )}
+                    {result.citation && (
+                      <span
+                        className="bg-gray-100 text-gray-700 text-xs font-mono px-2 py-1 rounded"
+                        title={result.sceneLocation || undefined}
+                      >
+                        {result.citation}
                       </span>
                     )}
                   </div>
                   <div className="text-right">
-                    <div className="text-sm font-medium text-green-600">
-                      {formatScore(result.score)}% match
-                    </div>
+                    {resultMode === 'semantic' && (
+                      <div className="text-sm font-medium text-green-600">
+                        {formatScore(result.score)}% match
+                      </div>
+                    )}
+                    {resultMode === 'lexical' && (
+                      <div className="text-sm font-medium text-green-600">
+                        BM25 {formatLexicalScore(result.score)}
+                      </div>
+                    )}
+                    {resultMode === 'hybrid' && (
+                      <div className="text-xs text-gray-600 space-y-0.5">
+                        <div>
+                          Semantic: {result.semanticScore !== null
+                            ? `${formatScore(result.semanticScore)}% (#${result.semanticRank})`
+                            : '—'}
+                        </div>
+                        <div>
+                          Keyword: {result.lexicalScore !== null
+                            ? `${formatLexicalScore(result.lexicalScore)} (#${result.lexicalRank})`
+                            : '—'}
+                        </div>
+                      </div>
+                    )}
+                    {result.rerankScore !== undefined && (
+                      <div className="text-xs text-blue-700">
+                        Reranked: {result.rerankScore.toFixed(3)} (was #{result.originalRank})
+                      </div>
+                    )}
                     <div className="text-xs text-gray-500">
                       {result.wordCount} words
                     </div>
                   </div>
                 </div>
                 
-                <div className="mt-2">
-                  <div 
-                    className="text-gray-700 text-sm leading-relaxed"
-                    dangerouslySetInnerHTML={{
-                      __html: highlightQuery(result.text, query)
-                    }}
-                  />
+                <div className="mt-2 space-y-2">
+                  {expandedContext.includes(result.id) && result.context?.before.length > 0 && (
+                    <ContextChunks chunks={result.context.before} />
+                  )}
+                  {modernised.includes(result.id) && paraphrases[result.id] ? (
+                    <ParaphraseLines paraphrase={paraphrases[result.id]} />
+                  ) : (
+                    <div 
+                      className="text-gray-700 text-sm leading-relaxed whitespace-pre-line"
+                      dangerouslySetInnerHTML={{
+                        __html: highlightQuery(result.text, query)
+                      }}
+                    />
+                  )}
+                  {expandedContext.includes(result.id) && result.context?.after.length > 0 && (
+                    <ContextChunks chunks={result.context.after} />
+                  )}
+                </div>
+
+                <div className="mt-2 flex space-x-4">
+                  {(result.context?.before.length > 0 || result.context?.after.length > 0) && (
+                    <button
+                      type="button"
+                      onClick={() => toggleContext(result.id)}
+                      className="text-xs text-gray-500 hover:text-gray-700"
+                    >
+                      {expandedContext.includes(result.id) ? '▲ Hide context' : '▼ Show surrounding lines'}
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => toggleModernise(result)}
+                    className="text-xs text-green-700 hover:text-green-900"
+                  >
+                    {modernised.includes(result.id) ? 'Show original' : 'Modernise'}
+                  </button>
                 </div>
               </div>
             ))}
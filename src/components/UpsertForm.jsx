@@ -1,14 +1,87 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+
+const EMPTY_DOCUMENT = {
+  documentName: '',
+  text: '',
+  category: 'Sonnet',
+  collection: ''
+};
+
+// How each category is chunked, shown as the text placeholder and beside the buttons
+const CATEGORY_HINTS = {
+  Play: {
+    placeholder: "Paste the play text here. It will be chunked by speaker, act and scene.\n\nExample:\nACT III\nSCENE I. A room in the Castle.\n\nHAMLET.\nTo be, or not to be, that is the question:\nWhether 'tis nobler in the mind to suffer...",
+    chunking: 'Will be chunked by speaker'
+  },
+  Sonnet: {
+    placeholder: "Paste the sonnet text here. Each numbered sonnet becomes one chunk.\n\nExample:\n18\n\nShall I compare thee to a summer's day?\nThou art more lovely and more temperate...",
+    chunking: 'Will be chunked by sonnet'
+  },
+  Poem: {
+    placeholder: "Paste the poem here. Each stanza (separated by a blank line, or numbered) becomes one chunk.\n\nExample:\nI.\n\nEven as the sun with purple-colour'd face\nHad ta'en his last leave of the weeping morn...",
+    chunking: 'Will be chunked by stanza'
+  }
+};
 
 const UpsertForm = ({ onSuccess }) => {
-  const [formData, setFormData] = useState({
-    documentName: '',
-    text: '',
-    category: 'Sonnet'
-  });
+  const [formData, setFormData] = useState(EMPTY_DOCUMENT);
+  const [collections, setCollections] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [chunkIds, setChunkIds] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [message, setMessage] = useState('');
 
+  useEffect(() => {
+    const fetchCollections = async () => {
+      try {
+        const response = await fetch('/api/collections');
+        if (response.ok) {
+          const data = await response.json();
+          setCollections(data.collections || []);
+        }
+      } catch (error) {
+        console.error('Error fetching collections:', error);
+      }
+    };
+
+    fetchCollections();
+  }, []);
+
+  const requestBody = () => {
+    const { collection, ...document } = formData;
+    return JSON.stringify(collection ? formData : document);
+  };
+
+  // Show how the text will be chunked before anything is embedded
+  const handlePreview = async () => {
+    setIsLoading(true);
+    setMessage('');
+    setChunkIds([]);
+
+    try {
+      const response = await fetch('/api/upsert/preview', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: requestBody(),
+      });
+
+      const result = await response.json();
+
+      if (response.ok) {
+        setPreview(result);
+      } else {
+        setPreview(null);
+        setMessage(`❌ Error: ${result.error}`);
+      }
+    } catch (error) {
+      setMessage(`❌ Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsLoading(true);
@@ -20,18 +93,16 @@ const UpsertForm = ({ onSuccess }) => {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify(formData),
+        body: requestBody(),
       });
 
       const result = await response.json();
 
       if (response.ok) {
         setMessage(`✅ ${result.message}`);
-        setFormData({
-          documentName: '',
-          text: '',
-          category: 'Sonnet'
-        });
+        setChunkIds(result.chunkIds || []);
+        setPreview(null);
+        setFormData(prev => ({ ...EMPTY_DOCUMENT, collection: prev.collection }));
         if (onSuccess) onSuccess();
       } else {
         setMessage(`❌ Error: ${result.error}`);
@@ -49,6 +120,21 @@ const UpsertForm = ({ onSuccess }) => {
       ...prev,
       [name]: value
     }));
+    // The preview no longer matches what would be added
+    setPreview(null);
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const text = await file.text();
+    setFormData(prev => ({
+      ...prev,
+      text,
+      documentName: prev.documentName || file.name.replace(/\.[^.]+$/, '')
+    }));
+    setPreview(null);
   };
 
   return (
@@ -72,6 +158,26 @@ const UpsertForm = ({ onSuccess }) => {
           />
         </div>
 
+        {collections.length > 1 && (
+          <div>
+            <label htmlFor="collection" className="block text-sm font-medium text-gray-700 mb-1">
+              Collection
+            </label>
+            <select
+              id="collection"
+              name="collection"
+              value={formData.collection}
+              onChange={handleChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="">Default (Shakespeare)</option>
+              {collections.map(collection => (
+                <option key={collection.name} value={collection.name}>{collection.title}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
         <div>
           <label htmlFor="category" className="block text-sm font-medium text-gray-700 mb-1">
             Category
@@ -86,13 +192,22 @@ const UpsertForm = ({ onSuccess }) => {
           >
             <option value="Sonnet">Sonnet</option>
             <option value="Play">Play</option>
+            <option value="Poem">Poem</option>
           </select>
         </div>
 
         <div>
-          <label htmlFor="text" className="block text-sm font-medium text-gray-700 mb-1">
-            Text Content
-          </label>
+          <div className="flex items-center justify-between mb-1">
+            <label htmlFor="text" className="block text-sm font-medium text-gray-700">
+              Text Content
+            </label>
+            <input
+              type="file"
+              accept=".txt,text/plain"
+              onChange={handleFileChange}
+              className="text-xs text-gray-500"
+            />
+          </div>
           <textarea
             id="text"
             name="text"
@@ -100,33 +215,74 @@ const UpsertForm = ({ onSuccess }) => {
             onChange={handleChange}
             required
             rows={12}
-            placeholder={
-              formData.category === 'Play' 
-                ? "Paste the play text here. It will be automatically chunked by speaker.\n\nExample:\nHAMLET.\nTo be, or not to be, that is the question:\nWhether 'tis nobler in the mind to suffer..."
-                : "Paste the sonnet text here. It will be chunked normally.\n\nExample:\nShall I compare thee to a summer's day?\nThou art more lovely and more temperate..."
-            }
+            placeholder={CATEGORY_HINTS[formData.category].placeholder}
             className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 resize-vertical"
           />
         </div>
 
         <div className="flex items-center justify-between">
-          <button
-            type="submit"
-            disabled={isLoading}
-            className="bg-blue-500 hover:bg-blue-600 disabled:bg-blue-300 text-white font-medium py-2 px-4 rounded-md transition-colors duration-200"
-          >
-            {isLoading ? 'Processing...' : 'Add Document'}
-          </button>
+          <div className="space-x-2">
+            <button
+              type="button"
+              onClick={handlePreview}
+              disabled={isLoading || !formData.documentName || !formData.text}
+              className="bg-white hover:bg-gray-50 disabled:text-gray-400 text-blue-600 border border-blue-500 font-medium py-2 px-4 rounded-md transition-colors duration-200"
+            >
+              Preview Chunks
+            </button>
+            <button
+              type="submit"
+              disabled={isLoading || !preview}
+              className="bg-blue-500 hover:bg-blue-600 disabled:bg-blue-300 text-white font-medium py-2 px-4 rounded-md transition-colors duration-200"
+            >
+              {isLoading ? 'Processing...' : 'Add Document'}
+            </button>
+          </div>
           
           <div className="text-sm text-gray-500">
-            {formData.category === 'Play' ? 'Will be chunked by speaker' : 'Will be chunked normally'}
+            {CATEGORY_HINTS[formData.category].chunking}
           </div>
         </div>
       </form>
 
+      {preview && (
+        <div className="mt-6">
+          <h3 className="text-lg font-semibold text-gray-800 mb-2">
+            {preview.totalChunks} chunks for {preview.work}
+          </h3>
+          <div className="space-y-2 max-h-96 overflow-y-auto">
+            {preview.chunks.map(chunk => (
+              <div key={chunk.id} className="border border-gray-200 rounded-md p-3">
+                <div className="flex items-center space-x-2 mb-1 text-xs">
+                  {chunk.speaker && (
+                    <span className="bg-purple-100 text-purple-800 font-medium px-2 py-0.5 rounded">
+                      {chunk.speaker}
+                      {chunk.part && ` (Part ${chunk.part})`}
+                    </span>
+                  )}
+                  <span className="bg-gray-100 text-gray-700 font-mono px-2 py-0.5 rounded">
+                    {chunk.citation}
+                  </span>
+                  <span className="text-gray-500">{chunk.wordCount} words</span>
+                  {chunk.verseForm && (
+                    <span className="text-gray-500">{chunk.verseForm}</span>
+                  )}
+                </div>
+                <p className="text-sm text-gray-700 whitespace-pre-line">{chunk.text}</p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {message && (
         <div className="mt-4 p-3 rounded-md bg-gray-50 border">
           <p className="text-sm">{message}</p>
+          {chunkIds.length > 0 && (
+            <p className="text-xs text-gray-500 font-mono mt-2 break-all">
+              {chunkIds.join(', ')}
+            </p>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFileSync, mkdtempSync, rmSync, statSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createEmbeddingCache } from '../lib/embedding-cache.js';
+
+const options = directory => ({ directory, model: 'test-model', dimension: 4 });
+const recordBytes = 20 + 4 * 4;
+
+test('records appended after a half-written record survive a reload', () => {
+  const directory = mkdtempSync(join(tmpdir(), 'embedding-cache-'));
+  try {
+    const first = createEmbeddingCache(options(directory));
+    first.set('to be', [1, 2, 3, 4]);
+    first.flush();
+
+    // A crash mid-append leaves part of a record at the end of the file
+    appendFileSync(first.path, Buffer.alloc(recordBytes / 2, 7));
+
+    const second = createEmbeddingCache(options(directory));
+    assert.equal(second.size, 1);
+    assert.equal(statSync(second.path).size, recordBytes);
+    second.set('or not to be', [5, 6, 7, 8]);
+    second.flush();
+
+    const third = createEmbeddingCache(options(directory));
+    assert.equal(third.size, 2);
+    assert.deepEqual(third.get('to be'), [1, 2, 3, 4]);
+    assert.deepEqual(third.get('or not to be'), [5, 6, 7, 8]);
+  } finally {
+    rmSync(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseGutenbergText, stripBoilerplate } from '../lib/gutenberg.js';
+
+function ebook(title, number, works) {
+  return [
+    `The Project Gutenberg eBook of ${title}`,
+    '',
+    `Title: ${title}`,
+    'Author: Christopher Marlowe',
+    `Release date: January 1, 2000 [eBook #${number}]`,
+    '',
+    `*** START OF THE PROJECT GUTENBERG EBOOK ${title.toUpperCase()} ***`,
+    '',
+    'Contents',
+    '',
+    ...works,
+    '',
+    '',
+    ...works.flatMap(work => [work, '', 'FAUSTUS.', `A speech in ${work}.`, '']),
+    `*** END OF THE PROJECT GUTENBERG EBOOK ${title.toUpperCase()} ***`,
+    '',
+    'Licence text that is not part of the book.',
+    ''
+  ].join('\n');
+}
+
+const text = [
+  ebook('Doctor Faustus', 779, ['THE TRAGICAL HISTORY OF DOCTOR FAUSTUS']),
+  ebook('Two Plays', 901, ['THE JEW OF MALTA', 'EDWARD THE SECOND'])
+].join('\n');
+
+test('every ebook of a concatenated file is kept without its boilerplate', () => {
+  const { body, header, ebooks } = stripBoilerplate(text);
+
+  assert.equal(ebooks.length, 2);
+  assert.equal(header.title, 'Doctor Faustus');
+  assert.equal(ebooks[1].header.title, 'Two Plays');
+  assert.equal(ebooks[1].header.ebook, 901);
+  assert.match(body, /A speech in THE JEW OF MALTA/);
+  assert.doesNotMatch(body, /Licence text|PROJECT GUTENBERG/);
+});
+
+test('the Contents lists of all the ebooks are merged', () => {
+  const { body, contents, works, missing } = parseGutenbergText(text);
+  const lines = body.split('\n');
+
+  assert.deepEqual(contents, ['THE TRAGICAL HISTORY OF DOCTOR FAUSTUS', 'THE JEW OF MALTA', 'EDWARD THE SECOND']);
+  assert.deepEqual(missing, []);
+  assert.deepEqual(works.map(work => work.title), contents);
+  works.forEach(work => {
+    assert.equal(lines[work.line], work.title);
+    assert.equal(lines[work.line + 3], `A speech in ${work.title}.`);
+  });
+});
+
+test('a single ebook parses as before', () => {
+  const { works, missing, header } = parseGutenbergText(ebook('Doctor Faustus', 779, ['THE TRAGICAL HISTORY OF DOCTOR FAUSTUS']));
+
+  assert.equal(header.ebook, 779);
+  assert.deepEqual(works.map(work => work.title), ['THE TRAGICAL HISTORY OF DOCTOR FAUSTUS']);
+  assert.deepEqual(missing, []);
+});